@@ -0,0 +1,148 @@
+// Adaptive difficulty
+// The reader keeps a record of every article read: how many words were looked
+// up, how often the English was revealed, the quiz score and the reading speed.
+// The latest article decides whether the next one should be easier or harder,
+// and the advice says which signal it came from. Pages read in partial
+// immersion are mostly English, so they are kept but never give advice. The
+// learner profile lives in chrome.storage.local.
+
+const LEARNER_PROFILE_KEY = 'learnerProfile';
+const MAX_READING_SESSIONS = 100;
+
+// Articles too short or too briefly read say nothing about the level
+const MIN_SESSION_WORDS = 50;
+const MIN_SESSION_SECONDS = 30;
+
+// Where each signal starts saying the text was too hard or too easy. About 98%
+// of words need to be known for comfortable reading, so looking up 5% or more
+// means struggling and 2% or less means there is room to grow.
+const LEVEL_SIGNALS = {
+  lookupPercent: { harder: 2, easier: 5 },
+  revealShare: { easier: 0.3 },
+  quizShare: { harder: 0.8, easier: 0.5 },
+  wordsPerMinute: { harder: 120, easier: 40 }
+};
+
+async function getLearnerProfile() {
+  const { [LEARNER_PROFILE_KEY]: profile = {} } = await chrome.storage.local.get(LEARNER_PROFILE_KEY);
+  return { sessions: [], ...profile };
+}
+
+function isMeaningfulSession(session) {
+  return session.words >= MIN_SESSION_WORDS &&
+    (session.seconds >= MIN_SESSION_SECONDS || session.lookups > 0 || session.reveals > 0 || !!session.quiz);
+}
+
+// Keep a finished article in the profile; the oldest ones go once there are too many
+async function saveReadingSession(details, now = Date.now()) {
+  const session = {
+    url: details.url || '',
+    language: details.language,
+    level: normalizeLevel(details.level),
+    mode: details.mode === 'immersion' ? 'immersion' : 'reader',
+    words: details.words || 0,
+    paragraphs: details.paragraphs || 0,
+    lookups: details.lookups || 0,
+    reveals: details.reveals || 0,
+    quiz: details.quiz || null,
+    seconds: Math.round(details.seconds || 0),
+    at: now
+  };
+  if (!isMeaningfulSession(session)) return null;
+
+  const profile = await getLearnerProfile();
+  profile.sessions = [...profile.sessions, session].slice(-MAX_READING_SESSIONS);
+  await chrome.storage.local.set({ [LEARNER_PROFILE_KEY]: profile });
+  return session;
+}
+
+function formatPercent(value) {
+  return value > 0 && value < 1 ? 'less than 1%' : `${Math.round(value)}%`;
+}
+
+// What each signal of a session says: -1 easier, +1 harder, 0 about right.
+// Signals without enough data are left out.
+function readSessionSignals(session) {
+  const signals = [];
+
+  // Few lookups only say the text was easy when it was really read; an
+  // article opened and left looks the same
+  const engaged = session.lookups > 0 || session.reveals > 0 || !!session.quiz;
+  if (engaged || session.seconds >= MIN_SESSION_SECONDS) {
+    const lookupPercent = (session.lookups / session.words) * 100;
+    const lookups = LEVEL_SIGNALS.lookupPercent;
+    signals.push({
+      name: 'lookups',
+      vote: lookupPercent >= lookups.easier ? -1 : lookupPercent <= lookups.harder ? 1 : 0,
+      reason: `you looked up ${formatPercent(lookupPercent)} of words`
+    });
+  }
+
+  // Never revealing the English is normal at any level, so reveals only ever say easier
+  if (session.reveals > 0 && session.paragraphs > 0) {
+    signals.push({
+      name: 'reveals',
+      vote: session.reveals / session.paragraphs >= LEVEL_SIGNALS.revealShare.easier ? -1 : 0,
+      reason: `you revealed the English of ${session.reveals} of ${session.paragraphs} paragraphs`
+    });
+  }
+
+  if (session.quiz && session.quiz.total > 0) {
+    const share = session.quiz.score / session.quiz.total;
+    const quiz = LEVEL_SIGNALS.quizShare;
+    signals.push({
+      name: 'quiz',
+      vote: share < quiz.easier ? -1 : share >= quiz.harder ? 1 : 0,
+      reason: `you scored ${session.quiz.score}/${session.quiz.total} on the quiz`
+    });
+  }
+
+  if (session.seconds >= MIN_SESSION_SECONDS) {
+    const speed = session.words / (session.seconds / 60);
+    const limits = LEVEL_SIGNALS.wordsPerMinute;
+    signals.push({
+      name: 'speed',
+      vote: speed < limits.easier ? -1 : speed > limits.harder ? 1 : 0,
+      reason: `you read about ${Math.round(speed)} words a minute`
+    });
+  }
+
+  return signals;
+}
+
+// Advice for the next article from the latest one read in the language that
+// says something: one level up or down when the signals lean that way, naming
+// the ones that tipped it
+function getLevelAdvice(sessions, language) {
+  const session = [...sessions].reverse()
+    .find(item => item.language === language && item.mode !== 'immersion' && readSessionSignals(item).length > 0);
+  if (!session) return null;
+
+  const signals = readSessionSignals(session);
+  const total = signals.reduce((sum, signal) => sum + signal.vote, 0);
+  const step = Math.sign(total);
+  const level = normalizeLevel(session.level + step);
+  // A change names the signals behind it; no change names the main signal
+  const reasons = (step === 0 ? signals.slice(0, 1) : signals.filter(signal => signal.vote === step))
+    .map(signal => signal.reason);
+  const joined = reasons.length > 1
+    ? `${reasons.slice(0, -1).join(', ')} and ${reasons[reasons.length - 1]}`
+    : reasons[0];
+  const reason = joined.charAt(0).toUpperCase() + joined.slice(1);
+
+  return {
+    from: session.level,
+    level,
+    reason,
+    message: level === session.level ? `${reason} — level ${level} suits you` : `${reason} — try level ${level}`
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getLearnerProfile,
+    saveReadingSession,
+    readSessionSignals,
+    getLevelAdvice
+  };
+}
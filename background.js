@@ -1,4 +1,6 @@
 // Basic background script
+importScripts('levels.js', 'languages.js', 'providers.js', 'cache.js', 'dictionary.js', 'translator.js', 'glossary.js', 'explain.js', 'quiz.js', 'tts.js');
+
 console.log('Spanishify background script loaded');
 
 // Initialize extension
@@ -6,17 +8,114 @@ chrome.runtime.onInstalled.addListener(function() {
   console.log('Spanishify extension installed');
   
   // Initialize storage with default settings if not already set
-  chrome.storage.sync.get(['apiKey'], function(result) {
-    if (!result.apiKey) {
+  chrome.storage.sync.get(['apiKey', 'provider'], function(result) {
+    if (!result.apiKey && !result.provider) {
       chrome.runtime.openOptionsPage();
     }
   });
 });
 
+// A smaller cache or a shorter expiry chosen in the options applies straight away
+chrome.storage.onChanged.addListener(function(changes, areaName) {
+  if (areaName === 'sync' && Object.keys(CACHE_DEFAULTS).some(key => key in changes)) {
+    enforceCacheLimits().catch(error => console.error('Failed to apply the cache limits:', error));
+  }
+});
+
 // Handle messages from content scripts
 chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
   if (request.type === 'error') {
     console.error('Content script error:', request.error);
+    return false; // Don't keep the message channel open
+  }
+
+  if (request.type === 'translate') {
+    enqueueTranslation(() => translateBatch(request.batch, request.level, request.language), request.runId)
+      .then(translations => sendResponse({ translations }))
+      .catch(error => {
+        console.error('Translation service error:', error);
+        sendResponse({ error: error.message });
+      });
+    return true; // Keep the message channel open for the async response
+  }
+
+  if (request.type === 'cancelTranslation') {
+    cancelQueuedTranslations(request.runId);
+    return false;
+  }
+
+  if (request.type === 'lookupWord') {
+    // Lookups are interactive, so they skip the translation queue
+    lookupWord(request.word, request.context, request.language, request.level)
+      .then(entry => sendResponse({ entry }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'translateWords') {
+    // Partial immersion swaps words in as the page is read, so it skips the queue too
+    translateWords(request.words, request.language)
+      .then(translations => sendResponse({ translations }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'explainSentence') {
+    explainSentence(request.sentence, request.original, request.level, request.language)
+      .then(explanation => sendResponse({ explanation }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'generateQuiz') {
+    generateQuiz(request.text, request.level, request.language, request.fresh)
+      .then(quiz => sendResponse({ quiz }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'synthesizeSpeech') {
+    // Speech is interactive too, so it skips the translation queue
+    synthesizeSpeech(request.text, request.level, request.language)
+      .then(audio => sendResponse({ audio }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'testSpeechServer') {
+    testSpeechServer(request.settings, request.text)
+      .then(audio => sendResponse({ audio }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'getProviderStatus') {
+    getProviderStatus()
+      .then(status => sendResponse(status))
+      .catch(error => sendResponse({ configured: false, error: error.message }));
+    return true;
   }
-  return false; // Don't keep the message channel open
-}); 
\ No newline at end of file
+
+  if (request.type === 'testConnection') {
+    testConnection(request.settings)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'getCacheStats') {
+    Promise.all([getCacheStats(), getCacheStats(SPEECH_CACHE_PREFIX)])
+      .then(([stats, audio]) => sendResponse({ ...stats, audio }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'clearCache') {
+    clearTranslationCache()
+      .then(() => sendResponse({ cleared: true }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  return false;
+});
@@ -0,0 +1,258 @@
+// Persistent translation cache
+// Entries live in chrome.storage.local so translations survive navigation and
+// browser restarts. Each entry is stored under its own key; the index keeps the
+// size, creation and last use of them all under one more key, so TTL expiry
+// and LRU eviction never read the entries themselves. Audio from the speech
+// server is far bigger than text, so it has its own key prefix and size cap
+// and reading an article aloud never evicts translations.
+
+const CACHE_PREFIX = 'tc:';
+const SPEECH_CACHE_PREFIX = 'sc:';
+
+const CACHE_DEFAULTS = {
+  cacheMaxSizeMb: 5,
+  speechCacheMaxSizeMb: 50,
+  cacheTtlDays: 30
+};
+
+const CACHE_INDEX_KEY = 'cacheIndex';
+let cacheIndexUpdate = Promise.resolve();
+
+// Cache hits only change when an entry was last used, so they are collected
+// here and written to the index together a little later, or with the next
+// index change, instead of rewriting the index on every hit
+const CACHE_USE_FLUSH_MS = 5000;
+let pendingCacheUses = {};
+let cacheUseTimer = null;
+
+// The size setting capping the entries under each prefix
+const CACHE_SIZE_SETTINGS = {
+  [CACHE_PREFIX]: 'cacheMaxSizeMb',
+  [SPEECH_CACHE_PREFIX]: 'speechCacheMaxSizeMb'
+};
+
+// 64-bit FNV-1a style hash, built from two 32-bit passes with different seeds
+function hashString(value) {
+  let h1 = 0x811c9dc5;
+  let h2 = 0x01000193 ^ value.length;
+  for (let i = 0; i < value.length; i++) {
+    const code = value.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 0x01000193);
+    h2 = Math.imul(h2 ^ code, 0x5bd1e995);
+  }
+  return (h1 >>> 0).toString(16).padStart(8, '0') + (h2 >>> 0).toString(16).padStart(8, '0');
+}
+
+function getCacheKey(text, level, config, dialect) {
+  return CACHE_PREFIX + hashString(`${config.provider}|${config.model}|${level}|${dialect}|${text}`);
+}
+
+// Audio from the speech server is cached per sentence, level and voice too
+function getSpeechCacheKey(text, level, config, language) {
+  return SPEECH_CACHE_PREFIX + hashString(`speech|${config.endpoint}|${config.model}|${config.voice}|${level}|${language}|${text}`);
+}
+
+async function loadCacheSettings() {
+  const settings = await chrome.storage.sync.get(Object.keys(CACHE_DEFAULTS));
+  return { ...CACHE_DEFAULTS, ...settings };
+}
+
+function isExpired(entry, ttlDays, now = Date.now()) {
+  return ttlDays > 0 && now - entry.createdAt > ttlDays * 24 * 60 * 60 * 1000;
+}
+
+// Look up cached translations; misses and expired entries come back undefined
+async function getCachedTranslations(keys) {
+  const { cacheTtlDays } = await loadCacheSettings();
+  const entries = await chrome.storage.local.get(keys);
+  const now = Date.now();
+  const touched = [];
+  const expired = [];
+
+  const values = keys.map(key => {
+    const entry = entries[key];
+    if (!entry) {
+      return undefined;
+    }
+    if (isExpired(entry, cacheTtlDays, now)) {
+      expired.push(key);
+      return undefined;
+    }
+    touched.push(key);
+    return entry.value;
+  });
+
+  // Record the hits for LRU eviction and drop anything past its TTL
+  if (touched.length > 0) {
+    noteCacheUses(touched, now);
+  }
+  if (expired.length > 0) {
+    await updateCacheIndex(index => {
+      expired.forEach(key => delete index[key]);
+    });
+    await chrome.storage.local.remove(expired);
+  }
+
+  return values;
+}
+
+async function setCachedTranslations(items) {
+  if (items.length === 0) {
+    return;
+  }
+
+  const now = Date.now();
+  const entries = {};
+  items.forEach(({ key, value }) => {
+    entries[key] = { value, createdAt: now };
+  });
+  await chrome.storage.local.set(entries);
+
+  const settings = await loadCacheSettings();
+  const evicted = await updateCacheIndex(index => {
+    Object.entries(entries).forEach(([key, entry]) => {
+      index[key] = { size: getCacheEntrySize(key, entry), createdAt: now, lastUsed: now };
+    });
+    return selectEvictions(index, settings, now);
+  });
+  await removeEvictedEntries(evicted);
+}
+
+function getCacheEntrySize(key, entry) {
+  return key.length + JSON.stringify(entry).length;
+}
+
+function isCacheKey(key) {
+  return Object.keys(CACHE_SIZE_SETTINGS).some(prefix => key.startsWith(prefix));
+}
+
+// Entries cached before there was an index are found once, by reading the whole store
+async function loadCacheIndex() {
+  const { [CACHE_INDEX_KEY]: index } = await chrome.storage.local.get(CACHE_INDEX_KEY);
+  if (index) {
+    return index;
+  }
+
+  const everything = await chrome.storage.local.get(null);
+  const built = {};
+  Object.entries(everything)
+    .filter(([key]) => isCacheKey(key))
+    .forEach(([key, entry]) => {
+      built[key] = {
+        size: getCacheEntrySize(key, entry),
+        createdAt: entry.createdAt,
+        lastUsed: entry.lastUsed || entry.createdAt
+      };
+    });
+  return built;
+}
+
+function noteCacheUses(keys, now) {
+  keys.forEach(key => {
+    pendingCacheUses[key] = now;
+  });
+  if (!cacheUseTimer) {
+    cacheUseTimer = setTimeout(() => {
+      updateCacheIndex(() => {})
+        .catch(error => console.error('Failed to record cache hits:', error));
+    }, CACHE_USE_FLUSH_MS);
+  }
+}
+
+// Changes to the index are queued, so concurrent batches don't overwrite each
+// other's; change edits the index in place and its result is passed on. Hits
+// collected since the last change are written with it.
+function updateCacheIndex(change) {
+  const result = cacheIndexUpdate.then(async () => {
+    const index = await loadCacheIndex();
+    clearTimeout(cacheUseTimer);
+    cacheUseTimer = null;
+    Object.entries(pendingCacheUses).forEach(([key, lastUsed]) => {
+      if (index[key]) index[key].lastUsed = lastUsed;
+    });
+    pendingCacheUses = {};
+    const outcome = change(index);
+    await chrome.storage.local.set({ [CACHE_INDEX_KEY]: index });
+    return outcome;
+  });
+  cacheIndexUpdate = result.catch(() => {});
+  return result;
+}
+
+// Take expired entries out of the index, then the least recently used ones
+// until each prefix is under its size cap; returns the keys taken out
+function selectEvictions(index, settings, now) {
+  const toRemove = [];
+  const live = {};
+  Object.entries(index).forEach(([key, item]) => {
+    if (isExpired(item, settings.cacheTtlDays, now)) {
+      toRemove.push(key);
+      return;
+    }
+    const prefix = key.slice(0, CACHE_PREFIX.length);
+    (live[prefix] = live[prefix] || []).push({ key, ...item });
+  });
+
+  Object.entries(live).forEach(([prefix, items]) => {
+    const maxBytes = settings[CACHE_SIZE_SETTINGS[prefix]] * 1024 * 1024;
+    let totalBytes = items.reduce((sum, item) => sum + item.size, 0);
+    items.sort((a, b) => a.lastUsed - b.lastUsed);
+    for (const item of items) {
+      if (totalBytes <= maxBytes) {
+        break;
+      }
+      toRemove.push(item.key);
+      totalBytes -= item.size;
+    }
+  });
+
+  toRemove.forEach(key => delete index[key]);
+  return toRemove;
+}
+
+async function removeEvictedEntries(keys) {
+  if (keys.length > 0) {
+    console.log(`Evicting ${keys.length} cached translations`);
+    await chrome.storage.local.remove(keys);
+  }
+}
+
+async function enforceCacheLimits() {
+  const settings = await loadCacheSettings();
+  const evicted = await updateCacheIndex(index => selectEvictions(index, settings, Date.now()));
+  await removeEvictedEntries(evicted);
+}
+
+// Translations by default; audio with SPEECH_CACHE_PREFIX
+async function getCacheStats(prefix = CACHE_PREFIX) {
+  const index = await loadCacheIndex();
+  const items = Object.entries(index).filter(([key]) => key.startsWith(prefix));
+  return {
+    entries: items.length,
+    bytes: items.reduce((sum, [, item]) => sum + item.size, 0)
+  };
+}
+
+// Clearing is rare, so it also sweeps the store for entries the index lost track of
+async function clearTranslationCache() {
+  await updateCacheIndex(index => {
+    Object.keys(index).forEach(key => delete index[key]);
+  });
+  const everything = await chrome.storage.local.get(null);
+  await chrome.storage.local.remove(Object.keys(everything).filter(isCacheKey));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CACHE_DEFAULTS,
+    SPEECH_CACHE_PREFIX,
+    hashString,
+    getCacheKey,
+    getSpeechCacheKey,
+    getCachedTranslations,
+    setCachedTranslations,
+    enforceCacheLimits,
+    getCacheStats,
+    clearTranslationCache
+  };
+}
@@ -1,12 +1,74 @@
-// Cache for storing translations
-const translationCache = new Map();
-
-// Initialize speech synthesis and voices
-let spanishVoice = null;
+// Initialize speech synthesis and voices; the voice speaks the target language
+let readerVoice = null;
 let voicesLoaded = false;
 
 // Add global variable for current difficulty
-let currentDifficulty = 5;
+let currentDifficulty = DEFAULT_LEVEL;
+
+// Reader overlay host; the reader lives in its shadow root on top of the untouched page
+let readerOverlay = null;
+let savedPageOverflow = '';
+
+// Preferences from the options page, kept current while the page is open
+let userSettings = { ...READER_SETTINGS_DEFAULTS };
+
+// Paragraphs of the current reader and the translation run filling them in
+const MAX_CONCURRENT_BATCHES = 3;
+let readerParagraphs = [];
+let activeRun = null;
+
+// Translated words become clickable spans that open the glossary popover
+const WORD_PATTERN = /\p{L}[\p{L}\p{M}]*/gu;
+let glossaryPopover = null;
+
+// Highlighting a few words in the reader offers to save them to the vocabulary notebook;
+// highlighting up to a sentence or so offers to explain its grammar
+const MAX_SELECTION_LENGTH = 100;
+const MAX_EXPLAIN_SELECTION_LENGTH = 400;
+let selectionBar = null;
+
+// Read-aloud player: the sentences of the translated article and where it is in them
+let readAloud = null;
+
+// What the learner does in the open article, kept in the learner profile (adaptive.js)
+// when the reader closes; pauses longer than a minute don't count as reading time
+const MAX_READING_GAP_MS = 60000;
+let readingSession = null;
+
+// Partial immersion (immersion.js): the reader shows the English with some
+// words swapped in instead of a translation
+let readerImmersion = false;
+
+// In-place translation (inpage.js): the page's translated text nodes with their
+// original text, and the observer that translates content added later. Text
+// nodes are much shorter than reader paragraphs, so a batch carries more of them.
+const IN_PAGE_BATCH_FACTOR = 4;
+const IN_PAGE_MUTATION_DELAY_MS = 300;
+let inPage = null;
+
+// Swapped words are highlighted and show their English on hover, on the page and in the reader
+const WEAVE_STYLES = `
+  .spanishify-weave {
+    position: relative;
+    background: rgba(66, 133, 244, 0.15);
+    border-bottom: 1px dotted #4285F4;
+    border-radius: 2px;
+    cursor: help;
+  }
+  .spanishify-weave:hover::after {
+    content: attr(data-english);
+    position: absolute;
+    left: 0;
+    bottom: 100%;
+    padding: 2px 6px;
+    background: #333;
+    color: white;
+    border-radius: 3px;
+    font: 12px Arial, sans-serif;
+    white-space: nowrap;
+    z-index: 2147483647;
+  }
+`;
 
 // Simple console logging for debugging
 console.log('Spanishify content script loaded');
@@ -48,24 +110,23 @@ function initVoices() {
         console.log(`Found ${voices.length} voices`);
         
         if (voices && voices.length > 0) {
-          // Look for Spanish voices
-          const spanishVoices = voices.filter(voice => 
-            voice.lang.includes('es') || 
-            voice.name.includes('Spanish') ||
-            voice.name.includes('Español')
-          );
+          // Look for voices in the target language
+          const language = getReaderLanguage();
+          const languageVoices = rankVoices(voices, language);
           
-          console.log(`Found ${spanishVoices.length} Spanish voices`);
+          console.log(`Found ${languageVoices.length} voices for ${language}`);
           
-          if (spanishVoices.length > 0) {
-            // Use the first Spanish voice found
-            spanishVoice = spanishVoices[0];
-            console.log('Selected Spanish voice:', spanishVoice.name, spanishVoice.lang);
+          if (languageVoices.length > 0) {
+            // The best-ranked voice: natural or local first, then the chosen variety
+            readerVoice = languageVoices[0];
+            console.log('Selected voice:', readerVoice.name, readerVoice.lang);
           } else {
-            console.log('No Spanish voices found among available voices');
+            readerVoice = null;
+            console.log('No voices for', language, 'among available voices');
           }
           
           voicesLoaded = true;
+          populateReaderVoices();
           resolve();
         } else if (voices && voices.length === 0) {
           console.warn('Voice list is empty, waiting for voices to load...');
@@ -109,7 +170,7 @@ function initialize() {
   if (window.speechSynthesis) {
     initVoices()
       .then(() => {
-        console.log('Speech synthesis initialized. Spanish voice available:', !!spanishVoice);
+        console.log('Speech synthesis initialized. Voice available:', !!readerVoice);
         
         // Test speech synthesis after a delay to ensure voices are loaded
         setTimeout(() => {
@@ -124,6 +185,34 @@ function initialize() {
   } else {
     console.warn('Speech synthesis not available in this browser');
   }
+
+  refreshSettings().then(autoTranslate);
+}
+
+async function refreshSettings() {
+  try {
+    userSettings = await loadReaderSettings();
+  } catch (error) {
+    console.error('Failed to load settings:', error);
+  }
+  return userSettings;
+}
+
+// Tag of the language and variety the reader translates into, like es-MX
+function getReaderLanguage() {
+  return resolveLanguageTag(userSettings.targetLanguage, userSettings.dialect);
+}
+
+// Open the reader straight away on sites listed in the options page
+async function autoTranslate(settings) {
+  if (!isAutoTranslateSite(location.hostname, settings.autoTranslateSites)) return;
+  console.log('Auto-translating', location.hostname);
+  const level = await getRememberedLevel(location.hostname);
+  if (settings.outputMode === 'inpage') {
+    await translatePageInPlace(level);
+  } else {
+    await translatePage(level);
+  }
 }
 
 // Test function for speech synthesis
@@ -140,11 +229,11 @@ function testSpeechSynthesis() {
   const allVoices = window.speechSynthesis.getVoices();
   console.log(`Available voices: ${allVoices.length}`);
   
-  // Check if Spanish voice was found
-  if (spanishVoice) {
-    console.log('Using Spanish voice:', spanishVoice.name, spanishVoice.lang);
+  // Check if a voice for the target language was found
+  if (readerVoice) {
+    console.log('Using voice:', readerVoice.name, readerVoice.lang);
   } else {
-    console.warn('No Spanish voice configured, will use default');
+    console.warn('No voice for the target language configured, will use default');
   }
   
   // Silent test - don't actually speak but verify the API works
@@ -161,24 +250,70 @@ function testSpeechSynthesis() {
   }
 }
 
+// Handle translation requests from the popup
+function handleMessage(request, sender, sendResponse) {
+  console.log('Message received:', request.action);
+  
+  if (request.action === 'weave') {
+    togglePageImmersion().catch(error => {
+      reportError(error, 'togglePageImmersion');
+      showNotification(`Partial immersion failed: ${error.message}`, 'error');
+    });
+    return false;
+  }
+
+  if (request.action === 'translate' && request.inPlace) {
+    // A second click at the same level puts the original text back
+    if (inPage && normalizeLevel(request.difficulty) === inPage.run.level) {
+      restorePageInPlace();
+      showNotification('The page is back in English.');
+      return false;
+    }
+
+    translatePageInPlace(request.difficulty).catch(error => {
+      reportError(error, 'translatePageInPlace');
+      showNotification('Translation failed. Please try again.', 'error');
+    });
+    return false;
+  }
+
+  if (request.action === 'translate') {
+    // A second click at the same level toggles the existing reader
+    if (readerOverlay && normalizeLevel(request.difficulty) === currentDifficulty) {
+      toggleReader();
+      return false;
+    }
+
+    translatePage(request.difficulty).catch(error => {
+      reportError(error, 'translatePage');
+      showNotification('Translation failed. Please try again.', 'error');
+    });
+  }
+  return false; // Don't keep the message channel open
+}
+
 // Set up message listener for translation requests
 try {
-  chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
-    console.log('Message received:', request.action);
-    
-    if (request.action === 'translate') {
-      translatePage(request.difficulty).catch(error => {
-        reportError(error, 'translatePage');
-        showNotification('Translation failed. Please try again.', 'error');
-      });
-    }
-    return false; // Don't keep the message channel open
-  });
+  chrome.runtime.onMessage.addListener(handleMessage);
   console.log('Message listener registered successfully');
 } catch (error) {
   console.error('Failed to register message listener:', error);
 }
 
+// Pick up changes saved on the options page without a reload
+try {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync') {
+      refreshSettings().then(() => populateReaderVoices());
+    }
+  });
+} catch (error) {
+  console.error('Failed to register settings listener:', error);
+}
+
+// Leaving the page with the reader open still counts the article
+window.addEventListener('pagehide', finishReadingSession);
+
 // Call initialize when the document is ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', initialize);
@@ -187,26 +322,70 @@ if (document.readyState === 'loading') {
 }
 
 async function translatePage(difficulty = currentDifficulty) {
-  // Update current difficulty
-  currentDifficulty = parseInt(difficulty) || 5;
+  // A new article, rather than the open one at another level, may get the
+  // adaptive level instead of the one the popup offered for this site
+  const newArticle = !readerOverlay;
+  const offeredLevel = newArticle ? await getRememberedLevel(location.hostname) : null;
+
+  // Update current difficulty and remember it for this site
+  currentDifficulty = normalizeLevel(difficulty);
+  rememberLevel(currentDifficulty, location.hostname)
+    .catch(error => console.error('Failed to remember level:', error));
   
   // Show loading indicator
   const loadingIndicator = createLoadingIndicator();
   document.body.appendChild(loadingIndicator);
 
   try {
-    // Check for API key first
-    const { apiKey } = await chrome.storage.sync.get('apiKey');
-    if (!apiKey) {
-      showNotification('Please configure your OpenAI API key in the extension options first.', 'error');
+    await refreshSettings();
+
+    // Check that the translation provider is configured first
+    const status = await chrome.runtime.sendMessage({ type: 'getProviderStatus' });
+    if (!status?.configured) {
+      showNotification(`Please configure your ${status?.label || 'translation'} API key in the extension options first.`, 'error');
       return;
     }
 
+    const advice = newArticle ? await getReaderLevelAdvice() : null;
+    // Picking another level than the one offered always wins over the advice
+    const adjusted = !!advice && userSettings.adaptiveLevel === 'auto' &&
+      currentDifficulty === offeredLevel && advice.level !== currentDifficulty;
+    if (adjusted) {
+      currentDifficulty = advice.level;
+      rememberLevel(currentDifficulty, location.hostname)
+        .catch(error => console.error('Failed to remember level:', error));
+    }
+
     console.log('Starting translation process...');
+
+    // Extract the article from the page, which is never modified; words
+    // swapped in by partial immersion or translated in place go back to English first
+    if (newArticle) {
+      restorePageInPlace();
+      unweaveElement(document.body);
+    }
+    console.log('Extracting main content...');
+    const article = extractMainContent();
     
-    // Create a new clean document structure
-    const cleanDoc = document.implementation.createHTMLDocument('Reader Mode');
-    const readerContainer = cleanDoc.createElement('div');
+    if (!article.content || article.content.trim() === '') {
+      throw new Error('No content found to translate');
+    }
+    
+    console.log('Content extracted successfully');
+
+    // Render the reader in an isolated overlay on top of the page
+    const readerRoot = openReaderOverlay();
+    readerRoot.appendChild(createReaderToolbar());
+    startReadingSession();
+
+    // Add difficulty controls first
+    const difficultyControls = createDifficultyControls();
+    readerRoot.appendChild(difficultyControls);
+    if (advice) {
+      showLevelAdvice(difficultyControls, advice, adjusted);
+    }
+    
+    const readerContainer = document.createElement('div');
     readerContainer.id = 'spanishify-reader';
     readerContainer.style.cssText = `
       max-width: 800px;
@@ -221,95 +400,68 @@ async function translatePage(difficulty = currentDifficulty) {
       white-space: normal;
     `;
 
-    // Extract main content before modifying the original document
-    console.log('Extracting main content...');
-    const mainContent = extractMainContent();
-    
-    if (!mainContent || mainContent.trim() === '') {
-      throw new Error('No content found to translate');
-    }
-    
-    console.log('Content extracted successfully');
-    
-    // Set up the clean document
-    cleanDoc.body.style.cssText = `
-      margin: 0;
-      padding: 0;
-      background: #f5f5f5;
-      min-height: 100vh;
-      width: 100%;
-      display: block;
-    `;
-    
-    // Add difficulty controls first
-    const difficultyControls = createDifficultyControls();
-    cleanDoc.body.appendChild(difficultyControls);
-    
     // Format and add content to the reader container
     console.log('Formatting content...');
-    const formattedContent = formatContent(mainContent);
+    const formattedContent = formatContent(article.content);
     readerContainer.innerHTML = formattedContent;
-    cleanDoc.body.appendChild(readerContainer);
-
-    // Replace the current document's content
-    document.documentElement.innerHTML = cleanDoc.documentElement.innerHTML;
+    const articleMeta = createArticleMeta(article);
+    if (articleMeta) {
+      readerContainer.insertBefore(articleMeta, readerContainer.firstChild);
+    }
+    readerContainer.addEventListener('click', handleSpeechButtonClick);
+    readerContainer.addEventListener('click', handlePracticeButtonClick);
+    readerContainer.addEventListener('click', handleRetryButtonClick);
+    readerContainer.addEventListener('click', handleRevealClick);
+    readerContainer.addEventListener('click', handleWordClick);
+    readerRoot.appendChild(readerContainer);
+    readerRoot.appendChild(createReadAloudPlayer());
+
+    // Next to woven English the English original would only repeat it
+    applyDisplayMode(readerImmersion ? DEFAULT_DISPLAY_MODE : userSettings.displayMode);
+    applyReaderAppearance(readerContainer, userSettings);
 
     // Initialize the difficulty slider with current value
-    const slider = document.querySelector('input[type="range"]');
-    const difficultyValue = document.querySelector('.difficulty-value');
+    const slider = readerRoot.querySelector('input[type="range"]');
+    const difficultyValue = readerRoot.querySelector('.difficulty-value');
     if (slider && difficultyValue) {
       slider.value = currentDifficulty;
       difficultyValue.textContent = currentDifficulty;
       updateLevelDescription(currentDifficulty);
     }
 
-    // Get all text nodes in the reader mode
-    const walker = document.createTreeWalker(
-      document.getElementById('spanishify-reader'),
-      NodeFilter.SHOW_TEXT,
-      {
-        acceptNode: function(node) {
-          const text = node.textContent.trim();
-          return text && text.length > 1 ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
-        }
-      },
-      false
-    );
+    // Group the reader's text nodes by paragraph and translate them in concurrent batches
+    readerParagraphs = collectParagraphs(readerContainer);
+    console.log(`Found ${readerParagraphs.length} paragraphs to translate`);
+    if (readerParagraphs.length === 0) {
+      throw new Error('No text found to translate');
+    }
 
-    const textNodes = [];
-    let node;
-    while (node = walker.nextNode()) {
-      textNodes.push(node);
+    if (readerImmersion) {
+      loadingIndicator.remove();
+      const count = await weaveImmersion(Array.from(readerContainer.querySelectorAll('.spanishify-translation')));
+      console.log(`Partial immersion swapped in ${count} words`);
+      // The woven text is what read-aloud, practice, the quiz and the learner profile work from
+      readerParagraphs.forEach(paragraph => setParagraphStatus(paragraph, 'done'));
+      return;
     }
 
-    console.log(`Found ${textNodes.length} text nodes to translate`);
-    if (textNodes.length === 0) {
-      throw new Error('No text found to translate');
+    const run = startTranslationRun(currentDifficulty);
+    readerRoot.insertBefore(createProgressBar(), readerContainer);
+    readerParagraphs.forEach(paragraph => setParagraphStatus(paragraph, 'pending'));
+    updateProgress();
+    loadingIndicator.remove();
+
+    await runParagraphBatches(batchParagraphs(readerParagraphs), run);
+
+    if (run.cancelled) {
+      console.log('Translation cancelled');
+      return;
     }
 
-    // Batch text nodes into groups of 5
-    const batchSize = 5;
-    for (let i = 0; i < textNodes.length; i += batchSize) {
-      const batch = textNodes.slice(i, i + batchSize);
-      const batchText = batch.map(node => node.textContent.trim()).join('\n---\n');
-      
-      console.log(`Translating batch ${Math.floor(i/batchSize) + 1} of ${Math.ceil(textNodes.length/batchSize)}`);
-      
-      try {
-        const translatedText = await translateText(batchText, currentDifficulty);
-        const translatedParts = translatedText.split('\n---\n');
-        
-        // Update each node in the batch
-        batch.forEach((node, index) => {
-          if (translatedParts[index]) {
-            node.textContent = translatedParts[index];
-          }
-        });
-      } catch (error) {
-        console.error('Translation error for batch:', error);
-        showNotification(`Translation error: ${error.message}`, 'error');
-        return;
-      }
+    const failed = readerParagraphs.filter(paragraph => paragraph.status === 'failed').length;
+    if (failed > 0) {
+      showNotification(`${failed} of ${readerParagraphs.length} paragraphs could not be translated. Use ↻ to retry them.`, 'error');
+      return;
     }
 
     console.log('Translation completed successfully');
@@ -322,266 +474,1696 @@ async function translatePage(difficulty = currentDifficulty) {
   }
 }
 
-function extractMainContent() {
-  // Get the current document content
-  const content = document.body.cloneNode(true);
-  
-  // Create a temporary container
-  const temp = document.createElement('div');
-  temp.appendChild(content);
-  
-  // Remove unwanted elements but be more selective
-  const unwantedSelectors = [
-    'script', 'style', 'iframe', 'noscript', 'link', 'meta',
-    '[class*="ad-"]', '[id*="ad-"]',
-    '[class*="advertisement"]',
-    'header', 'footer',
-    '.navigation', '.nav',
-    '.sidebar',
-    '.cookie-banner',
-    '.newsletter-signup',
-    '.social-share',
-    '.comments'
-  ];
-
-  // Remove unwanted elements
-  unwantedSelectors.forEach(selector => {
-    const elements = temp.querySelectorAll(selector);
-    elements.forEach(el => el.remove());
-  });
-
-  // Try to find main content using common selectors
-  const mainSelectors = [
-    'article',
-    'main',
-    '[role="main"]',
-    '[role="article"]',
-    '.post-content',
-    '.entry-content',
-    '.article-content',
-    '.content',
-    '#content',
-    '.main-content'
-  ];
-
-  let mainContent = null;
-  for (const selector of mainSelectors) {
-    mainContent = temp.querySelector(selector);
-    if (mainContent && mainContent.textContent.trim().length > 100) {
-      break;
-    }
-  }
-
-  // If no main content found with sufficient text, use the body content
-  if (!mainContent || mainContent.textContent.trim().length < 100) {
-    console.log('No main content found with selectors or content too short, preserving more body content');
-    mainContent = temp;
-  }
-
-  // Clean up the content
-  const cleanContent = mainContent.cloneNode(true);
-  
-  // Remove empty elements
-  const removeEmpty = (element) => {
-    Array.from(element.getElementsByTagName('*')).forEach(el => {
-      if (el.textContent.trim() === '' && !el.querySelector('img')) {
-        el.remove();
-      }
-    });
-  };
-  
-  removeEmpty(cleanContent);
+function openReaderOverlay() {
+  closeReader();
 
-  // Remove hidden elements
-  const removeHidden = (element) => {
-    const hiddenElements = element.querySelectorAll('[style*="display: none"], [style*="visibility: hidden"], [hidden]');
-    hiddenElements.forEach(el => el.remove());
-  };
-  
-  removeHidden(cleanContent);
+  const host = document.createElement('div');
+  host.id = 'spanishify-overlay';
+  host.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    margin: 0;
+    padding: 0;
+    overflow-y: auto;
+    background: #f5f5f5;
+    z-index: 2147483646;
+    display: none;
+  `;
+  const root = host.attachShadow({ mode: 'open' });
 
-  // Clean links
-  const links = cleanContent.getElementsByTagName('a');
-  Array.from(links).forEach(link => {
-    if (link.href) {
-      try {
-        const url = new URL(link.href);
-        const paramsToRemove = ['utm_source', 'utm_medium', 'utm_campaign', 'ref', 'source'];
-        paramsToRemove.forEach(param => url.searchParams.delete(param));
-        link.href = url.toString();
-      } catch (e) {
-        // Invalid URL, leave as is
-      }
+  // Clicking anywhere outside the glossary popover closes it
+  root.addEventListener('click', (event) => {
+    if (glossaryPopover && !glossaryPopover.contains(event.target)) {
+      closeGlossary();
     }
   });
 
-  return cleanContent.innerHTML;
-}
+  // Finishing a selection shows the selection bar; starting a new one elsewhere hides it
+  root.addEventListener('mousedown', (event) => {
+    if (selectionBar && !selectionBar.contains(event.target)) {
+      closeSelectionBar();
+    }
+  });
+  root.addEventListener('mouseup', handleReaderSelection);
 
-function createLoadingIndicator() {
-  const indicator = document.createElement('div');
-  indicator.style.cssText = `
-    position: fixed;
-    top: 20px;
-    right: 20px;
-    background: rgba(0, 0, 0, 0.8);
-    color: white;
-    padding: 10px 20px;
-    border-radius: 5px;
-    z-index: 9999;
-    font-family: Arial, sans-serif;
+  ['scroll', 'click', 'mousemove', 'keydown'].forEach(type => {
+    (type === 'scroll' ? host : root).addEventListener(type, noteReadingActivity, { passive: true });
+  });
+
+  // Page styles don't reach into the shadow root, so the reader brings its own
+  const style = document.createElement('style');
+  style.textContent = WEAVE_STYLES + `
+    .spanishify-speak:hover,
+    .spanishify-practice:hover {
+      transform: scale(1.1);
+      opacity: 1 !important;
+      background-color: rgba(66, 133, 244, 0.1) !important;
+    }
+    .spanishify-speak:active,
+    .spanishify-practice:active {
+      transform: scale(0.95);
+    }
+    .quiz-question {
+      margin: 0 0 15px;
+      padding: 12px 15px;
+      background: white;
+      border: 1px solid #ddd;
+      border-radius: 8px;
+    }
+    .quiz-question[data-result="correct"] {
+      border-color: #2E7D32;
+    }
+    .quiz-question[data-result="incorrect"] {
+      border-color: #C62828;
+    }
+    .quiz-question label {
+      display: block;
+      margin: 4px 0;
+    }
+    .quiz-feedback {
+      margin-top: 6px;
+      font-size: 14px;
+    }
+    .practice-word.correct {
+      color: #2E7D32;
+    }
+    .practice-word.mispronounced {
+      color: #E65100;
+      text-decoration: underline dotted;
+    }
+    .practice-word.missed {
+      color: #C62828;
+      text-decoration: underline wavy;
+    }
+    .spanishify-original {
+      display: none;
+    }
+    [data-display-mode="side-by-side"] .spanishify-original {
+      display: block;
+      flex: 1;
+      margin: 0 0 0 20px;
+      padding-left: 20px;
+      border-left: 1px solid #eee;
+    }
+    [data-display-mode="interlinear"] .spanishify-paragraph,
+    [data-display-mode="reveal"] .spanishify-paragraph {
+      flex-wrap: wrap;
+    }
+    [data-display-mode="interlinear"] .spanishify-original,
+    [data-display-mode="reveal"] .spanishify-paragraph:hover .spanishify-original,
+    [data-display-mode="reveal"] .spanishify-paragraph.revealed .spanishify-original {
+      display: block;
+      flex-basis: 100%;
+      margin: 8px 0 0 45px;
+      font-size: 0.95em;
+      font-style: italic;
+    }
+    [data-display-mode="reveal"] .spanishify-translation {
+      cursor: pointer;
+    }
+    blockquote.spanishify-translation,
+    blockquote.spanishify-original {
+      border-left: 3px solid #ddd;
+      padding-left: 15px;
+      font-style: italic;
+    }
+    table.spanishify-translation,
+    table.spanishify-original {
+      border-collapse: collapse;
+    }
+    .spanishify-paragraph td,
+    .spanishify-paragraph th {
+      border: 1px solid #ddd;
+      padding: 6px 10px;
+      text-align: left;
+    }
+    .spanishify-figure figcaption {
+      color: #555;
+      font-size: 0.95em;
+      text-align: left;
+    }
+    .spanishify-word {
+      cursor: pointer;
+      border-radius: 2px;
+    }
+    .spanishify-word:hover {
+      background: rgba(66, 133, 244, 0.15);
+    }
+    [data-status="pending"] {
+      opacity: 0.6;
+      box-shadow: inset 3px 0 0 #bbb !important;
+    }
+    [data-status="failed"],
+    [data-status="cancelled"] {
+      box-shadow: inset 3px 0 0 #f44336 !important;
+    }
+    .glossary-save,
+    .selection-save,
+    .selection-explain {
+      background: #4285F4;
+      border: none;
+      border-radius: 4px;
+      color: white;
+      cursor: pointer;
+      font-size: 13px;
+      padding: 4px 10px;
+    }
+    .glossary-save:disabled {
+      background: #9E9E9E;
+      cursor: default;
+    }
+    .spanishify-retry {
+      background: none;
+      border: 1px solid #f44336;
+      border-radius: 4px;
+      color: #f44336;
+      cursor: pointer;
+      margin-left: 10px;
+      padding: 2px 8px;
+    }
+    .reading-sentence {
+      background: rgba(255, 235, 59, 0.35);
+    }
+    .reading-word {
+      background: rgba(255, 193, 7, 0.85);
+      border-radius: 2px;
+    }
+    .spanishify-player button {
+      background: none;
+      border: 1px solid #ddd;
+      border-radius: 4px;
+      color: inherit;
+      cursor: pointer;
+      font-size: 16px;
+      min-width: 36px;
+      padding: 4px 8px;
+    }
+    .spanishify-player input[type="number"] {
+      width: 3em;
+    }
+    ${getReaderAppearanceStyles()}
   `;
-  indicator.textContent = 'Translating...';
-  return indicator;
+  root.appendChild(style);
+
+  document.body.appendChild(host);
+  readerOverlay = host;
+  document.addEventListener('keydown', handleReaderKeydown);
+  showReader();
+  return root;
 }
 
-async function translateText(text, difficulty) {
-  // Check cache first
-  const cacheKey = `${difficulty}:${text}`;
-  if (translationCache.has(cacheKey)) {
-    console.log('Cache hit for:', cacheKey);
-    return translationCache.get(cacheKey);
-  }
+function getReaderRoot() {
+  return readerOverlay ? readerOverlay.shadowRoot : document;
+}
 
-  console.log('Cache miss for:', cacheKey);
-  const prompt = getPromptForDifficulty(text, difficulty);
-  
-  try {
-    // Get API key from extension storage
-    const { apiKey } = await chrome.storage.sync.get('apiKey');
-    
-    if (!apiKey) {
-      throw new Error('OpenAI API key not configured. Please set it in the extension options.');
-    }
-
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: "gpt-3.5-turbo",
-        messages: [
-          {
-            role: "system",
-            content: "You are a helpful translator that translates English to Spanish with different difficulty levels. When translating multiple texts separated by '---', maintain the same separation in your response."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: 0.7,
-        max_tokens: 1000
-      })
-    });
+function isReaderVisible() {
+  return !!readerOverlay && readerOverlay.style.display !== 'none';
+}
 
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.error?.message || 'Translation failed');
-    }
-    
-    const translatedText = data.choices[0].message.content.trim();
-    
-    // Cache the translation
-    console.log('Caching translation for:', cacheKey);
-    translationCache.set(cacheKey, translatedText);
-    
-    return translatedText;
-  } catch (error) {
-    console.error('OpenAI API error:', error);
-    showNotification(`Translation failed: ${error.message}`, 'error');
-    return text; // Return original text if translation fails
-  }
+function showReader() {
+  if (!readerOverlay || isReaderVisible()) return;
+  readerOverlay.style.display = 'block';
+
+  // Keep the page underneath from scrolling along with the reader
+  savedPageOverflow = document.documentElement.style.overflow;
+  document.documentElement.style.overflow = 'hidden';
 }
 
-function getPromptForDifficulty(text, difficulty) {
-  // Convert numeric difficulty (1-10) to specific instructions
-  const level = parseInt(difficulty) || 5; // Default to middle level if invalid
-  
-  // Define CEFR levels and their corresponding features
-  const features = {
-    vocabulary: level <= 3 ? 'A1 (basic)' : level <= 6 ? 'A2-B1 (intermediate)' : 'B2-C1 (advanced)',
-    grammar: level <= 3 ? 'present tense only' : level <= 6 ? 'present, past, and future' : 'all tenses including subjunctive',
-    complexity: level <= 3 ? 'simple sentences' : level <= 6 ? 'compound sentences' : 'complex sentences',
-    idioms: level <= 3 ? 'no idioms' : level <= 6 ? 'common idioms' : 'sophisticated idioms',
-  };
+// Hide the reader but keep it, so the next popup click brings it back as it was
+function showOriginal() {
+  if (!isReaderVisible()) return;
+  readerOverlay.style.display = 'none';
+  document.documentElement.style.overflow = savedPageOverflow;
+}
 
-  // Build a detailed prompt based on the numeric level
-  return `Translate the following text(s) to Spanish at ${features.vocabulary} level. Use:
+function toggleReader() {
+  if (isReaderVisible()) {
+    showOriginal();
+  } else {
+    showReader();
+  }
+}
 
-- Vocabulary: ${features.vocabulary}
-- Grammar: ${features.grammar}
-- Sentence structure: ${features.complexity}
-- Idiomatic expressions: ${features.idioms}
-- Difficulty level: ${level}/10
+function closeReader() {
+  if (!readerOverlay) return;
+  finishReadingSession();
+  cancelTranslationRun();
+  stopReadAloud();
+  readAloud = null;
+  closeGlossary();
+  closeSelectionBar();
+  showOriginal();
+  readerOverlay.remove();
+  readerOverlay = null;
+  document.removeEventListener('keydown', handleReaderKeydown);
+}
 
-Maintain natural flow while keeping it at the appropriate level. If there are multiple texts separated by '---', translate each one separately.
+function handleReaderKeydown(event) {
+  if (event.key !== 'Escape' || !isReaderVisible()) return;
 
-Text(s) to translate: "${text}"`;
+  // Escape closes the glossary popover first, then the reader
+  if (glossaryPopover) {
+    closeGlossary();
+  } else {
+    closeReader();
+  }
 }
 
-function createDifficultyControls() {
-  const container = document.createElement('div');
-  container.style.cssText = `
-    width: 100%;
+function createReaderToolbar() {
+  const toolbar = document.createElement('div');
+  toolbar.className = 'reader-toolbar';
+  toolbar.style.cssText = `
+    display: flex;
+    justify-content: flex-end;
+    gap: 10px;
     max-width: 800px;
-    margin: 20px auto;
-    padding: 20px;
-    background: white;
-    border-radius: 8px;
-    box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+    margin: 20px auto 0;
+    padding: 0 20px;
+    font-family: Arial, sans-serif;
   `;
 
-  const label = document.createElement('label');
-  label.textContent = 'Nivel de dificultad en español: ';
-  label.style.cssText = `
-    display: block;
-    margin-bottom: 10px;
-    font-weight: bold;
+  const buttonStyle = `
+    background: white;
+    border: 1px solid #ddd;
+    border-radius: 4px;
+    padding: 8px 16px;
+    cursor: pointer;
+    font-size: 14px;
     color: #333;
   `;
 
-  const value = document.createElement('span');
-  value.className = 'difficulty-value';
-  value.textContent = currentDifficulty;
-  value.style.marginLeft = '10px';
-  label.appendChild(value);
-
-  const slider = document.createElement('input');
-  slider.type = 'range';
-  slider.min = '1';
-  slider.max = '10';
-  slider.value = currentDifficulty;
-  slider.style.cssText = `
-    width: 100%;
-    margin: 10px 0;
-    -webkit-appearance: none;
-    appearance: none;
-    height: 8px;
-    background: #ddd;
-    border-radius: 4px;
-    outline: none;
-  `;
+  const displayMode = document.createElement('select');
+  displayMode.className = 'display-mode';
+  displayMode.setAttribute('aria-label', 'Display mode');
+  displayMode.style.cssText = buttonStyle + 'margin-right: auto;';
+  Object.entries(DISPLAY_MODES).forEach(([mode, label]) => {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = label;
+    displayMode.appendChild(option);
+  });
+  displayMode.addEventListener('change', () => {
+    applyDisplayMode(displayMode.value);
+    chrome.storage.sync.set({ displayMode: displayMode.value });
+  });
 
-  // Add description element
-  const description = document.createElement('div');
-  description.className = 'level-description';
-  description.style.cssText = `
-    margin-top: 10px;
-    font-size: 0.9em;
+  // Which language and variety the article is being translated into
+  const variant = getLanguageVariant(getReaderLanguage());
+  const languageBadge = document.createElement('span');
+  languageBadge.className = 'reader-language';
+  languageBadge.textContent = `${variant.nativeLabel} (${variant.code})`;
+  languageBadge.setAttribute('title', `Translating into ${variant.name}. Change it in the extension options.`);
+  languageBadge.style.cssText = `
+    align-self: center;
+    font-size: 13px;
     color: #666;
   `;
 
-  // Add slider styles
-  const style = document.createElement('style');
-  style.textContent = `
-    input[type="range"]::-webkit-slider-thumb {
-      -webkit-appearance: none;
-      appearance: none;
-      width: 20px;
+  const quizButton = document.createElement('button');
+  quizButton.className = 'quiz-me';
+  quizButton.textContent = 'Quiz me';
+  quizButton.setAttribute('title', 'Questions about the article at your level');
+  quizButton.style.cssText = buttonStyle;
+  quizButton.addEventListener('click', toggleQuiz);
+
+  const originalButton = document.createElement('button');
+  originalButton.className = 'show-original';
+  originalButton.textContent = 'Show original';
+  originalButton.style.cssText = buttonStyle;
+  originalButton.addEventListener('click', showOriginal);
+
+  const closeButton = document.createElement('button');
+  closeButton.className = 'close-reader';
+  closeButton.textContent = 'Close reader';
+  closeButton.setAttribute('title', 'Close reader (Esc)');
+  closeButton.style.cssText = buttonStyle;
+  closeButton.addEventListener('click', closeReader);
+
+  toolbar.appendChild(displayMode);
+  toolbar.appendChild(languageBadge);
+  toolbar.appendChild(quizButton);
+  toolbar.appendChild(originalButton);
+  toolbar.appendChild(closeButton);
+  return toolbar;
+}
+
+function applyDisplayMode(mode) {
+  const displayMode = DISPLAY_MODES[mode] ? mode : DEFAULT_DISPLAY_MODE;
+  const root = getReaderRoot();
+  const readerContainer = root.getElementById('spanishify-reader');
+  if (readerContainer) {
+    readerContainer.dataset.displayMode = displayMode;
+  }
+  const select = root.querySelector('.display-mode');
+  if (select) {
+    select.value = displayMode;
+  }
+}
+
+// Font, size and colour theme chosen on the options page
+function applyReaderAppearance(readerContainer, settings) {
+  const theme = READER_THEMES[settings.readerTheme] ? settings.readerTheme : SETTINGS_DEFAULTS.readerTheme;
+  const font = READER_FONTS[settings.readerFont] ? settings.readerFont : SETTINGS_DEFAULTS.readerFont;
+  readerContainer.dataset.theme = theme;
+  readerContainer.dataset.font = font;
+  readerContainer.style.fontSize = `${settings.readerFontSize}px`;
+  if (readerOverlay) {
+    readerOverlay.style.background = READER_THEMES[theme].background;
+  }
+  const player = getReaderRoot().querySelector('.spanishify-player');
+  if (player) {
+    player.style.background = READER_THEMES[theme].surface;
+    player.style.color = READER_THEMES[theme].text;
+  }
+}
+
+// The paragraphs carry inline colours and fonts, so the themes override them
+function getReaderAppearanceStyles() {
+  const themes = Object.entries(READER_THEMES).map(([name, theme]) => `
+    [data-theme="${name}"],
+    [data-theme="${name}"] .spanishify-paragraph,
+    [data-theme="${name}"] .spanishify-practice-panel,
+    [data-theme="${name}"] .quiz-question {
+      background: ${theme.surface} !important;
+      color: ${theme.text} !important;
+    }
+    [data-theme="${name}"] .spanishify-translation {
+      color: ${theme.text} !important;
+    }
+  `);
+  const fonts = Object.entries(READER_FONTS).map(([name, font]) => `
+    [data-font="${name}"],
+    [data-font="${name}"] .spanishify-translation,
+    [data-font="${name}"] .spanishify-original {
+      font-family: ${font.family} !important;
+    }
+  `);
+  return themes.concat(fonts).join('');
+}
+
+// In reveal mode a tap shows the English under a paragraph, for touch screens
+function handleRevealClick(event) {
+  const readerContainer = event.currentTarget;
+  const translation = event.target.closest('.spanishify-translation');
+  if (readerContainer.dataset.displayMode !== 'reveal' || !translation) return;
+
+  // Word clicks open the glossary instead
+  if (event.target.closest('.spanishify-word')) return;
+
+  const revealed = translation.closest('.spanishify-paragraph').classList.toggle('revealed');
+  if (revealed && readingSession) {
+    readingSession.reveals++;
+  }
+}
+
+// Split a translated text node into clickable word spans
+function wrapWords(textNode) {
+  const text = textNode.textContent;
+  const fragment = document.createDocumentFragment();
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    if (match.index > lastIndex) {
+      fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+    }
+    const word = document.createElement('span');
+    word.className = 'spanishify-word';
+    word.textContent = match[0];
+    fragment.appendChild(word);
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+  }
+  textNode.replaceWith(fragment);
+}
+
+// Make the words of a translated block clickable, leaving code alone
+function wrapBlockWords(block) {
+  const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  let node;
+  while (node = walker.nextNode()) {
+    if (!node.parentElement.closest(UNTRANSLATED_ELEMENTS)) {
+      textNodes.push(node);
+    }
+  }
+  textNodes.forEach(wrapWords);
+}
+
+// The sentence of a paragraph that contains the word, sent along for context;
+// words that run across sentences get the fallback, the whole paragraph by default
+function findSentence(text, word, fallback = text) {
+  const sentences = text.match(/[^.!?]+[.!?]*/g) || [text];
+  return (sentences.find(sentence => sentence.includes(word)) || fallback).trim();
+}
+
+async function handleWordClick(event) {
+  const wordElement = event.target.closest('.spanishify-word');
+  if (!wordElement) return;
+
+  event.preventDefault();
+  event.stopPropagation();
+  await showGlossary(wordElement);
+}
+
+async function showGlossary(wordElement) {
+  closeGlossary();
+
+  const word = wordElement.textContent;
+  const paragraph = wordElement.closest('.spanishify-translation');
+  const context = findSentence(paragraph ? paragraph.textContent : word, word);
+
+  if (readingSession) {
+    readingSession.lookups++;
+  }
+
+  const popover = createGlossaryPopover(word);
+  positionGlossaryPopover(popover, wordElement);
+  getReaderRoot().appendChild(popover);
+  glossaryPopover = popover;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'lookupWord',
+      word,
+      context,
+      level: currentDifficulty,
+      language: getReaderLanguage()
+    });
+    if (!response || response.error) {
+      throw new Error(response?.error || 'No response from the translation service');
+    }
+    // The popover may have been closed or replaced while we waited
+    if (glossaryPopover !== popover) return;
+    renderGlossaryEntry(popover, response.entry, context);
+  } catch (error) {
+    if (glossaryPopover !== popover) return;
+    console.error('Word lookup failed:', error);
+    popover.querySelector('.glossary-body').textContent = `Lookup failed: ${error.message}`;
+  }
+}
+
+function closeGlossary() {
+  if (!glossaryPopover) return;
+  glossaryPopover.remove();
+  glossaryPopover = null;
+}
+
+function createGlossaryPopover(word) {
+  const popover = document.createElement('div');
+  popover.className = 'spanishify-glossary';
+  popover.setAttribute('role', 'dialog');
+  popover.setAttribute('aria-label', `Glossary: ${word}`);
+  popover.style.cssText = `
+    position: absolute;
+    width: 280px;
+    padding: 12px 15px;
+    background: white;
+    border-radius: 8px;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+    font-family: Arial, sans-serif;
+    font-size: 14px;
+    line-height: 1.5;
+    color: #333;
+    z-index: 1;
+  `;
+
+  const header = document.createElement('div');
+  header.style.cssText = `
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    margin-bottom: 8px;
+  `;
+
+  const title = document.createElement('strong');
+  title.className = 'glossary-word';
+  title.textContent = word;
+  title.style.cssText = `
+    flex: 1;
+    font-size: 1.2em;
+  `;
+
+  const speakButton = document.createElement('button');
+  speakButton.className = 'glossary-speak';
+  speakButton.textContent = '🔊';
+  speakButton.setAttribute('aria-label', 'Speak this word');
+  speakButton.style.cssText = `
+    background: none;
+    border: none;
+    cursor: pointer;
+    font-size: 1.1em;
+  `;
+  speakButton.addEventListener('click', () => speakText(word));
+
+  const closeButton = document.createElement('button');
+  closeButton.className = 'glossary-close';
+  closeButton.textContent = '×';
+  closeButton.setAttribute('aria-label', 'Close');
+  closeButton.style.cssText = `
+    background: none;
+    border: none;
+    cursor: pointer;
+    font-size: 1.3em;
+    color: #666;
+  `;
+  closeButton.addEventListener('click', closeGlossary);
+
+  header.appendChild(title);
+  header.appendChild(speakButton);
+  header.appendChild(closeButton);
+
+  const body = document.createElement('div');
+  body.className = 'glossary-body';
+  body.textContent = 'Looking up...';
+
+  popover.appendChild(header);
+  popover.appendChild(body);
+  return popover;
+}
+
+// Place the popover under the word, inside the scrolling overlay
+function positionGlossaryPopover(popover, wordElement, width = 280) {
+  const wordRect = wordElement.getBoundingClientRect();
+  const hostRect = readerOverlay.getBoundingClientRect();
+  const maxLeft = Math.max(0, readerOverlay.clientWidth - width - 20);
+  const left = Math.min(wordRect.left - hostRect.left + readerOverlay.scrollLeft, maxLeft);
+  const top = wordRect.bottom - hostRect.top + readerOverlay.scrollTop + 6;
+  popover.style.left = `${Math.max(0, left)}px`;
+  popover.style.top = `${top}px`;
+}
+
+function renderGlossaryEntry(popover, entry, context = '') {
+  const body = popover.querySelector('.glossary-body');
+  body.textContent = '';
+
+  const gloss = document.createElement('div');
+  gloss.className = 'glossary-gloss';
+  gloss.textContent = entry.gloss;
+  gloss.style.fontWeight = 'bold';
+  body.appendChild(gloss);
+
+  const details = [entry.lemma, entry.partOfSpeech].filter(Boolean).join(' · ');
+  if (details) {
+    const lemma = document.createElement('div');
+    lemma.className = 'glossary-lemma';
+    lemma.textContent = details;
+    lemma.style.color = '#666';
+    body.appendChild(lemma);
+  }
+
+  if (entry.verb) {
+    const verb = document.createElement('div');
+    verb.className = 'glossary-verb';
+    const form = [entry.verb.tense, entry.verb.person].filter(Boolean).join(', ');
+    verb.textContent = form
+      ? `Verb: ${entry.verb.infinitive} (${form})`
+      : `Verb: ${entry.verb.infinitive}`;
+    verb.style.cssText = `
+      margin-top: 6px;
+      color: #4285F4;
+    `;
+    body.appendChild(verb);
+  }
+
+  const saveButton = document.createElement('button');
+  saveButton.className = 'glossary-save';
+  saveButton.textContent = 'Save word';
+  saveButton.style.marginTop = '10px';
+  saveButton.addEventListener('click', async () => {
+    saveButton.disabled = true;
+    const saved = await saveToVocabulary({
+      word: entry.word || popover.querySelector('.glossary-word').textContent,
+      lemma: entry.lemma,
+      partOfSpeech: entry.partOfSpeech,
+      gloss: entry.gloss,
+      context
+    });
+    saveButton.textContent = saved ? 'Saved ✓' : 'Save word';
+    saveButton.disabled = saved;
+  });
+  body.appendChild(saveButton);
+}
+
+// Store a word with where it was met: sentence, page and reader level
+async function saveToVocabulary(details) {
+  try {
+    await addVocabularyEntry({
+      ...details,
+      language: getTargetLanguage(getReaderLanguage()).code,
+      url: location.href,
+      level: currentDifficulty
+    });
+    console.log('Saved to vocabulary:', details.word);
+    return true;
+  } catch (error) {
+    reportError(error, 'saveToVocabulary');
+    showNotification(`Could not save "${details.word}": ${error.message}`, 'error');
+    return false;
+  }
+}
+
+function getReaderSelection() {
+  const root = getReaderRoot();
+  // Chrome reports selections inside a shadow root only through the root itself
+  return root.getSelection ? root.getSelection() : document.getSelection();
+}
+
+function handleReaderSelection(event) {
+  if (selectionBar && selectionBar.contains(event.target)) return;
+
+  const selection = getReaderSelection();
+  const text = selection ? selection.toString().trim() : '';
+  if (!text || text.length > MAX_EXPLAIN_SELECTION_LENGTH || selection.rangeCount === 0) return;
+
+  const anchor = selection.getRangeAt(0).commonAncestorContainer;
+  const element = anchor.nodeType === Node.ELEMENT_NODE ? anchor : anchor.parentElement;
+  const translation = element && element.closest('.spanishify-translation');
+  if (!translation) return;
+
+  closeSelectionBar();
+  const paragraphText = translation.textContent;
+  const bar = createSelectionBar(text, findSentence(paragraphText, text), {
+    // A selection across sentences is explained as it is, not as the whole paragraph
+    sentence: findSentence(paragraphText, text, text),
+    original: translation.closest('.spanishify-paragraph')?.querySelector('.spanishify-original')?.textContent.trim() || '',
+    anchor: element
+  });
+  positionGlossaryPopover(bar, element);
+  getReaderRoot().appendChild(bar);
+  selectionBar = bar;
+}
+
+function closeSelectionBar() {
+  if (!selectionBar) return;
+  selectionBar.remove();
+  selectionBar = null;
+}
+
+function createSelectionBar(text, context, explain) {
+  const bar = document.createElement('div');
+  bar.className = 'spanishify-selection-bar';
+  bar.style.cssText = `
+    position: absolute;
+    display: flex;
+    gap: 6px;
+    padding: 6px;
+    background: white;
+    border-radius: 6px;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+    font-family: Arial, sans-serif;
+    z-index: 1;
+  `;
+
+  const saveButton = document.createElement('button');
+  saveButton.className = 'selection-save';
+  saveButton.textContent = 'Save to vocabulary';
+  saveButton.addEventListener('click', async () => {
+    saveButton.disabled = true;
+    saveButton.textContent = 'Saving...';
+
+    // The meaning is a bonus; the word is saved even if the lookup fails
+    let entry = {};
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'lookupWord',
+        word: text,
+        context,
+        level: currentDifficulty,
+        language: getReaderLanguage()
+      });
+      entry = response?.entry || {};
+    } catch (error) {
+      console.error('Lookup for saved selection failed:', error);
+    }
+
+    const saved = await saveToVocabulary({
+      word: text,
+      lemma: entry.lemma,
+      partOfSpeech: entry.partOfSpeech,
+      gloss: entry.gloss,
+      context
+    });
+    closeSelectionBar();
+    if (saved) {
+      showNotification(`Saved "${text}" to your vocabulary`);
+    }
+  });
+
+  const explainButton = document.createElement('button');
+  explainButton.className = 'selection-explain';
+  explainButton.textContent = 'Explain this sentence';
+  explainButton.addEventListener('click', (event) => {
+    // The popover opens on this click, which must not reach the reader's close-on-click
+    event.stopPropagation();
+    closeSelectionBar();
+    showSentenceExplanation(explain.sentence, explain.original, explain.anchor);
+  });
+
+  // Whole sentences are too long to be vocabulary
+  if (text.length <= MAX_SELECTION_LENGTH) {
+    bar.appendChild(saveButton);
+  }
+  bar.appendChild(explainButton);
+  return bar;
+}
+
+// Break a sentence down into its verb forms, grammar rules and translations,
+// at the reader's level, in the glossary popover
+async function showSentenceExplanation(sentence, original, anchor) {
+  closeGlossary();
+
+  const popover = createGlossaryPopover(sentence);
+  popover.classList.add('spanishify-explanation');
+  popover.setAttribute('aria-label', `Explanation: ${sentence}`);
+  popover.style.width = '360px';
+  popover.querySelector('.glossary-word').style.fontSize = '1em';
+  popover.querySelector('.glossary-body').textContent = 'Explaining...';
+  positionGlossaryPopover(popover, anchor, 360);
+  getReaderRoot().appendChild(popover);
+  glossaryPopover = popover;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'explainSentence',
+      sentence,
+      original,
+      level: currentDifficulty,
+      language: getReaderLanguage()
+    });
+    if (!response || response.error) {
+      throw new Error(response?.error || 'No response from the translation service');
+    }
+    if (glossaryPopover !== popover) return;
+    renderSentenceExplanation(popover, response.explanation);
+  } catch (error) {
+    if (glossaryPopover !== popover) return;
+    console.error('Sentence explanation failed:', error);
+    popover.querySelector('.glossary-body').textContent = `Could not explain the sentence: ${error.message}`;
+  }
+}
+
+function renderSentenceExplanation(popover, explanation) {
+  const body = popover.querySelector('.glossary-body');
+  body.textContent = '';
+
+  if (explanation.idiomatic) {
+    const idiomatic = document.createElement('div');
+    idiomatic.className = 'explanation-idiomatic';
+    idiomatic.textContent = explanation.idiomatic;
+    idiomatic.style.fontWeight = 'bold';
+    body.appendChild(idiomatic);
+  }
+
+  if (explanation.literal) {
+    const literal = document.createElement('div');
+    literal.className = 'explanation-literal';
+    literal.textContent = `Word for word: ${explanation.literal}`;
+    literal.style.color = '#666';
+    body.appendChild(literal);
+  }
+
+  const addSection = (title, items, className, describe) => {
+    if (items.length === 0) return;
+    const heading = document.createElement('div');
+    heading.className = 'explanation-heading';
+    heading.textContent = title;
+    heading.style.cssText = `
+      margin-top: 10px;
+      color: #4285F4;
+      font-weight: bold;
+    `;
+    const list = document.createElement('ul');
+    list.style.cssText = `
+      margin: 4px 0 0;
+      padding-left: 18px;
+    `;
+    items.forEach(item => {
+      const entry = document.createElement('li');
+      entry.className = className;
+      entry.textContent = describe(item);
+      list.appendChild(entry);
+    });
+    body.appendChild(heading);
+    body.appendChild(list);
+  };
+
+  addSection('Verbs', explanation.verbs, 'explanation-verb', (verb) => {
+    const form = [verb.tense, verb.person].filter(Boolean).join(', ');
+    const name = form ? `${verb.form}: ${verb.infinitive} (${form})` : `${verb.form}: ${verb.infinitive}`;
+    return verb.use ? `${name}. ${verb.use}` : name;
+  });
+  addSection('Grammar', explanation.grammar, 'explanation-rule', (item) =>
+    (item.explanation ? `${item.rule}: ${item.explanation}` : item.rule));
+}
+
+// Each paragraph block of the reader with the translatable elements still to translate;
+// an element goes out whole, inline markup included, so sentences stay intact
+function collectParagraphs(readerContainer) {
+  const paragraphs = new Map();
+  readerContainer.querySelectorAll('.spanishify-translation').forEach(block => {
+    if (!hasTranslatableText(block)) return;
+
+    let element = block;
+    while (element.parentElement !== readerContainer) {
+      element = element.parentElement;
+    }
+    if (!paragraphs.has(element)) {
+      paragraphs.set(element, { element, remaining: [], status: 'pending' });
+    }
+    paragraphs.get(element).remaining.push(block);
+  });
+  return Array.from(paragraphs.values());
+}
+
+// Group whole paragraphs into batches of about batchSize blocks
+function batchParagraphs(paragraphs, batchSize = userSettings.batchSize) {
+  const batches = [];
+  let batch = [];
+  let nodeCount = 0;
+  paragraphs.forEach(paragraph => {
+    batch.push(paragraph);
+    nodeCount += paragraph.remaining.length;
+    if (nodeCount >= batchSize) {
+      batches.push(batch);
+      batch = [];
+      nodeCount = 0;
+    }
+  });
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+  return batches;
+}
+
+function startTranslationRun(level) {
+  cancelTranslationRun();
+  activeRun = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+    level,
+    cancelled: false
+  };
+  return activeRun;
+}
+
+// Stop the current run: queued batches are dropped and late results ignored
+function cancelTranslationRun() {
+  if (!activeRun || activeRun.cancelled) return;
+  activeRun.cancelled = true;
+
+  chrome.runtime.sendMessage({ type: 'cancelTranslation', runId: activeRun.id })
+    .catch(error => console.error('Failed to cancel queued translations:', error));
+
+  readerParagraphs
+    .filter(paragraph => paragraph.status === 'pending')
+    .forEach(paragraph => setParagraphStatus(paragraph, 'cancelled'));
+  updateProgress();
+}
+
+async function runParagraphBatches(batches, run) {
+  let next = 0;
+  const worker = async () => {
+    while (next < batches.length && !run.cancelled) {
+      const batch = batches[next++];
+      console.log(`Translating batch ${next} of ${batches.length}`);
+      await translateParagraphs(batch, run);
+    }
+  };
+
+  const workerCount = Math.min(MAX_CONCURRENT_BATCHES, batches.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+}
+
+async function translateParagraphs(paragraphs, run) {
+  paragraphs.forEach(paragraph => setParagraphStatus(paragraph, 'pending'));
+  updateProgress();
+
+  const blocks = paragraphs.flatMap(paragraph => paragraph.remaining);
+  const encoded = blocks.map(block => encodeInlineMarkup(block));
+  try {
+    const translatedParts = await translateBatch(encoded.map(item => item.text), run.level, run.id);
+    if (run.cancelled) return;
+
+    // Update each block that came back translated, putting its markup back
+    const translated = new Set();
+    blocks.forEach((block, index) => {
+      if (translatedParts[index]) {
+        restoreInlineMarkup(block, translatedParts[index], encoded[index].elements);
+        translated.add(block);
+        wrapBlockWords(block);
+      }
+    });
+
+    paragraphs.forEach(paragraph => {
+      paragraph.remaining = paragraph.remaining.filter(block => !translated.has(block));
+      setParagraphStatus(paragraph, paragraph.remaining.length === 0 ? 'done' : 'failed');
+      if (paragraph.status === 'done') {
+        updateImageAlt(paragraph.element);
+      }
+    });
+  } catch (error) {
+    if (run.cancelled) return;
+    console.error('Translation error for batch:', error);
+    paragraphs.forEach(paragraph => setParagraphStatus(paragraph, 'failed', error.message));
+  } finally {
+    updateProgress();
+  }
+}
+
+function setParagraphStatus(paragraph, status, message = '') {
+  paragraph.status = status;
+  paragraph.element.dataset.status = status;
+
+  let retryButton = paragraph.element.querySelector('.spanishify-retry');
+  if (status === 'failed' || status === 'cancelled') {
+    if (!retryButton) {
+      retryButton = document.createElement('button');
+      retryButton.className = 'spanishify-retry';
+      retryButton.textContent = '↻';
+      retryButton.setAttribute('aria-label', 'Retry translation');
+      paragraph.element.appendChild(retryButton);
+    }
+    retryButton.title = message ? `Retry translation (${message})` : 'Retry translation';
+  } else if (retryButton) {
+    retryButton.remove();
+  }
+}
+
+async function handleRetryButtonClick(event) {
+  const retryButton = event.target.closest('.spanishify-retry');
+  if (!retryButton) return;
+
+  event.preventDefault();
+  event.stopPropagation();
+
+  const paragraph = readerParagraphs.find(item => item.element.contains(retryButton));
+  if (!paragraph) return;
+
+  // A cancelled run stays cancelled, so retries after "Cancel" get a fresh one
+  const run = activeRun && !activeRun.cancelled ? activeRun : startTranslationRun(currentDifficulty);
+  await translateParagraphs([paragraph], run);
+}
+
+function createProgressBar() {
+  const progress = document.createElement('div');
+  progress.className = 'translation-progress';
+  progress.style.cssText = `
+    display: flex;
+    align-items: center;
+    gap: 15px;
+    max-width: 800px;
+    margin: 0 auto 20px;
+    padding: 10px 20px;
+    box-sizing: border-box;
+    font-family: Arial, sans-serif;
+    font-size: 14px;
+    color: #333;
+  `;
+
+  const label = document.createElement('span');
+  label.className = 'progress-label';
+  label.style.cssText = `
+    flex: 0 0 auto;
+    min-width: 120px;
+  `;
+
+  const track = document.createElement('div');
+  track.style.cssText = `
+    flex: 1;
+    height: 8px;
+    background: #ddd;
+    border-radius: 4px;
+    overflow: hidden;
+  `;
+
+  const fill = document.createElement('div');
+  fill.className = 'progress-fill';
+  fill.style.cssText = `
+    width: 0;
+    height: 100%;
+    background: #4285F4;
+    transition: width 0.2s;
+  `;
+  track.appendChild(fill);
+
+  const cancelButton = document.createElement('button');
+  cancelButton.className = 'cancel-translation';
+  cancelButton.textContent = 'Cancel';
+  cancelButton.style.cssText = `
+    background: white;
+    border: 1px solid #ddd;
+    border-radius: 4px;
+    padding: 4px 12px;
+    cursor: pointer;
+  `;
+  cancelButton.addEventListener('click', cancelTranslationRun);
+
+  progress.appendChild(label);
+  progress.appendChild(track);
+  progress.appendChild(cancelButton);
+  return progress;
+}
+
+function updateProgress() {
+  const progress = getReaderRoot().querySelector('.translation-progress');
+  if (!progress) return;
+
+  const total = readerParagraphs.length;
+  const count = (status) => readerParagraphs.filter(paragraph => paragraph.status === status).length;
+  const done = count('done');
+  const failed = count('failed');
+  const cancelled = count('cancelled');
+
+  let text = `${done}/${total} paragraphs`;
+  if (failed > 0) text += ` · ${failed} failed`;
+  if (cancelled > 0) text += ` · ${cancelled} cancelled`;
+  progress.querySelector('.progress-label').textContent = text;
+  progress.querySelector('.progress-fill').style.width = total ? `${(done / total) * 100}%` : '0';
+  progress.querySelector('.cancel-translation').style.display = count('pending') > 0 ? '' : 'none';
+}
+
+// Speech buttons are rendered as HTML, so their clicks are handled on the reader
+async function handleSpeechButtonClick(event) {
+  const speechButton = event.target.closest('.spanishify-speak');
+  if (!speechButton) return;
+
+  event.preventDefault();
+  event.stopPropagation();
+
+  const text = speechButton.closest('.spanishify-paragraph')?.querySelector('.spanishify-translation')?.textContent.trim();
+  console.log('Speech button clicked for:', (text || '').substring(0, 50) + '...');
+
+  if (!voicesLoaded) {
+    console.log('Voices not loaded yet, loading now...');
+    try {
+      await initVoices();
+    } catch (e) {
+      console.error('Failed to initialize voices:', e);
+    }
+  }
+
+  pauseReadAloud();
+  speakText(text);
+}
+
+// The practice panel opens under a translated paragraph, one row per sentence
+function handlePracticeButtonClick(event) {
+  const practiceButton = event.target.closest('.spanishify-practice');
+  if (!practiceButton) return;
+
+  event.preventDefault();
+  event.stopPropagation();
+
+  const paragraph = practiceButton.closest('.spanishify-paragraph');
+  const open = paragraph.nextElementSibling;
+  if (open?.classList.contains('spanishify-practice-panel')) {
+    open.remove();
+    return;
+  }
+  if (paragraph.dataset.status !== 'done') {
+    showNotification('Practise a paragraph once it has been translated.', 'info');
+    return;
+  }
+
+  const text = paragraph.querySelector('.spanishify-translation').textContent;
+  paragraph.after(createPracticePanel(splitSentences(text, getReaderLanguage())));
+}
+
+function createPracticePanel(sentences) {
+  const panel = document.createElement('div');
+  panel.className = 'spanishify-practice-panel';
+  panel.style.cssText = `
+    margin: -1em 0 1.5em 45px;
+    padding: 10px 15px;
+    background: white;
+    border-radius: 8px;
+    box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+    font-family: Arial, sans-serif;
+    font-size: 14px;
+  `;
+
+  const summary = document.createElement('div');
+  summary.className = 'practice-summary';
+  summary.style.cssText = 'color: #777; font-size: 12px; margin-bottom: 6px;';
+  panel.appendChild(summary);
+
+  sentences.forEach(sentence => {
+    const row = document.createElement('div');
+    row.className = 'practice-sentence';
+    row.dataset.sentence = sentence.text;
+    row.style.cssText = 'padding: 8px 0; border-top: 1px solid #eee;';
+
+    const target = document.createElement('div');
+    target.className = 'practice-target';
+    target.setAttribute('lang', getReaderLanguage());
+    target.textContent = sentence.text;
+    target.style.cssText = 'font-size: 16px; line-height: 1.6;';
+
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; align-items: center; gap: 10px; margin-top: 4px;';
+
+    const listen = document.createElement('button');
+    listen.className = 'practice-listen';
+    listen.textContent = '🔊 Listen';
+    listen.addEventListener('click', () => {
+      pauseReadAloud();
+      speakText(sentence.text);
+    });
+
+    const record = document.createElement('button');
+    record.className = 'practice-record';
+    record.textContent = '🎤 Say it';
+    record.addEventListener('click', () => practiceSentence(row, sentence.text));
+
+    const result = document.createElement('span');
+    result.className = 'practice-result';
+
+    actions.appendChild(listen);
+    actions.appendChild(record);
+    actions.appendChild(result);
+
+    const history = document.createElement('div');
+    history.className = 'practice-history';
+    history.style.cssText = 'color: #777; font-size: 12px;';
+
+    row.appendChild(target);
+    row.appendChild(actions);
+    row.appendChild(history);
+    panel.appendChild(row);
+  });
+
+  getPronunciationAttempts()
+    .then(attempts => {
+      updatePracticeSummary(panel, attempts);
+      panel.querySelectorAll('.practice-sentence').forEach(row => {
+        updatePracticeHistory(row, attempts);
+      });
+    })
+    .catch(error => console.error('Failed to load pronunciation attempts:', error));
+
+  return panel;
+}
+
+// Record the learner saying a sentence, then mark the words they missed or mispronounced
+async function practiceSentence(row, sentence) {
+  const record = row.querySelector('.practice-record');
+  const language = getReaderLanguage();
+
+  // Don't let the reader's own voice be recorded
+  pauseReadAloud();
+  if (isBrowserSpeech() && window.speechSynthesis) {
+    window.speechSynthesis.cancel();
+  }
+
+  record.disabled = true;
+  record.textContent = '⏺ Listening...';
+  let transcripts;
+  try {
+    transcripts = await listenForSpeech(language);
+  } catch (error) {
+    console.error('Speech recognition failed:', error);
+    showNotification(error.message, 'error');
+    return;
+  } finally {
+    record.disabled = false;
+    record.textContent = '🎤 Say it';
+  }
+
+  if (transcripts.length === 0) {
+    showNotification('Nothing was recognised. Try saying the sentence again.', 'info');
+    return;
+  }
+
+  const result = scorePronunciation(sentence, transcripts);
+  showPracticeResult(row, sentence, result);
+
+  try {
+    await savePronunciationAttempt({
+      sentence,
+      language,
+      transcript: result.transcript,
+      score: result.score,
+      missed: result.words.filter(word => word.status !== 'correct').map(word => word.text),
+      url: location.href,
+      level: currentDifficulty
+    });
+    const attempts = await getPronunciationAttempts();
+    updatePracticeHistory(row, attempts);
+    updatePracticeSummary(row.closest('.spanishify-practice-panel'), attempts);
+  } catch (error) {
+    console.error('Failed to save pronunciation attempt:', error);
+  }
+}
+
+// Colour each word of the sentence by how it was heard
+function showPracticeResult(row, sentence, result) {
+  const target = row.querySelector('.practice-target');
+  target.textContent = '';
+  let lastIndex = 0;
+  result.words.forEach(word => {
+    if (word.start > lastIndex) {
+      target.appendChild(document.createTextNode(sentence.slice(lastIndex, word.start)));
+    }
+    const span = document.createElement('span');
+    span.className = `practice-word ${word.status}`;
+    span.textContent = word.text;
+    if (word.status === 'mispronounced') {
+      span.title = `Heard "${word.heard}"`;
+    } else if (word.status === 'missed') {
+      span.title = 'Not heard';
+    }
+    target.appendChild(span);
+    lastIndex = word.end;
+  });
+  if (lastIndex < sentence.length) {
+    target.appendChild(document.createTextNode(sentence.slice(lastIndex)));
+  }
+
+  row.querySelector('.practice-result').textContent = `${result.score}% · heard "${result.transcript}"`;
+}
+
+// Scores of the earlier attempts at one sentence, oldest first
+function updatePracticeHistory(row, attempts) {
+  const scores = getSentenceAttempts(attempts, row.dataset.sentence, getReaderLanguage()).map(attempt => attempt.score);
+  row.querySelector('.practice-history').textContent = scores.length
+    ? `${scores.length} attempt${scores.length === 1 ? '' : 's'}: ${scores.slice(-5).map(score => `${score}%`).join(' → ')} · best ${Math.max(...scores)}%`
+    : '';
+}
+
+function updatePracticeSummary(panel, attempts) {
+  const summary = summarizePronunciation(attempts);
+  panel.querySelector('.practice-summary').textContent = summary.attempts
+    ? `You have practised ${summary.sentences} sentence${summary.sentences === 1 ? '' : 's'} in ${summary.attempts} attempt${summary.attempts === 1 ? '' : 's'}. Average score: ${summary.firstAverage}% at first, ${summary.recentAverage}% lately.`
+    : 'Listen to a sentence, then say it. Words you miss or mispronounce are marked.';
+}
+
+// Quiz at the end of the article about the paragraphs translated so far
+function toggleQuiz() {
+  const root = getReaderRoot();
+  const open = root.getElementById('spanishify-quiz');
+  if (open) {
+    open.remove();
+    return;
+  }
+
+  const text = getReadAloudBlocks().map(block => block.textContent.trim()).join('\n\n');
+  if (!text) {
+    showNotification('Nothing has been translated yet to make a quiz from.', 'info');
+    return;
+  }
+
+  const panel = createQuizPanel(text);
+  root.insertBefore(panel, root.querySelector('.spanishify-player'));
+  if (panel.scrollIntoView) {
+    panel.scrollIntoView({ block: 'start', behavior: 'smooth' });
+  }
+  loadQuiz(panel, text);
+}
+
+function createQuizPanel(text) {
+  const panel = document.createElement('section');
+  panel.id = 'spanishify-quiz';
+  panel.style.cssText = `
+    max-width: 800px;
+    margin: 0 auto;
+    padding: 0 20px 40px;
+    box-sizing: border-box;
+    font-family: Arial, sans-serif;
+  `;
+
+  const heading = document.createElement('h2');
+  heading.textContent = 'Quiz';
+
+  const status = document.createElement('p');
+  status.className = 'quiz-status';
+
+  const questions = document.createElement('form');
+  questions.className = 'quiz-questions';
+  questions.addEventListener('submit', event => event.preventDefault());
+
+  const actions = document.createElement('div');
+  actions.className = 'quiz-actions';
+  actions.style.cssText = 'display: flex; align-items: center; gap: 10px;';
+
+  const check = document.createElement('button');
+  check.className = 'quiz-check';
+  check.textContent = 'Check answers';
+
+  const newQuiz = document.createElement('button');
+  newQuiz.className = 'quiz-new';
+  newQuiz.textContent = 'New questions';
+  newQuiz.addEventListener('click', () => loadQuiz(panel, text, true));
+
+  const score = document.createElement('strong');
+  score.className = 'quiz-score';
+
+  actions.appendChild(check);
+  actions.appendChild(newQuiz);
+  actions.appendChild(score);
+
+  const history = document.createElement('p');
+  history.className = 'quiz-history';
+  history.style.cssText = 'color: #777; font-size: 13px;';
+
+  panel.appendChild(heading);
+  panel.appendChild(status);
+  panel.appendChild(questions);
+  panel.appendChild(actions);
+  panel.appendChild(history);
+  return panel;
+}
+
+async function loadQuiz(panel, text, fresh = false) {
+  const status = panel.querySelector('.quiz-status');
+  const actions = panel.querySelector('.quiz-actions');
+  status.textContent = 'Writing questions about the article...';
+  panel.querySelector('.quiz-questions').textContent = '';
+  panel.querySelector('.quiz-score').textContent = '';
+  actions.style.display = 'none';
+  showQuizHistory(panel);
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'generateQuiz',
+      text,
+      level: currentDifficulty,
+      language: getReaderLanguage(),
+      fresh
+    });
+    if (!response || response.error) {
+      throw new Error(response?.error || 'No response from the extension');
+    }
+    status.textContent = '';
+    renderQuiz(panel, response.quiz.questions);
+    actions.style.display = 'flex';
+  } catch (error) {
+    console.error('Quiz failed:', error);
+    status.textContent = `Could not make a quiz: ${error.message}`;
+  }
+}
+
+function renderQuiz(panel, questions) {
+  const form = panel.querySelector('.quiz-questions');
+  form.setAttribute('lang', getReaderLanguage());
+  questions.forEach((question, index) => form.appendChild(createQuizQuestion(question, index)));
+  panel.querySelector('.quiz-check').onclick = () => checkQuiz(panel, questions);
+}
+
+function createQuizQuestion(question, index) {
+  const fieldset = document.createElement('fieldset');
+  fieldset.className = 'quiz-question';
+  fieldset.dataset.type = question.type;
+
+  const legend = document.createElement('legend');
+  legend.style.fontWeight = 'bold';
+  fieldset.appendChild(legend);
+
+  const addOption = (value, text) => {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'radio';
+    input.name = `quiz-${index}`;
+    input.value = value;
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(` ${text}`));
+    fieldset.appendChild(label);
+  };
+
+  if (question.type === 'multiple-choice') {
+    legend.textContent = `${index + 1}. ${question.question}`;
+    question.choices.forEach((choice, choiceIndex) => addOption(choiceIndex, choice));
+  } else if (question.type === 'true-false') {
+    legend.textContent = `${index + 1}. True or false?`;
+    const statement = document.createElement('p');
+    statement.textContent = question.question;
+    fieldset.appendChild(statement);
+    addOption('true', 'True');
+    addOption('false', 'False');
+  } else if (question.type === 'cloze') {
+    legend.textContent = `${index + 1}. Fill in the missing word`;
+    const sentence = document.createElement('p');
+    const [before, after] = question.question.split('___');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'quiz-cloze';
+    input.setAttribute('aria-label', 'Missing word');
+    input.style.cssText = 'width: 8em; margin: 0 4px;';
+    sentence.appendChild(document.createTextNode(before));
+    sentence.appendChild(input);
+    sentence.appendChild(document.createTextNode(after));
+    fieldset.appendChild(sentence);
+  } else {
+    legend.textContent = `${index + 1}. ${question.question}`;
+    // Meanings listed alphabetically so their order gives nothing away
+    const meanings = question.pairs.map(pair => pair.meaning).sort((a, b) => a.localeCompare(b));
+    question.pairs.forEach(pair => {
+      const label = document.createElement('label');
+      label.textContent = `${pair.word} `;
+      const select = document.createElement('select');
+      select.className = 'quiz-match';
+      ['', ...meanings].forEach(meaning => {
+        const option = document.createElement('option');
+        option.value = meaning;
+        option.textContent = meaning || 'Choose...';
+        select.appendChild(option);
+      });
+      label.appendChild(select);
+      fieldset.appendChild(label);
+    });
+  }
+
+  const feedback = document.createElement('div');
+  feedback.className = 'quiz-feedback';
+  fieldset.appendChild(feedback);
+  return fieldset;
+}
+
+function readQuizAnswer(fieldset, question) {
+  const checked = fieldset.querySelector('input[type="radio"]:checked');
+  if (question.type === 'multiple-choice') {
+    return checked ? Number(checked.value) : null;
+  }
+  if (question.type === 'true-false') {
+    return checked ? checked.value === 'true' : null;
+  }
+  if (question.type === 'cloze') {
+    return fieldset.querySelector('.quiz-cloze').value;
+  }
+  return Array.from(fieldset.querySelectorAll('.quiz-match')).map(select => select.value);
+}
+
+// Mark every answer, explain the wrong ones and keep the score for this article
+async function checkQuiz(panel, questions) {
+  const fieldsets = Array.from(panel.querySelectorAll('.quiz-question'));
+  const answers = fieldsets.map((fieldset, index) => readQuizAnswer(fieldset, questions[index]));
+  const { results, score, total } = gradeQuiz(questions, answers);
+
+  results.forEach((result, index) => {
+    const fieldset = fieldsets[index];
+    fieldset.dataset.result = result.correct ? 'correct' : 'incorrect';
+    const feedback = fieldset.querySelector('.quiz-feedback');
+    feedback.style.color = result.correct ? '#2E7D32' : '#C62828';
+    feedback.textContent = result.correct
+      ? `✓ Correct${result.note ? `. ${result.note}` : ''}`
+      : `✗ The answer is: ${result.expected}. ${questions[index].explanation}`.trim();
+
+    if (result.pairs) {
+      fieldset.querySelectorAll('.quiz-match').forEach((select, pairIndex) => {
+        select.style.borderColor = result.pairs[pairIndex] ? '#2E7D32' : '#C62828';
+      });
+    }
+  });
+  panel.querySelector('.quiz-score').textContent = `${score} / ${total}`;
+  if (readingSession) {
+    readingSession.quiz = { score, total };
+  }
+
+  try {
+    await saveQuizScore({
+      url: location.href,
+      title: document.title,
+      level: currentDifficulty,
+      language: getReaderLanguage(),
+      score,
+      total
+    });
+    await showQuizHistory(panel);
+  } catch (error) {
+    console.error('Failed to save quiz score:', error);
+  }
+}
+
+async function showQuizHistory(panel) {
+  try {
+    const scores = await getArticleQuizScores(location.href);
+    panel.querySelector('.quiz-history').textContent = scores.length
+      ? `Your scores for this article: ${scores.map(entry => `${entry.score}/${entry.total}`).join(', ')}`
+      : '';
+  } catch (error) {
+    console.error('Failed to load quiz scores:', error);
+  }
+}
+
+// Pull the article out of the page with its title, byline, date and lead image,
+// leaving out the extension's own elements
+function extractMainContent() {
+  return extractArticle(document, {
+    ignoreSelectors: ['#spanishify-overlay', '#spanishify-loading', '.spanishify-notification']
+  });
+}
+
+// Byline, date and lead image above the article; names and dates stay untranslated
+function createArticleMeta(article) {
+  const meta = document.createElement('div');
+  meta.className = 'spanishify-article-meta';
+  meta.style.cssText = `
+    margin-bottom: 1.5em;
+    color: #666;
+    font-size: 0.95em;
+  `;
+
+  const published = article.publishedTime ? new Date(article.publishedTime) : null;
+  const details = [
+    article.byline,
+    published && !isNaN(published) ? published.toLocaleDateString() : null
+  ].filter(Boolean).join(' · ');
+  if (details) {
+    const line = document.createElement('div');
+    line.className = 'article-byline';
+    line.textContent = details;
+    meta.appendChild(line);
+  }
+
+  // Skip the lead image when the article body already shows it
+  const inBody = article.leadImage && article.content.includes(article.leadImage);
+  if (article.leadImage && !inBody) {
+    const image = document.createElement('img');
+    image.className = 'article-lead-image';
+    image.src = article.leadImage;
+    image.alt = '';
+    image.style.cssText = `
+      display: block;
+      max-width: 100%;
+      margin-top: 1em;
+      border-radius: 8px;
+    `;
+    meta.appendChild(image);
+  }
+
+  return meta.childElementCount > 0 ? meta : null;
+}
+
+function createLoadingIndicator() {
+  const indicator = document.createElement('div');
+  indicator.id = 'spanishify-loading';
+  indicator.style.cssText = `
+    position: fixed;
+    top: 20px;
+    right: 20px;
+    background: rgba(0, 0, 0, 0.8);
+    color: white;
+    padding: 10px 20px;
+    border-radius: 5px;
+    z-index: 2147483647;
+    font-family: Arial, sans-serif;
+  `;
+  indicator.textContent = 'Translating...';
+  return indicator;
+}
+
+// Translate a batch of texts through the background service worker, which
+// also keeps the persistent translation cache
+async function translateBatch(batch, difficulty, runId) {
+  const response = await chrome.runtime.sendMessage({
+    type: 'translate',
+    batch,
+    level: difficulty,
+    language: getReaderLanguage(),
+    runId
+  });
+
+  if (!response || response.error) {
+    throw new Error(response?.error || 'No response from the translation service');
+  }
+
+  return response.translations;
+}
+
+async function translateText(text, difficulty) {
+  try {
+    const [translatedText] = await translateBatch([text], difficulty);
+    return translatedText ?? text;
+  } catch (error) {
+    console.error('Translation service error:', error);
+    showNotification(`Translation failed: ${error.message}`, 'error');
+    return text; // Return original text if translation fails
+  }
+}
+
+function createDifficultyControls() {
+  const container = document.createElement('div');
+  container.style.cssText = `
+    width: 100%;
+    max-width: 800px;
+    margin: 20px auto;
+    padding: 20px;
+    background: white;
+    border-radius: 8px;
+    box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+  `;
+
+  const label = document.createElement('label');
+  label.textContent = getTargetLanguage(getReaderLanguage()).ui.difficultyLabel;
+  label.style.cssText = `
+    display: block;
+    margin-bottom: 10px;
+    font-weight: bold;
+    color: #333;
+  `;
+
+  const value = document.createElement('span');
+  value.className = 'difficulty-value';
+  value.textContent = currentDifficulty;
+  value.style.marginLeft = '10px';
+  label.appendChild(value);
+
+  const slider = document.createElement('input');
+  slider.type = 'range';
+  slider.min = String(MIN_LEVEL);
+  slider.max = String(MAX_LEVEL);
+  slider.value = currentDifficulty;
+  slider.style.cssText = `
+    width: 100%;
+    margin: 10px 0;
+    -webkit-appearance: none;
+    appearance: none;
+    height: 8px;
+    background: #ddd;
+    border-radius: 4px;
+    outline: none;
+  `;
+
+  // Add description element
+  const description = document.createElement('div');
+  description.className = 'level-description';
+  description.style.cssText = `
+    margin-top: 10px;
+    font-size: 0.9em;
+    color: #666;
+  `;
+
+  // Add slider styles
+  const style = document.createElement('style');
+  style.textContent = `
+    input[type="range"]::-webkit-slider-thumb {
+      -webkit-appearance: none;
+      appearance: none;
+      width: 20px;
       height: 20px;
       background: #4285F4;
       border-radius: 50%;
@@ -592,62 +2174,426 @@ function createDifficultyControls() {
       transform: scale(1.1);
       background: #2b6cd4;
     }
-    input[type="range"]::-moz-range-thumb {
-      width: 20px;
-      height: 20px;
+    input[type="range"]::-moz-range-thumb {
+      width: 20px;
+      height: 20px;
+      background: #4285F4;
+      border: none;
+      border-radius: 50%;
+      cursor: pointer;
+      transition: all 0.2s;
+    }
+    input[type="range"]::-moz-range-thumb:hover {
+      transform: scale(1.1);
+      background: #2b6cd4;
+    }
+  `;
+  container.appendChild(style);
+
+  // Add debounced event listener
+  let timeout;
+  slider.addEventListener('input', () => {
+    value.textContent = slider.value;
+    updateLevelDescription(slider.value);
+  });
+
+  slider.addEventListener('change', () => {
+    clearTimeout(timeout);
+    timeout = setTimeout(async () => {
+      const newDifficulty = normalizeLevel(slider.value);
+      if (newDifficulty !== currentDifficulty) {
+        await translatePage(newDifficulty);
+      }
+    }, 500);
+  });
+
+  container.appendChild(label);
+  container.appendChild(slider);
+  container.appendChild(description);
+  container.appendChild(createImmersionControls());
+
+  return container;
+}
+
+// Partial immersion next to the level: a switch and the share of common words to swap
+function createImmersionControls() {
+  const row = document.createElement('div');
+  row.className = 'immersion-controls';
+  row.style.cssText = `
+    display: flex;
+    align-items: center;
+    gap: 10px;
+    margin-top: 12px;
+    font-size: 0.9em;
+    color: #333;
+  `;
+
+  const label = document.createElement('label');
+  const toggle = document.createElement('input');
+  toggle.type = 'checkbox';
+  toggle.className = 'immersion-toggle';
+  toggle.checked = readerImmersion;
+  label.appendChild(toggle);
+  label.appendChild(document.createTextNode(' Partial immersion'));
+
+  const percent = document.createElement('input');
+  percent.type = 'range';
+  percent.className = 'immersion-percent';
+  percent.min = '5';
+  percent.max = '100';
+  percent.step = '5';
+  percent.value = userSettings.immersionPercent;
+  percent.disabled = !readerImmersion;
+  percent.setAttribute('aria-label', 'Share of common words swapped in');
+  percent.style.flex = '1';
+
+  const value = document.createElement('span');
+  value.className = 'immersion-value';
+  value.textContent = `${percent.value}% of common words`;
+
+  toggle.addEventListener('change', () => {
+    readerImmersion = toggle.checked;
+    translatePage(currentDifficulty);
+  });
+  percent.addEventListener('input', () => {
+    value.textContent = `${percent.value}% of common words`;
+  });
+  percent.addEventListener('change', () => {
+    userSettings.immersionPercent = Number(percent.value);
+    chrome.storage.sync.set({ immersionPercent: userSettings.immersionPercent });
+    translatePage(currentDifficulty);
+  });
+
+  row.appendChild(label);
+  row.appendChild(percent);
+  row.appendChild(value);
+  return row;
+}
+
+// Swap the picked words under the roots: the notebook's own words where the
+// learner saved one, the backend's for the rest. Returns how many were swapped.
+async function weaveImmersion(roots) {
+  const language = getReaderLanguage();
+  const text = roots.flatMap(root => collectWeaveTextNodes(root)).map(node => node.textContent).join(' ');
+  const known = getKnownWeaveWords(await getVocabulary(), language);
+  const words = pickWeaveWords(text, userSettings.immersionPercent, known);
+
+  const translations = {};
+  words.filter(word => known[word]).forEach(word => {
+    translations[word] = known[word];
+  });
+  const unknown = words.filter(word => !known[word]);
+  if (unknown.length > 0) {
+    const response = await chrome.runtime.sendMessage({ type: 'translateWords', words: unknown, language });
+    if (!response || response.error) {
+      throw new Error(response?.error || 'No response from the translation service');
+    }
+    Object.assign(translations, response.translations);
+  }
+
+  return roots.reduce((count, root) => count + weaveElement(root, translations, language), 0);
+}
+
+// Partial immersion on the page itself, outside the reader; a second call undoes it
+async function togglePageImmersion() {
+  if (document.querySelector('.spanishify-weave')) {
+    unweaveElement(document.body);
+    showNotification('The page is back in English.');
+    return;
+  }
+
+  await refreshSettings();
+  restorePageInPlace();
+  if (isReaderVisible()) {
+    showOriginal();
+  }
+  if (!document.getElementById('spanishify-weave-style')) {
+    const style = document.createElement('style');
+    style.id = 'spanishify-weave-style';
+    style.textContent = WEAVE_STYLES;
+    document.head.appendChild(style);
+  }
+
+  const count = await weaveImmersion([document.body]);
+  const { label } = getTargetLanguage(getReaderLanguage());
+  showNotification(count > 0
+    ? `${count} words are now in ${label}. Point at one for the English.`
+    : 'No common words to swap in on this page.');
+}
+
+// Translate the text of the live page where it is, keeping the site's layout
+// and scripts working, and keep translating what the site adds afterwards
+async function translatePageInPlace(difficulty = currentDifficulty) {
+  await refreshSettings();
+  const status = await chrome.runtime.sendMessage({ type: 'getProviderStatus' });
+  if (!status?.configured) {
+    showNotification(`Please configure your ${status?.label || 'translation'} API key in the extension options first.`, 'error');
+    return;
+  }
+
+  // Another level starts again from the original text
+  restorePageInPlace();
+  unweaveElement(document.body);
+  if (isReaderVisible()) {
+    showOriginal();
+  }
+
+  currentDifficulty = normalizeLevel(difficulty);
+  rememberLevel(currentDifficulty, location.hostname)
+    .catch(error => console.error('Failed to remember level:', error));
+
+  const state = {
+    run: {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      level: currentDifficulty,
+      cancelled: false
+    },
+    originals: new Map(),
+    pending: new Set(),
+    timer: null,
+    observer: new MutationObserver(handleInPageMutations)
+  };
+  inPage = state;
+  state.observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+
+  const loadingIndicator = createLoadingIndicator();
+  document.body.appendChild(loadingIndicator);
+  try {
+    collectInPageTextNodes(document.body).forEach(node => state.pending.add(node));
+    const { translated, failed } = await flushInPageQueue(state);
+    if (state.run.cancelled) return;
+
+    if (failed) {
+      showNotification(`Some of the page could not be translated: ${failed.message}`, 'error');
+    } else {
+      showNotification(translated > 0
+        ? 'The page is translated in place. New content is translated as it appears.'
+        : 'No text to translate on this page.');
+    }
+  } finally {
+    loadingIndicator.remove();
+  }
+}
+
+// Queue the text the site adds or changes; our own changes are recognised by
+// the node still holding the translation it was given
+function handleInPageMutations(records) {
+  const state = inPage;
+  if (!state) return;
+
+  records.forEach(record => {
+    if (record.type === 'characterData') {
+      const entry = state.originals.get(record.target);
+      if (entry && record.target.nodeValue === entry.translation) return;
+      state.originals.delete(record.target);
+      collectInPageTextNodes(record.target).forEach(node => state.pending.add(node));
+    } else {
+      record.addedNodes.forEach(added => {
+        collectInPageTextNodes(added).forEach(node => state.pending.add(node));
+      });
+    }
+  });
+
+  if (state.pending.size > 0) {
+    clearTimeout(state.timer);
+    state.timer = setTimeout(() => {
+      flushInPageQueue(state).then(({ failed }) => {
+        if (failed) console.error('In-place translation of new content failed:', failed);
+      });
+    }, IN_PAGE_MUTATION_DELAY_MS);
+  }
+}
+
+// Translate the queued text nodes; the same text is only sent once. Returns
+// how many nodes were translated and the last error, if any.
+async function flushInPageQueue(state) {
+  const texts = new Map();
+  state.pending.forEach(node => {
+    const entry = state.originals.get(node);
+    if (!node.isConnected || (entry && node.nodeValue === entry.translation)) return;
+
+    const { core } = splitSurroundingSpace(node.nodeValue);
+    if (!texts.has(core)) {
+      texts.set(core, []);
+    }
+    texts.get(core).push({ node, value: node.nodeValue });
+  });
+  state.pending.clear();
+
+  // Nodes the site removed (old items of an infinite list) are let go
+  state.originals.forEach((entry, node) => {
+    if (!node.isConnected) state.originals.delete(node);
+  });
+
+  const cores = Array.from(texts.keys());
+  const batchSize = userSettings.batchSize * IN_PAGE_BATCH_FACTOR;
+  const batches = [];
+  for (let i = 0; i < cores.length; i += batchSize) {
+    batches.push(cores.slice(i, i + batchSize));
+  }
+
+  let translated = 0;
+  let failed = null;
+  let next = 0;
+  const worker = async () => {
+    while (next < batches.length && !state.run.cancelled) {
+      const batch = batches[next++];
+      try {
+        const translations = await translateBatch(batch, state.run.level, state.run.id);
+        if (state.run.cancelled) return;
+        batch.forEach((core, index) => {
+          if (translations[index]) {
+            translated += applyInPageTranslation(state, texts.get(core), translations[index]);
+          }
+        });
+      } catch (error) {
+        if (state.run.cancelled) return;
+        console.error('In-place translation error for batch:', error);
+        failed = error;
+      }
+    }
+  };
+
+  const workerCount = Math.min(MAX_CONCURRENT_BATCHES, batches.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return { translated, failed };
+}
+
+// Only nodes still holding the text that was sent are changed; one the site
+// rewrote meanwhile is already queued again
+function applyInPageTranslation(state, targets, translation) {
+  let count = 0;
+  targets.forEach(({ node, value }) => {
+    if (node.nodeValue !== value) return;
+    const { leading, trailing } = splitSurroundingSpace(value);
+    const entry = { original: value, translation: `${leading}${translation}${trailing}` };
+    state.originals.set(node, entry);
+    node.nodeValue = entry.translation;
+    count++;
+  });
+  return count;
+}
+
+// Put the original text back and stop following the page
+function restorePageInPlace() {
+  if (!inPage) return;
+  const state = inPage;
+  inPage = null;
+
+  state.observer.disconnect();
+  clearTimeout(state.timer);
+  state.run.cancelled = true;
+  chrome.runtime.sendMessage({ type: 'cancelTranslation', runId: state.run.id })
+    .catch(error => console.error('Failed to cancel queued translations:', error));
+
+  state.originals.forEach((entry, node) => {
+    if (node.nodeValue === entry.translation) {
+      node.nodeValue = entry.original;
+    }
+  });
+}
+
+async function getReaderLevelAdvice() {
+  if (userSettings.adaptiveLevel === 'off') return null;
+  const { sessions } = await getLearnerProfile();
+  return getLevelAdvice(sessions, getReaderLanguage());
+}
+
+// Say what the last article showed and, when only suggesting, offer its level
+function showLevelAdvice(controls, advice, adjusted) {
+  const line = document.createElement('div');
+  line.className = 'level-advice';
+  line.style.cssText = `
+    display: flex;
+    align-items: center;
+    gap: 10px;
+    margin-top: 10px;
+    padding: 8px 10px;
+    background: #E8F0FE;
+    border-radius: 4px;
+    font-size: 0.9em;
+    color: #333;
+  `;
+
+  const text = document.createElement('span');
+  text.style.flex = '1';
+  text.textContent = adjusted
+    ? `${advice.reason}, so this article is at level ${advice.level}.`
+    : `${advice.message}.`;
+  line.appendChild(text);
+
+  if (!adjusted && advice.level !== currentDifficulty) {
+    const useButton = document.createElement('button');
+    useButton.className = 'level-advice-use';
+    useButton.textContent = `Use level ${advice.level}`;
+    useButton.style.cssText = `
       background: #4285F4;
       border: none;
-      border-radius: 50%;
+      border-radius: 4px;
+      color: white;
       cursor: pointer;
-      transition: all 0.2s;
-    }
-    input[type="range"]::-moz-range-thumb:hover {
-      transform: scale(1.1);
-      background: #2b6cd4;
-    }
-  `;
-  document.head.appendChild(style);
+      padding: 4px 10px;
+    `;
+    useButton.addEventListener('click', () => translatePage(advice.level));
+    line.appendChild(useButton);
+  }
 
-  // Add debounced event listener
-  let timeout;
-  slider.addEventListener('input', () => {
-    value.textContent = slider.value;
-    updateLevelDescription(slider.value);
-  });
+  controls.appendChild(line);
+}
 
-  slider.addEventListener('change', () => {
-    clearTimeout(timeout);
-    timeout = setTimeout(async () => {
-      const newDifficulty = parseInt(slider.value);
-      if (newDifficulty !== currentDifficulty) {
-        await translatePage(newDifficulty);
-      }
-    }, 500);
-  });
+function startReadingSession() {
+  readingSession = {
+    url: location.href,
+    language: getReaderLanguage(),
+    level: currentDifficulty,
+    mode: readerImmersion ? 'immersion' : 'reader',
+    lookups: 0,
+    reveals: 0,
+    quiz: null,
+    activeMs: 0,
+    lastActivity: Date.now()
+  };
+}
 
-  container.appendChild(label);
-  container.appendChild(slider);
-  container.appendChild(description);
+function noteReadingActivity() {
+  if (!readingSession) return;
+  const now = Date.now();
+  readingSession.activeMs += Math.min(now - readingSession.lastActivity, MAX_READING_GAP_MS);
+  readingSession.lastActivity = now;
+}
 
-  return container;
+// Keep the article just read in the learner profile, with how much of it was translated
+function finishReadingSession() {
+  if (!readingSession) return;
+  noteReadingActivity();
+  const { lastActivity, activeMs, ...session } = readingSession;
+  readingSession = null;
+
+  // Words are counted from the text, since woven paragraphs have no word spans
+  const done = readerParagraphs.filter(paragraph => paragraph.status === 'done');
+  const words = done.reduce((count, paragraph) => count + Array.from(paragraph.element.querySelectorAll('.spanishify-translation'))
+    .reduce((sum, block) => sum + (block.textContent.match(WORD_PATTERN) || []).length, 0), 0);
+  saveReadingSession({
+    ...session,
+    words,
+    paragraphs: done.length,
+    seconds: activeMs / 1000
+  }).catch(error => console.error('Failed to save reading session:', error));
 }
 
 function updateLevelDescription(value) {
-  const description = document.querySelector('.level-description');
+  const description = getReaderRoot().querySelector('.level-description');
   if (!description) return;
 
-  const level = parseInt(value);
-  let text = '';
-  if (level <= 3) {
-    text = 'Principiante (A1) - Vocabulario básico y solo tiempo presente';
-  } else if (level <= 6) {
-    text = 'Intermedio (A2-B1) - Vocabulario ampliado y tiempos verbales comunes';
-  } else {
-    text = 'Avanzado (B2-C1) - Vocabulario rico y gramática compleja';
-  }
-  description.textContent = text;
+  const band = getLanguageLevelBand(value, getReaderLanguage());
+  description.textContent = `${band.nativeLabel} (${band.cefr}, ${band.code}) - ${band.description}`;
 }
 
+// Blocks the reader renders, in document order; wrappers around them are walked through
+const TEXT_BLOCK_TAGS = ['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'DL', 'BLOCKQUOTE', 'TABLE'];
+const BLOCK_SELECTOR = 'p, h1, h2, h3, h4, h5, h6, ul, ol, dl, blockquote, table, pre, figure, img, picture, div, section, article, header, main, hr';
+const HEADING_SIZES = { H1: '2em', H2: '1.6em', H3: '1.35em', H4: '1.15em', H5: '1.1em', H6: '1.1em' };
+
 function formatContent(html) {
   const temp = document.createElement('div');
   temp.innerHTML = html;
@@ -661,209 +2607,645 @@ function formatContent(html) {
     font-size: 16px;
   `;
 
-  // Format paragraphs
-  const paragraphs = temp.querySelectorAll('p');
-  paragraphs.forEach(p => {
-    const container = document.createElement('div');
-    container.style.cssText = `
-      display: flex;
-      align-items: flex-start;
-      margin-bottom: 1.5em;
-      width: 100%;
-      background: white;
-      padding: 15px;
-      border-radius: 8px;
-      box-shadow: 0 1px 3px rgba(0,0,0,0.1);
-    `;
+  formatBlocks(temp, mainContainer);
 
-    const speechButton = document.createElement('button');
-    speechButton.innerHTML = '🔊';
-    speechButton.setAttribute('aria-label', 'Read text aloud');
-    speechButton.style.cssText = `
-      background: none;
-      border: none;
-      cursor: pointer;
-      font-size: 1.2em;
-      padding: 5px;
-      margin-right: 15px;
-      color: #4285F4;
-      transition: all 0.2s;
-      flex: 0 0 30px;
-      height: 30px;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      opacity: 0.7;
-      border-radius: 50%;
-    `;
+  return mainContainer.innerHTML;
+}
 
-    speechButton.addEventListener('mouseover', () => {
-      speechButton.style.transform = 'scale(1.1)';
-      speechButton.style.opacity = '1';
-      speechButton.style.backgroundColor = 'rgba(66, 133, 244, 0.1)';
-    });
+// Render the children of an element as reader blocks; loose text and inline
+// elements between blocks are gathered into a paragraph of their own
+function formatBlocks(parent, mainContainer) {
+  let inline = null;
+  const flushInline = () => {
+    if (inline) {
+      formatBlock(inline, mainContainer);
+      inline = null;
+    }
+  };
 
-    speechButton.addEventListener('mouseout', () => {
-      speechButton.style.transform = 'scale(1)';
-      speechButton.style.opacity = '0.7';
-      speechButton.style.backgroundColor = 'transparent';
-    });
+  Array.from(parent.childNodes).forEach(node => {
+    if (node.nodeType === Node.ELEMENT_NODE && (node.matches(BLOCK_SELECTOR) || node.querySelector(BLOCK_SELECTOR))) {
+      flushInline();
+      formatBlock(node, mainContainer);
+    } else if (node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.TEXT_NODE) {
+      inline = inline || document.createElement('p');
+      inline.appendChild(node.cloneNode(true));
+    }
+  });
+  flushInline();
+}
 
-    const pText = p.textContent.trim();
-    
-    speechButton.addEventListener('click', async (event) => {
-      event.preventDefault();
-      event.stopPropagation();
-      
-      console.log('Speech button clicked for:', pText.substring(0, 50) + '...');
-      
-      speechButton.style.transform = 'scale(0.95)';
-      setTimeout(() => {
-        speechButton.style.transform = 'scale(1)';
-      }, 100);
-
-      if (!voicesLoaded) {
-        console.log('Voices not loaded yet, loading now...');
-        try {
-          await initVoices();
-        } catch (e) {
-          console.error('Failed to initialize voices:', e);
-        }
-      }
+function formatBlock(element, mainContainer) {
+  if (element.tagName === 'PRE') {
+    mainContainer.appendChild(createCodeBlock(element));
+  } else if (['FIGURE', 'IMG', 'PICTURE'].includes(element.tagName)) {
+    const figure = createFigureBlock(element);
+    if (figure) {
+      mainContainer.appendChild(figure);
+    }
+  } else if (TEXT_BLOCK_TAGS.includes(element.tagName)) {
+    // A paragraph holding nothing but an image is shown as a figure
+    if (element.textContent.trim()) {
+      mainContainer.appendChild(createTextBlock(element));
+    } else if (element.querySelector('img')) {
+      mainContainer.appendChild(createFigureBlock(element));
+    }
+  } else if (element.tagName !== 'HR') {
+    formatBlocks(element, mainContainer);
+  }
+}
 
-      speakText(pText);
-    });
+// A translatable block: speak control, the text to translate and the English kept alongside
+function createTextBlock(element) {
+  const container = document.createElement('div');
+  container.className = 'spanishify-paragraph';
+  container.style.cssText = `
+    display: flex;
+    align-items: flex-start;
+    margin-bottom: 1.5em;
+    width: 100%;
+    background: white;
+    padding: 15px;
+    border-radius: 8px;
+    box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+  `;
 
-    container.appendChild(speechButton);
+  // Listen to the paragraph, or practise saying it
+  const controls = document.createElement('div');
+  controls.className = 'spanishify-block-controls';
+  controls.style.cssText = `
+    display: flex;
+    flex-direction: column;
+    gap: 4px;
+    flex: 0 0 30px;
+    margin-right: 15px;
+  `;
 
-    const pClone = p.cloneNode(true);
-    pClone.style.cssText = `
-      margin: 0;
-      font-size: 1.1em;
-      line-height: 1.8;
-      flex: 1;
-      color: #333;
-      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Oxygen-Sans, Ubuntu, Cantarell, "Helvetica Neue", sans-serif;
-    `;
+  const buttonStyle = `
+    background: none;
+    border: none;
+    cursor: pointer;
+    font-size: 1.2em;
+    padding: 5px;
+    color: #4285F4;
+    transition: all 0.2s;
+    width: 30px;
+    height: 30px;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    opacity: 0.7;
+    border-radius: 50%;
+  `;
 
-    container.appendChild(pClone);
-    mainContainer.appendChild(container);
-  });
+  const speechButton = document.createElement('button');
+  speechButton.innerHTML = '🔊';
+  speechButton.className = 'spanishify-speak';
+  speechButton.setAttribute('aria-label', 'Read text aloud');
+  speechButton.style.cssText = buttonStyle;
+  controls.appendChild(speechButton);
+
+  const practiceButton = document.createElement('button');
+  practiceButton.innerHTML = '🎤';
+  practiceButton.className = 'spanishify-practice';
+  practiceButton.setAttribute('aria-label', 'Practise saying this paragraph');
+  practiceButton.title = 'Practise saying this paragraph';
+  practiceButton.style.cssText = buttonStyle;
+  controls.appendChild(practiceButton);
+
+  container.appendChild(controls);
+
+  const heading = HEADING_SIZES[element.tagName];
+  const translation = element.cloneNode(true);
+  translation.className = 'spanishify-translation';
+  translation.setAttribute('lang', getReaderLanguage());
+  translation.style.cssText = `
+    margin: 0;
+    font-size: ${heading || '1.1em'};
+    line-height: ${heading ? '1.3' : '1.8'};
+    flex: 1;
+    color: #333;
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Oxygen-Sans, Ubuntu, Cantarell, "Helvetica Neue", sans-serif;
+  `;
 
-  return mainContainer.innerHTML;
+  container.appendChild(translation);
+
+  // Keep the English next to the translation for the bilingual display modes
+  const original = element.cloneNode(true);
+  original.className = 'spanishify-original';
+  original.setAttribute('lang', 'en');
+  original.style.cssText = `
+    line-height: 1.6;
+    color: #777;
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Oxygen-Sans, Ubuntu, Cantarell, "Helvetica Neue", sans-serif;
+  `;
+  container.appendChild(original);
+
+  return container;
 }
 
-function speakText(text) {
-  console.log('Speaking text:', text);
+// Code is shown as it is and never sent for translation
+function createCodeBlock(element) {
+  const pre = element.cloneNode(true);
+  pre.className = 'spanishify-code';
+  pre.setAttribute('translate', 'no');
+  pre.style.cssText = `
+    margin: 0 0 1.5em;
+    padding: 15px;
+    background: #f6f8fa;
+    border-radius: 8px;
+    overflow-x: auto;
+    font-family: monospace;
+    font-size: 0.9em;
+    line-height: 1.5;
+    white-space: pre;
+  `;
+  return pre;
+}
 
-  // Safety check
-  if (!text || typeof text !== 'string' || text.trim() === '') {
-    console.error('Invalid text provided to speakText:', text);
-    return;
+// An image with its caption as a translatable block; without a figcaption the
+// alt text becomes the caption, and its translation goes back into the alt
+function createFigureBlock(element) {
+  const image = element.matches('img') ? element : element.querySelector('img');
+  if (!image) {
+    return element.textContent.trim() ? createTextBlock(element) : null;
   }
-  
-  // Check if speech synthesis is available
-  if (!window.speechSynthesis) {
-    console.error('Speech synthesis not supported in this browser');
-    showNotification('Text-to-speech is not supported in this browser', 'error');
-    return;
+
+  const figure = document.createElement('figure');
+  figure.className = 'spanishify-figure';
+  figure.style.cssText = `
+    margin: 0 0 1.5em;
+    text-align: center;
+  `;
+
+  const img = image.cloneNode(true);
+  img.removeAttribute('width');
+  img.removeAttribute('height');
+  img.style.cssText = `
+    max-width: 100%;
+    height: auto;
+    border-radius: 8px;
+  `;
+  figure.appendChild(img);
+
+  const figcaption = element.querySelector('figcaption');
+  const alt = (image.getAttribute('alt') || '').trim();
+  if (figcaption && figcaption.textContent.trim()) {
+    figure.appendChild(createTextBlock(figcaption));
+  } else if (alt) {
+    const caption = document.createElement('figcaption');
+    caption.textContent = alt;
+    figure.dataset.captionFrom = 'alt';
+    figure.appendChild(createTextBlock(caption));
   }
-  
-  // Cancel any ongoing speech
-  try {
-    window.speechSynthesis.cancel();
-  } catch (e) {
-    console.error('Error canceling previous speech:', e);
+
+  return figure;
+}
+
+// Captions made from alt text hand their translation back to the image
+function updateImageAlt(element) {
+  if (element.dataset.captionFrom !== 'alt') return;
+  const image = element.querySelector('img');
+  const translation = element.querySelector('.spanishify-translation');
+  if (image && translation) {
+    image.alt = translation.textContent.trim();
   }
+}
 
-  // Create a new utterance
-  const utterance = new SpeechSynthesisUtterance(text);
-  
-  // Configure speech settings
-  utterance.rate = 0.9; // Slightly slower than normal
-  utterance.pitch = 1.0;
-  utterance.volume = 1.0;
-  utterance.lang = 'es-ES'; // Always set Spanish language
+// Engine chosen in the options page: browser voices or a speech server
+function getReaderSpeechEngine() {
+  return getSpeechEngine(userSettings.ttsEngine);
+}
+
+function isBrowserSpeech() {
+  return getReaderSpeechEngine() === SPEECH_ENGINES.browser;
+}
+
+// Speech options for the reader's language with the voice, rate and pitch from the options page
+function getReaderSpeechOptions() {
+  const language = getReaderLanguage();
+  const options = {
+    lang: language, // Speak the language the article was translated into
+    voice: null,
+    rate: userSettings.ttsRate,
+    pitch: userSettings.ttsPitch,
+    level: currentDifficulty
+  };
+  if (!isBrowserSpeech()) return options;
 
   // Debug voice availability
   try {
     const allVoices = window.speechSynthesis.getVoices();
     console.log('Available voices:', allVoices.length);
     allVoices.forEach(v => {
-      if (v.lang.includes('es')) {
-        console.log(`Spanish voice: ${v.name}, ${v.lang}`);
+      if (isLanguageVoice(v, language)) {
+        console.log(`Voice for ${language}: ${v.name}, ${v.lang}`);
       }
     });
   } catch (e) {
     console.error('Error listing voices:', e);
   }
 
-  // Set Spanish voice if available
   try {
-    if (spanishVoice) {
-      console.log('Using cached Spanish voice:', spanishVoice.name);
-      utterance.voice = spanishVoice;
+    options.voice = chooseReaderVoice(language);
+    if (options.voice) {
+      console.log('Using voice:', options.voice.name, options.voice.lang);
     } else {
-      console.log('Looking for Spanish voice...');
-      const voices = window.speechSynthesis.getVoices();
-      
-      // Try to find a Spanish voice
-      const spanish = voices.find(voice => 
-        voice.lang.includes('es') || 
-        voice.name.includes('Spanish') ||
-        voice.name.includes('Español')
-      );
-      
-      if (spanish) {
-        console.log('Found Spanish voice:', spanish.name);
-        utterance.voice = spanish;
-        spanishVoice = spanish; // Cache for future use
-      } else {
-        console.warn('No Spanish voice found, using default voice');
-      }
+      console.warn('No voice found for', language, 'using the browser default for the language');
     }
   } catch (e) {
     console.error('Error setting voice:', e);
   }
 
-  // Add event handlers
-  utterance.onstart = () => console.log('Speech started');
-  utterance.onend = () => console.log('Speech ended');
-  utterance.onerror = (event) => {
-    console.error('Speech synthesis error:', event);
-    showNotification('Lo siento, there was an error with text-to-speech. Please try again.', 'error');
-  };
+  return options;
+}
+
+// The voice chosen in the options page or the reader if it speaks the reader's
+// language, otherwise the best-ranked voice for it
+function chooseReaderVoice(language = getReaderLanguage()) {
+  const voices = rankVoices(window.speechSynthesis.getVoices(), language);
+  return voices.find(voice => voice.name === userSettings.ttsVoice) || voices[0] || null;
+}
+
+// Browser voices need speechSynthesis and a voice for the reader's language;
+// when the browser lists voices but none for it, say so instead of reading the
+// translation with an English voice
+function checkReaderSpeech() {
+  if (!isBrowserSpeech()) return true;
+
+  if (!window.speechSynthesis) {
+    console.error('Speech synthesis not supported in this browser');
+    showNotification('Text-to-speech is not supported in this browser', 'error');
+    return false;
+  }
+
+  const voices = window.speechSynthesis.getVoices();
+  const language = getReaderLanguage();
+  if (voices.length === 0 || rankVoices(voices, language).length > 0) return true;
+
+  const { label } = getTargetLanguage(language);
+  showNotification(`No ${label} voice is installed, so the text can't be read aloud. Add a ${label} voice in your system's speech settings.`, 'error');
+  return false;
+}
+
+function speakText(text) {
+  console.log('Speaking text:', text);
+
+  // Safety check
+  if (!text || typeof text !== 'string' || text.trim() === '') {
+    console.error('Invalid text provided to speakText:', text);
+    return;
+  }
 
-  // Speak the text with error handling
+  if (!checkReaderSpeech()) return;
+
+  const engine = getReaderSpeechEngine();
   try {
+    // Cancel any ongoing speech
+    engine.cancel();
+
     console.log('Attempting to speak...');
-    window.speechSynthesis.speak(utterance);
-    
-    // Workaround for Chrome issue where speech doesn't start
-    setTimeout(() => {
-      if (window.speechSynthesis.paused) {
-        console.log('Speech synthesis was paused, resuming...');
-        window.speechSynthesis.resume();
+    engine.speak(text, {
+      ...getReaderSpeechOptions(),
+      onend: () => console.log('Speech ended'),
+      onerror: (message) => {
+        console.error('Speech error:', message);
+        showNotification('Lo siento, there was an error with text-to-speech. Please try again.', 'error');
       }
-    }, 100);
-    
-    console.log('Speech synthesis initiated');
+    });
+    console.log('Speech initiated');
   } catch (error) {
-    console.error('Failed to start speech synthesis:', error);
+    console.error('Failed to start speech:', error);
     showNotification('Error with text-to-speech. Please try again.', 'error');
-    
-    // Try fallback approach
-    try {
-      console.log('Trying fallback speech approach...');
-      const newUtterance = new SpeechSynthesisUtterance(text);
-      newUtterance.lang = 'es-ES';
-      window.speechSynthesis.speak(newUtterance);
-    } catch (fallbackError) {
-      console.error('Fallback speech approach also failed:', fallbackError);
+  }
+}
+
+function createReadAloudPlayer() {
+  readAloud = {
+    sentences: [],
+    index: 0,
+    playing: false,
+    ended: false,
+    reading: null,
+    timer: null,
+    rate: userSettings.ttsRate,
+    shadowing: false
+  };
+
+  const player = document.createElement('div');
+  player.className = 'spanishify-player';
+  player.style.cssText = `
+    position: sticky;
+    bottom: 0;
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 10px;
+    max-width: 800px;
+    margin: 0 auto;
+    padding: 10px 20px;
+    box-sizing: border-box;
+    background: white;
+    color: #333;
+    border-top: 1px solid #ddd;
+    box-shadow: 0 -2px 6px rgba(0,0,0,0.08);
+    font-family: Arial, sans-serif;
+    font-size: 14px;
+  `;
+
+  const createButton = (className, text, label, onClick) => {
+    const button = document.createElement('button');
+    button.className = className;
+    button.textContent = text;
+    button.setAttribute('aria-label', label);
+    button.title = label;
+    button.addEventListener('click', onClick);
+    return button;
+  };
+
+  const position = document.createElement('span');
+  position.className = 'player-position';
+  position.style.cssText = 'min-width: 5em; color: #777;';
+
+  const rateLabel = document.createElement('label');
+  rateLabel.textContent = 'Speed ';
+  const rate = document.createElement('input');
+  rate.type = 'range';
+  rate.className = 'player-rate';
+  rate.min = '0.5';
+  rate.max = '2';
+  rate.step = '0.1';
+  rate.value = String(readAloud.rate);
+  const rateValue = document.createElement('span');
+  rateValue.className = 'player-rate-value';
+  rateValue.textContent = `${readAloud.rate}×`;
+  rate.addEventListener('input', () => {
+    rateValue.textContent = `${rate.value}×`;
+  });
+  rate.addEventListener('change', () => {
+    readAloud.rate = Number(rate.value);
+    chrome.storage.sync.set({ ttsRate: readAloud.rate });
+    // Say the current sentence again at the new speed
+    if (readAloud.playing) {
+      speakReadAloudSentence();
+    }
+  });
+  rateLabel.appendChild(rate);
+  rateLabel.appendChild(rateValue);
+
+  // Shadowing: pause after every sentence so the learner can say it back
+  const shadowingLabel = document.createElement('label');
+  shadowingLabel.style.marginLeft = 'auto';
+  const shadowing = document.createElement('input');
+  shadowing.type = 'checkbox';
+  shadowing.className = 'player-shadowing';
+  shadowing.addEventListener('change', () => {
+    readAloud.shadowing = shadowing.checked;
+  });
+  const gap = document.createElement('input');
+  gap.type = 'number';
+  gap.className = 'player-gap';
+  gap.min = '1';
+  gap.max = '30';
+  gap.value = String(userSettings.shadowingGap);
+  gap.setAttribute('aria-label', 'Pause after each sentence, in seconds');
+  gap.addEventListener('change', () => {
+    const { values, errors } = validateSettings({ shadowingGap: gap.value });
+    if (errors.length > 0) {
+      gap.value = String(userSettings.shadowingGap);
+      return;
+    }
+    userSettings.shadowingGap = values.shadowingGap;
+    chrome.storage.sync.set(values);
+  });
+  // Picking a voice saves it and says a sample sentence with it
+  const voiceLabel = document.createElement('label');
+  voiceLabel.textContent = 'Voice ';
+  const voice = document.createElement('select');
+  voice.className = 'player-voice';
+  voice.style.maxWidth = '16em';
+  voice.addEventListener('change', () => {
+    userSettings.ttsVoice = voice.value;
+    chrome.storage.sync.set({ ttsVoice: voice.value });
+    previewReaderVoice();
+  });
+  voiceLabel.appendChild(voice);
+
+  shadowingLabel.appendChild(shadowing);
+  shadowingLabel.appendChild(document.createTextNode(' Repeat after me, pause '));
+  shadowingLabel.appendChild(gap);
+  shadowingLabel.appendChild(document.createTextNode(' s'));
+
+  player.appendChild(createButton('player-previous', '⏮', 'Previous sentence', () => moveReadAloud(-1)));
+  player.appendChild(createButton('player-play', '▶', 'Read aloud', toggleReadAloud));
+  player.appendChild(createButton('player-next', '⏭', 'Next sentence', () => moveReadAloud(1)));
+  player.appendChild(position);
+  player.appendChild(rateLabel);
+  player.appendChild(voiceLabel);
+  player.appendChild(shadowingLabel);
+  updateReadAloudPlayer(player);
+  populateReaderVoices(player);
+  return player;
+}
+
+// Voices for the reader's language, best first; voices load asynchronously, so
+// this runs again once they arrive
+function populateReaderVoices(player = getReaderRoot().querySelector('.spanishify-player')) {
+  const select = player?.querySelector('.player-voice');
+  if (!select) return;
+
+  // Only browser voices are picked here; the speech server's voice is set in the options page
+  const browserVoices = isBrowserSpeech() && !!window.speechSynthesis;
+  select.parentElement.style.display = browserVoices ? '' : 'none';
+  if (!browserVoices) return;
+
+  const voices = rankVoices(window.speechSynthesis.getVoices(), getReaderLanguage());
+  select.innerHTML = '';
+  const automatic = document.createElement('option');
+  automatic.value = '';
+  automatic.textContent = voices.length > 0 ? `Automatic (${voices[0].name})` : 'No voice installed';
+  select.appendChild(automatic);
+  voices.forEach(voice => {
+    const option = document.createElement('option');
+    option.value = voice.name;
+    option.textContent = getVoiceLabel(voice);
+    select.appendChild(option);
+  });
+  select.value = voices.some(voice => voice.name === userSettings.ttsVoice) ? userSettings.ttsVoice : '';
+}
+
+function previewReaderVoice() {
+  pauseReadAloud();
+  speakText(getTargetLanguage(getReaderLanguage()).ui.voiceSample);
+}
+
+function updateReadAloudPlayer(player = getReaderRoot().querySelector('.spanishify-player')) {
+  if (!player || !readAloud) return;
+
+  const play = player.querySelector('.player-play');
+  play.textContent = readAloud.playing ? '⏸' : '▶';
+  play.setAttribute('aria-label', readAloud.playing ? 'Pause' : 'Read aloud');
+  play.title = play.getAttribute('aria-label');
+
+  const total = readAloud.sentences.length;
+  player.querySelector('.player-position').textContent = total ? `${readAloud.index + 1} / ${total}` : '';
+}
+
+// Only translated paragraphs are read; the rest are still in English
+function getReadAloudBlocks() {
+  const readerContainer = getReaderRoot().getElementById('spanishify-reader');
+  if (!readerContainer) return [];
+  return Array.from(readerContainer.querySelectorAll('.spanishify-translation'))
+    .filter(block => block.closest('[data-status]')?.dataset.status === 'done');
+}
+
+// Paragraphs keep arriving while the article translates, so the queue is
+// rebuilt before moving on, staying on the same sentence
+function refreshReadAloudQueue() {
+  const current = readAloud.sentences[readAloud.index];
+  readAloud.sentences = buildReadingQueue(getReadAloudBlocks(), getReaderLanguage(), '.spanishify-word');
+
+  const index = current
+    ? readAloud.sentences.findIndex(sentence => sentence.block === current.block && sentence.start === current.start)
+    : -1;
+  readAloud.index = index >= 0 ? index : Math.min(readAloud.index, Math.max(readAloud.sentences.length - 1, 0));
+}
+
+function toggleReadAloud() {
+  if (readAloud.playing) {
+    pauseReadAloud();
+  } else {
+    playReadAloud();
+  }
+}
+
+function playReadAloud() {
+  if (!checkReaderSpeech()) return;
+
+  refreshReadAloudQueue();
+  if (readAloud.sentences.length === 0) {
+    showNotification('Nothing has been translated yet to read aloud.', 'info');
+    return;
+  }
+
+  // Start over after reaching the end of the article
+  if (readAloud.ended) {
+    readAloud.index = 0;
+    readAloud.ended = false;
+  }
+  readAloud.playing = true;
+  speakReadAloudSentence();
+}
+
+// Chrome's speechSynthesis.pause() is unreliable, so pausing stops the
+// sentence and playing starts it again from its beginning
+function pauseReadAloud() {
+  if (!readAloud) return;
+  clearTimeout(readAloud.timer);
+  const wasSpeaking = readAloud.reading !== null;
+  readAloud.playing = false;
+  readAloud.reading = null;
+  if (wasSpeaking) {
+    getReaderSpeechEngine().cancel();
+  }
+  updateReadAloudPlayer();
+}
+
+function stopReadAloud() {
+  pauseReadAloud();
+  clearReadAloudHighlight();
+}
+
+function moveReadAloud(step) {
+  refreshReadAloudQueue();
+  if (readAloud.sentences.length === 0) return;
+
+  readAloud.ended = false;
+  readAloud.index = Math.min(Math.max(readAloud.index + step, 0), readAloud.sentences.length - 1);
+  if (readAloud.playing) {
+    speakReadAloudSentence();
+  } else {
+    highlightReadAloudSentence(readAloud.sentences[readAloud.index]);
+    updateReadAloudPlayer();
+  }
+}
+
+function speakReadAloudSentence() {
+  clearTimeout(readAloud.timer);
+  const sentence = readAloud.sentences[readAloud.index];
+  highlightReadAloudSentence(sentence);
+  updateReadAloudPlayer();
+
+  const engine = getReaderSpeechEngine();
+  engine.cancel();
+
+  // Events of a sentence that was skipped or paused are ignored
+  let reading = null;
+  const isCurrent = () => reading !== null && readAloud?.reading === reading;
+  reading = engine.speak(sentence.text, {
+    ...getReaderSpeechOptions(),
+    rate: readAloud.rate,
+    onword: (charIndex) => {
+      if (!isCurrent()) return;
+      highlightReadAloudWord(sentence, sentence.start + charIndex);
+    },
+    onend: () => {
+      if (!isCurrent()) return;
+      readAloud.reading = null;
+      if (readAloud.shadowing) {
+        readAloud.timer = setTimeout(advanceReadAloud, userSettings.shadowingGap * 1000);
+      } else {
+        advanceReadAloud();
+      }
+    },
+    onerror: (message) => {
+      if (!isCurrent()) return;
+      console.error('Read-aloud speech error:', message);
+      pauseReadAloud();
+      showNotification('There was an error reading the article aloud. Please try again.', 'error');
     }
+  });
+  readAloud.reading = reading;
+}
+
+function advanceReadAloud() {
+  if (!readAloud?.playing) return;
+
+  refreshReadAloudQueue();
+  if (readAloud.index >= readAloud.sentences.length - 1) {
+    readAloud.ended = true;
+    stopReadAloud();
+    return;
+  }
+  readAloud.index++;
+  speakReadAloudSentence();
+}
+
+function highlightReadAloudSentence(sentence) {
+  clearReadAloudHighlight();
+  sentence.words.forEach(word => word.element.classList.add('reading-sentence'));
+
+  // Keep the sentence being read in view
+  const first = sentence.words[0]?.element || sentence.block;
+  if (first.scrollIntoView) {
+    first.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  }
+}
+
+function highlightReadAloudWord(sentence, offset) {
+  getReaderRoot().querySelectorAll('.reading-word').forEach(element => element.classList.remove('reading-word'));
+  const word = findWordAt(sentence.words, offset);
+  if (word) {
+    word.element.classList.add('reading-word');
   }
 }
 
+function clearReadAloudHighlight() {
+  getReaderRoot().querySelectorAll('.reading-sentence, .reading-word').forEach(element => {
+    element.classList.remove('reading-sentence', 'reading-word');
+  });
+}
+
 function isInBlockElement(node) {
   const blockElements = ['P', 'DIV', 'SECTION', 'ARTICLE', 'ASIDE', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE'];
   let parent = node.parentElement;
@@ -878,6 +3260,7 @@ function isInBlockElement(node) {
 
 function showNotification(message, type = 'info') {
   const notification = document.createElement('div');
+  notification.className = 'spanishify-notification';
   notification.style.cssText = `
     position: fixed;
     top: 20px;
@@ -886,7 +3269,7 @@ function showNotification(message, type = 'info') {
     border-radius: 8px;
     font-family: Arial, sans-serif;
     font-size: 14px;
-    z-index: 10000;
+    z-index: 2147483647;
     max-width: 400px;
     box-shadow: 0 4px 12px rgba(0,0,0,0.15);
     animation: slideIn 0.3s ease-out;
@@ -934,4 +3317,19 @@ function showNotification(message, type = 'info') {
 }
 
 // Update exports at the end of the file
-// The functions will be available in the global scope 
\ No newline at end of file
+// The functions will be available in the global scope
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    handleMessage,
+    translatePage,
+    translatePageInPlace,
+    restorePageInPlace,
+    closeReader,
+    extractMainContent,
+    translateBatch,
+    translateText,
+    formatContent,
+    speakText,
+    initVoices
+  };
+} 
\ No newline at end of file
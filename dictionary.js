@@ -0,0 +1,136 @@
+// Bundled offline dictionary for the most common Spanish words
+// Word lookups check here first, so frequent words never reach the backend.
+
+const verbForm = (infinitive, tense, person, gloss) => ({
+  lemma: infinitive,
+  partOfSpeech: 'verb',
+  gloss,
+  verb: { infinitive, tense, person }
+});
+
+const OFFLINE_DICTIONARY = {
+  // Articles
+  el: { lemma: 'el', partOfSpeech: 'article', gloss: 'the (masculine singular)' },
+  la: { lemma: 'el', partOfSpeech: 'article', gloss: 'the (feminine singular)' },
+  los: { lemma: 'el', partOfSpeech: 'article', gloss: 'the (masculine plural)' },
+  las: { lemma: 'el', partOfSpeech: 'article', gloss: 'the (feminine plural)' },
+  un: { lemma: 'un', partOfSpeech: 'article', gloss: 'a, an (masculine)' },
+  una: { lemma: 'un', partOfSpeech: 'article', gloss: 'a, an (feminine)' },
+  unos: { lemma: 'un', partOfSpeech: 'article', gloss: 'some (masculine)' },
+  unas: { lemma: 'un', partOfSpeech: 'article', gloss: 'some (feminine)' },
+  al: { lemma: 'a + el', partOfSpeech: 'contraction', gloss: 'to the' },
+  del: { lemma: 'de + el', partOfSpeech: 'contraction', gloss: 'of the, from the' },
+
+  // Prepositions
+  a: { lemma: 'a', partOfSpeech: 'preposition', gloss: 'to, at' },
+  de: { lemma: 'de', partOfSpeech: 'preposition', gloss: 'of, from' },
+  en: { lemma: 'en', partOfSpeech: 'preposition', gloss: 'in, on, at' },
+  con: { lemma: 'con', partOfSpeech: 'preposition', gloss: 'with' },
+  sin: { lemma: 'sin', partOfSpeech: 'preposition', gloss: 'without' },
+  por: { lemma: 'por', partOfSpeech: 'preposition', gloss: 'for, by, through' },
+  para: { lemma: 'para', partOfSpeech: 'preposition', gloss: 'for, in order to' },
+  sobre: { lemma: 'sobre', partOfSpeech: 'preposition', gloss: 'about, on, over' },
+  entre: { lemma: 'entre', partOfSpeech: 'preposition', gloss: 'between, among' },
+  hasta: { lemma: 'hasta', partOfSpeech: 'preposition', gloss: 'until, up to' },
+  desde: { lemma: 'desde', partOfSpeech: 'preposition', gloss: 'from, since' },
+
+  // Conjunctions
+  y: { lemma: 'y', partOfSpeech: 'conjunction', gloss: 'and' },
+  o: { lemma: 'o', partOfSpeech: 'conjunction', gloss: 'or' },
+  pero: { lemma: 'pero', partOfSpeech: 'conjunction', gloss: 'but' },
+  porque: { lemma: 'porque', partOfSpeech: 'conjunction', gloss: 'because' },
+  que: { lemma: 'que', partOfSpeech: 'conjunction', gloss: 'that, which' },
+  si: { lemma: 'si', partOfSpeech: 'conjunction', gloss: 'if' },
+  cuando: { lemma: 'cuando', partOfSpeech: 'conjunction', gloss: 'when' },
+  como: { lemma: 'como', partOfSpeech: 'conjunction', gloss: 'like, as' },
+
+  // Pronouns
+  yo: { lemma: 'yo', partOfSpeech: 'pronoun', gloss: 'I' },
+  tú: { lemma: 'tú', partOfSpeech: 'pronoun', gloss: 'you (informal)' },
+  él: { lemma: 'él', partOfSpeech: 'pronoun', gloss: 'he' },
+  ella: { lemma: 'ella', partOfSpeech: 'pronoun', gloss: 'she' },
+  usted: { lemma: 'usted', partOfSpeech: 'pronoun', gloss: 'you (formal)' },
+  nosotros: { lemma: 'nosotros', partOfSpeech: 'pronoun', gloss: 'we' },
+  ellos: { lemma: 'ellos', partOfSpeech: 'pronoun', gloss: 'they (masculine)' },
+  ellas: { lemma: 'ellas', partOfSpeech: 'pronoun', gloss: 'they (feminine)' },
+  ustedes: { lemma: 'ustedes', partOfSpeech: 'pronoun', gloss: 'you (plural)' },
+  se: { lemma: 'se', partOfSpeech: 'pronoun', gloss: 'himself, herself, itself, themselves' },
+  lo: { lemma: 'lo', partOfSpeech: 'pronoun', gloss: 'it, him' },
+  le: { lemma: 'le', partOfSpeech: 'pronoun', gloss: 'to him, to her' },
+  me: { lemma: 'me', partOfSpeech: 'pronoun', gloss: 'me, to me' },
+  te: { lemma: 'te', partOfSpeech: 'pronoun', gloss: 'you, to you (informal)' },
+  nos: { lemma: 'nos', partOfSpeech: 'pronoun', gloss: 'us, to us' },
+  esto: { lemma: 'esto', partOfSpeech: 'pronoun', gloss: 'this' },
+  eso: { lemma: 'eso', partOfSpeech: 'pronoun', gloss: 'that' },
+
+  // Determiners and adverbs
+  este: { lemma: 'este', partOfSpeech: 'determiner', gloss: 'this' },
+  esta: { lemma: 'este', partOfSpeech: 'determiner', gloss: 'this (feminine)' },
+  su: { lemma: 'su', partOfSpeech: 'determiner', gloss: 'his, her, its, their, your (formal)' },
+  sus: { lemma: 'su', partOfSpeech: 'determiner', gloss: 'his, her, its, their, your (plural)' },
+  mi: { lemma: 'mi', partOfSpeech: 'determiner', gloss: 'my' },
+  muy: { lemma: 'muy', partOfSpeech: 'adverb', gloss: 'very' },
+  más: { lemma: 'más', partOfSpeech: 'adverb', gloss: 'more' },
+  no: { lemma: 'no', partOfSpeech: 'adverb', gloss: 'no, not' },
+  sí: { lemma: 'sí', partOfSpeech: 'adverb', gloss: 'yes' },
+  también: { lemma: 'también', partOfSpeech: 'adverb', gloss: 'also, too' },
+  ya: { lemma: 'ya', partOfSpeech: 'adverb', gloss: 'already, now' },
+  hoy: { lemma: 'hoy', partOfSpeech: 'adverb', gloss: 'today' },
+  aquí: { lemma: 'aquí', partOfSpeech: 'adverb', gloss: 'here' },
+
+  // Common verb forms
+  ser: verbForm('ser', 'infinitive', '', 'to be (permanent)'),
+  es: verbForm('ser', 'present', 'third person singular', 'is'),
+  son: verbForm('ser', 'present', 'third person plural', 'are'),
+  soy: verbForm('ser', 'present', 'first person singular', 'I am'),
+  fue: verbForm('ser', 'preterite', 'third person singular', 'was'),
+  era: verbForm('ser', 'imperfect', 'first/third person singular', 'was, used to be'),
+  estar: verbForm('estar', 'infinitive', '', 'to be (state, location)'),
+  está: verbForm('estar', 'present', 'third person singular', 'is'),
+  están: verbForm('estar', 'present', 'third person plural', 'are'),
+  estoy: verbForm('estar', 'present', 'first person singular', 'I am'),
+  hay: verbForm('haber', 'present', 'impersonal', 'there is, there are'),
+  ha: verbForm('haber', 'present', 'third person singular', 'has (auxiliary)'),
+  han: verbForm('haber', 'present', 'third person plural', 'have (auxiliary)'),
+  tener: verbForm('tener', 'infinitive', '', 'to have'),
+  tiene: verbForm('tener', 'present', 'third person singular', 'has'),
+  tienen: verbForm('tener', 'present', 'third person plural', 'have'),
+  hacer: verbForm('hacer', 'infinitive', '', 'to do, to make'),
+  hace: verbForm('hacer', 'present', 'third person singular', 'does, makes'),
+  ir: verbForm('ir', 'infinitive', '', 'to go'),
+  va: verbForm('ir', 'present', 'third person singular', 'goes'),
+  van: verbForm('ir', 'present', 'third person plural', 'go'),
+  puede: verbForm('poder', 'present', 'third person singular', 'can, is able to'),
+  pueden: verbForm('poder', 'present', 'third person plural', 'can, are able to'),
+  dice: verbForm('decir', 'present', 'third person singular', 'says'),
+  dijo: verbForm('decir', 'preterite', 'third person singular', 'said'),
+  quiere: verbForm('querer', 'present', 'third person singular', 'wants'),
+
+  // Common nouns and adjectives
+  año: { lemma: 'año', partOfSpeech: 'noun', gloss: 'year' },
+  años: { lemma: 'año', partOfSpeech: 'noun', gloss: 'years' },
+  día: { lemma: 'día', partOfSpeech: 'noun', gloss: 'day' },
+  tiempo: { lemma: 'tiempo', partOfSpeech: 'noun', gloss: 'time, weather' },
+  persona: { lemma: 'persona', partOfSpeech: 'noun', gloss: 'person' },
+  personas: { lemma: 'persona', partOfSpeech: 'noun', gloss: 'people' },
+  casa: { lemma: 'casa', partOfSpeech: 'noun', gloss: 'house, home' },
+  mundo: { lemma: 'mundo', partOfSpeech: 'noun', gloss: 'world' },
+  país: { lemma: 'país', partOfSpeech: 'noun', gloss: 'country' },
+  nuevo: { lemma: 'nuevo', partOfSpeech: 'adjective', gloss: 'new' },
+  nueva: { lemma: 'nuevo', partOfSpeech: 'adjective', gloss: 'new (feminine)' },
+  grande: { lemma: 'grande', partOfSpeech: 'adjective', gloss: 'big, great' },
+  bueno: { lemma: 'bueno', partOfSpeech: 'adjective', gloss: 'good' },
+  buena: { lemma: 'bueno', partOfSpeech: 'adjective', gloss: 'good (feminine)' }
+};
+
+function lookupOfflineWord(word) {
+  const entry = OFFLINE_DICTIONARY[word.toLowerCase()];
+  return entry ? { verb: null, ...entry } : null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    OFFLINE_DICTIONARY,
+    lookupOfflineWord
+  };
+}
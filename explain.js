@@ -0,0 +1,140 @@
+// Grammar explanations for the reader's "Explain this sentence" action
+// The reader sends a translated sentence with the English it came from; the
+// configured backend breaks it down into its verb forms, the grammar rules at
+// work and a literal against an idiomatic translation, pitched at the
+// learner's level. Explanations are kept in the translation cache.
+
+// The English paragraph is only context, so a long one is cut
+const MAX_EXPLANATION_CONTEXT_LENGTH = 1000;
+
+const EXPLANATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    verbs: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          form: { type: 'string' },
+          infinitive: { type: 'string' },
+          tense: { type: 'string' },
+          person: { type: 'string' },
+          use: { type: 'string' }
+        },
+        required: ['form', 'infinitive', 'tense']
+      }
+    },
+    grammar: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          rule: { type: 'string' },
+          explanation: { type: 'string' }
+        },
+        required: ['rule', 'explanation']
+      }
+    },
+    literal: { type: 'string' },
+    idiomatic: { type: 'string' }
+  },
+  required: ['verbs', 'grammar', 'literal', 'idiomatic']
+};
+
+// How much grammar vocabulary the explanation can lean on at each band
+const EXPLANATION_STYLES = {
+  beginner: 'plain, short English; name each tense once in everyday words and avoid other grammar terms',
+  intermediate: 'clear English using the usual grammar terms (subjunctive, preterite, reflexive...) with a short reminder of what they mean',
+  advanced: 'precise English with full grammar terminology, including nuances of register, aspect and mood'
+};
+
+function getExplanationPrompt(language) {
+  const { label } = getTargetLanguage(language);
+  return `You are a ${label} grammar tutor for English speakers. Given a ${label} sentence and the English it was translated from, reply only with a JSON object {"verbs", "grammar", "literal", "idiomatic"} where:
+- "verbs" lists every conjugated verb as {"form", "infinitive", "tense", "person", "use"}, with "use" saying why that tense or mood is used here
+- "grammar" lists the grammar rules the sentence shows as {"rule", "explanation"}
+- "literal" is a word-for-word English rendering and "idiomatic" a natural English translation`;
+}
+
+function getExplanationInstructions(sentence, original, level, language) {
+  const band = getLanguageLevelBand(level, language);
+  const variant = getLanguageVariant(language);
+
+  return `Explain this ${variant.name} sentence.
+
+- Learner level: ${normalizeLevel(level)}/10 (${band.name}, ${band.code}, CEFR ${band.cefr}); the learner knows ${band.grammar}
+- Write in ${EXPLANATION_STYLES[band.name]}
+- Point out why a tense or mood was chosen over the one an English speaker might expect (subjunctive against indicative, preterite against imperfect...)
+
+Sentence: ${JSON.stringify(sentence)}
+English paragraph: ${JSON.stringify(original.slice(0, MAX_EXPLANATION_CONTEXT_LENGTH))}`;
+}
+
+async function explainSentence(sentence, original = '', level, language) {
+  language = normalizeLanguageTag(language);
+  const config = await loadProviderConfig();
+  const provider = getProvider(config.provider);
+
+  // Cached per sentence and level: a beginner and an advanced reader get different explanations
+  const key = getCacheKey(sentence, `explain:${normalizeLevel(level)}`, config, language);
+  const [cached] = await getCachedTranslations([key]);
+  if (cached) {
+    return { ...cached, source: 'cache' };
+  }
+
+  if (provider.requiresApiKey && !config.apiKey) {
+    throw new Error(`${provider.label} API key not configured. Please set it in the extension options.`);
+  }
+
+  const reply = await provider.translate({
+    task: 'explain',
+    system: getExplanationPrompt(language),
+    prompt: getExplanationInstructions(sentence, original, level, language),
+    texts: [sentence],
+    language,
+    schema: EXPLANATION_SCHEMA
+  }, config);
+
+  const explanation = parseExplanationReply(reply);
+  await setCachedTranslations([{ key, value: explanation }]);
+  return { ...explanation, source: 'backend' };
+}
+
+function parseExplanationReply(reply) {
+  let data;
+  try {
+    data = JSON.parse(reply.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch (error) {
+    throw new Error('Could not read the sentence explanation reply');
+  }
+
+  const text = (value) => String(value ?? '').trim();
+  const explanation = {
+    verbs: (Array.isArray(data?.verbs) ? data.verbs : [])
+      .filter(verb => verb && text(verb.form) && text(verb.infinitive))
+      .map(verb => ({
+        form: text(verb.form),
+        infinitive: text(verb.infinitive),
+        tense: text(verb.tense),
+        person: text(verb.person),
+        use: text(verb.use)
+      })),
+    grammar: (Array.isArray(data?.grammar) ? data.grammar : [])
+      .filter(item => item && text(item.rule))
+      .map(item => ({ rule: text(item.rule), explanation: text(item.explanation) })),
+    literal: text(data?.literal),
+    idiomatic: text(data?.idiomatic)
+  };
+
+  if (!explanation.idiomatic && !explanation.literal && explanation.grammar.length === 0) {
+    throw new Error('The sentence explanation reply is empty');
+  }
+  return explanation;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    explainSentence,
+    parseExplanationReply
+  };
+}
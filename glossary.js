@@ -0,0 +1,113 @@
+// Word lookups for the reader's click-a-word glossary
+// Checks the bundled dictionary (Spanish only), then the persistent cache, then
+// asks the configured translation backend about the word in its sentence,
+// with a meaning pitched at the reader's level.
+
+function getGlossaryPrompt(language) {
+  const { label } = getTargetLanguage(language);
+  return `You are a ${label} tutor for English speakers. Given a ${label} word and the sentence it appears in, reply only with a JSON object {"lemma", "partOfSpeech", "gloss", "verb"} where gloss is a short English meaning in this context and verb is {"infinitive", "tense", "person"} for verbs or null otherwise.`;
+}
+
+// How much nuance the meaning carries at each band
+const GLOSS_STYLES = {
+  beginner: 'the simplest, most common English meaning',
+  intermediate: 'a plain English meaning, naming a second sense only if the sentence uses it',
+  advanced: 'the precise English meaning in this sentence, with register or nuance where it matters'
+};
+
+function getGlossaryInstructions(word, context, level, language) {
+  const lines = [`Word: ${JSON.stringify(word)}`, `Sentence: ${JSON.stringify(context)}`];
+  if (level !== undefined) {
+    const band = getLanguageLevelBand(level, language);
+    lines.push(`Learner level: ${normalizeLevel(level)}/10 (${band.name}, CEFR ${band.cefr}); give ${GLOSS_STYLES[band.name]}`);
+  }
+  return lines.join('\n');
+}
+
+const GLOSSARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    lemma: { type: 'string' },
+    partOfSpeech: { type: 'string' },
+    gloss: { type: 'string' },
+    verb: {
+      type: ['object', 'null'],
+      properties: {
+        infinitive: { type: 'string' },
+        tense: { type: 'string' },
+        person: { type: 'string' }
+      }
+    }
+  },
+  required: ['lemma', 'partOfSpeech', 'gloss']
+};
+
+async function lookupWord(word, context = '', language, level) {
+  language = normalizeLanguageTag(language);
+  const offline = getTargetLanguage(language).code === 'es' && lookupOfflineWord(word);
+  if (offline) {
+    return { word, ...offline, source: 'dictionary' };
+  }
+
+  const config = await loadProviderConfig();
+  const provider = getProvider(config.provider);
+  // A beginner and an advanced reader get different meanings
+  const cacheLevel = level === undefined ? 'glossary' : `glossary:${normalizeLevel(level)}`;
+  const key = getCacheKey(`${word.toLowerCase()}\n${context}`, cacheLevel, config, language);
+  const [cached] = await getCachedTranslations([key]);
+  if (cached) {
+    return { word, ...cached, source: 'cache' };
+  }
+
+  if (provider.requiresApiKey && !config.apiKey) {
+    throw new Error(`${provider.label} API key not configured. Please set it in the extension options.`);
+  }
+
+  const reply = await provider.translate({
+    task: 'glossary',
+    system: getGlossaryPrompt(language),
+    prompt: getGlossaryInstructions(word, context, level, language),
+    texts: [word],
+    language,
+    schema: GLOSSARY_SCHEMA
+  }, config);
+
+  const entry = parseGlossaryReply(reply);
+  await setCachedTranslations([{ key, value: entry }]);
+  return { word, ...entry, source: 'backend' };
+}
+
+function parseGlossaryReply(reply) {
+  let data;
+  try {
+    data = JSON.parse(reply.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch (error) {
+    throw new Error('Could not read the word lookup reply');
+  }
+
+  if (!data || typeof data.gloss !== 'string' || data.gloss.trim() === '') {
+    throw new Error('The word lookup reply has no meaning');
+  }
+
+  const verb = data.verb && data.verb.infinitive
+    ? {
+      infinitive: String(data.verb.infinitive),
+      tense: String(data.verb.tense || ''),
+      person: String(data.verb.person || '')
+    }
+    : null;
+
+  return {
+    lemma: String(data.lemma || ''),
+    partOfSpeech: String(data.partOfSpeech || ''),
+    gloss: data.gloss.trim(),
+    verb
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    lookupWord,
+    parseGlossaryReply
+  };
+}
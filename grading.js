@@ -0,0 +1,104 @@
+// Grading of the reader's comprehension quizzes
+// Questions come from the backend (quiz.js) with their answers; the reader
+// grades what the learner picked or typed and keeps each article's scores in
+// chrome.storage.local under its address.
+
+const QUIZ_SCORES_KEY = 'quizScores';
+const MAX_QUIZ_SCORES_PER_ARTICLE = 20;
+const MAX_QUIZZED_ARTICLES = 200;
+
+// Case, punctuation and spacing don't count against a typed answer
+function normalizeQuizAnswer(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function removeAccents(text) {
+  return text.normalize('NFD').replace(/\p{M}/gu, '');
+}
+
+// Grade one answer: multiple choice takes the choice index, true/false a
+// boolean, cloze the typed word and matching the meaning picked for each word.
+// The expected answer comes back for showing next to a wrong one.
+function gradeQuestion(question, answer) {
+  if (question.type === 'multiple-choice') {
+    return { correct: answer === question.answer, expected: question.choices[question.answer] };
+  }
+
+  if (question.type === 'true-false') {
+    return { correct: answer === question.answer, expected: question.answer ? 'True' : 'False' };
+  }
+
+  if (question.type === 'cloze') {
+    const given = normalizeQuizAnswer(answer);
+    const expected = normalizeQuizAnswer(question.answer);
+    if (given === expected) {
+      return { correct: true, expected: question.answer };
+    }
+    // Right word with a missing or wrong accent: counted, but pointed out
+    if (given && removeAccents(given) === removeAccents(expected)) {
+      return { correct: true, expected: question.answer, note: `Watch the accents: ${question.answer}` };
+    }
+    return { correct: false, expected: question.answer };
+  }
+
+  const chosen = Array.isArray(answer) ? answer : [];
+  const pairs = question.pairs.map((pair, index) => chosen[index] === pair.meaning);
+  return {
+    correct: pairs.every(Boolean),
+    pairs,
+    expected: question.pairs.map(pair => `${pair.word} = ${pair.meaning}`).join(', ')
+  };
+}
+
+function gradeQuiz(questions, answers) {
+  const results = questions.map((question, index) => gradeQuestion(question, answers[index]));
+  return {
+    results,
+    score: results.filter(result => result.correct).length,
+    total: questions.length
+  };
+}
+
+async function getQuizScores() {
+  const { [QUIZ_SCORES_KEY]: scores = {} } = await chrome.storage.local.get(QUIZ_SCORES_KEY);
+  return scores;
+}
+
+async function getArticleQuizScores(url) {
+  return (await getQuizScores())[url] || [];
+}
+
+// Keep a quiz result under the article's address, most recent last; articles
+// are kept most recently quizzed last and the oldest go once there are too many
+async function saveQuizScore(details, now = Date.now()) {
+  const scores = await getQuizScores();
+  const previous = scores[details.url] || [];
+  delete scores[details.url];
+  const entry = {
+    title: details.title || '',
+    level: details.level || null,
+    language: details.language,
+    score: details.score,
+    total: details.total,
+    at: now
+  };
+  scores[details.url] = [...previous, entry].slice(-MAX_QUIZ_SCORES_PER_ARTICLE);
+  Object.keys(scores).slice(0, -MAX_QUIZZED_ARTICLES).forEach(url => delete scores[url]);
+  await chrome.storage.local.set({ [QUIZ_SCORES_KEY]: scores });
+  return entry;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    normalizeQuizAnswer,
+    gradeQuestion,
+    gradeQuiz,
+    getQuizScores,
+    getArticleQuizScores,
+    saveQuizScore
+  };
+}
@@ -0,0 +1,141 @@
+// Partial immersion ("diglot weave")
+// The page stays in English and a share of its common words is swapped for
+// the target language: words from the vocabulary notebook first, since the
+// learner has met them, then the most frequent nouns. Each swapped word is a
+// highlighted span that keeps its English for hovering and for undoing it.
+
+// Common English nouns, most frequent first. Nouns swap in without changing
+// the grammar around them; ones just as common as verbs (love, plan) are left out.
+const WEAVE_WORDS = [
+  'time', 'year', 'people', 'day', 'man', 'thing', 'woman', 'life', 'child', 'world',
+  'school', 'family', 'student', 'group', 'country', 'problem', 'hand', 'week', 'company', 'system',
+  'question', 'government', 'number', 'night', 'home', 'water', 'room', 'mother', 'area', 'money',
+  'story', 'month', 'book', 'eye', 'job', 'word', 'business', 'friend', 'father', 'hour',
+  'game', 'city', 'name', 'team', 'minute', 'idea', 'body', 'information', 'parent', 'office',
+  'door', 'health', 'person', 'art', 'war', 'history', 'morning', 'girl', 'boy', 'moment',
+  'air', 'teacher', 'education', 'food', 'car', 'house', 'law', 'music', 'market', 'nation',
+  'college', 'death', 'experience', 'class', 'street', 'price', 'language', 'table', 'university', 'church',
+  'weather', 'science', 'paper', 'doctor', 'brother', 'sister', 'baby', 'tree', 'river', 'land',
+  'sea', 'sun', 'town', 'village', 'road', 'dog', 'cat', 'horse', 'bird', 'fish',
+  'animal', 'flower', 'garden', 'kitchen', 'bread', 'coffee', 'tea', 'milk', 'wine', 'beer',
+  'apple', 'meat', 'dinner', 'lunch', 'breakfast', 'restaurant', 'hotel', 'hospital', 'library', 'bus',
+  'plane', 'airport', 'station', 'ticket', 'summer', 'winter', 'autumn', 'weekend', 'holiday', 'birthday',
+  'computer', 'phone', 'picture', 'movie', 'song', 'newspaper', 'letter', 'window', 'bed', 'chair',
+  'color', 'friendship', 'heart', 'head', 'foot', 'mountain', 'beach', 'island', 'forest', 'sky'
+];
+
+const WEAVE_WORD_PATTERN = /\p{L}+/gu;
+
+// Text that is not prose, is being edited or belongs to the extension stays as it is
+const UNWOVEN_ELEMENTS = 'script, style, noscript, textarea, input, select, option, code, pre, kbd, samp, [contenteditable], .spanishify-weave, .spanishify-original, #spanishify-overlay, #spanishify-loading, .spanishify-notification';
+
+// The text nodes weaving split the page's text into; only these are merged
+// back when it is undone, never text nodes the page made itself
+const wovenTextNodes = new WeakSet();
+
+function createWovenText(text) {
+  const node = document.createTextNode(text);
+  wovenTextNodes.add(node);
+  return node;
+}
+
+// English meanings of the notebook's words in the page's language: "an apple"
+// -> manzana. Only one-word meanings can stand in for a word of the page.
+function getKnownWeaveWords(vocabulary, language) {
+  const { code } = getTargetLanguage(language);
+  const known = {};
+  vocabulary.filter(entry => entry.language === code).forEach(entry => {
+    const english = String(entry.gloss || '').toLowerCase().replace(/^(a|an|the|to)\s+/, '').trim();
+    if (/^\p{L}+$/u.test(english) && !known[english]) {
+      known[english] = entry.lemma || entry.word;
+    }
+  });
+  return known;
+}
+
+// The text nodes under root that can be woven
+function collectWeaveTextNodes(root) {
+  const nodes = [];
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  let node;
+  while (node = walker.nextNode()) {
+    if (node.textContent.trim() && !node.parentElement.closest(UNWOVEN_ELEMENTS)) {
+      nodes.push(node);
+    }
+  }
+  return nodes;
+}
+
+// The words of a text to swap: the given percentage of the candidate words it
+// contains (at least one), notebook words first and then by frequency. The
+// choice only grows with the percentage, so raising it adds words.
+function pickWeaveWords(text, percent, known = {}) {
+  const present = new Set((text.match(WEAVE_WORD_PATTERN) || []).map(word => word.toLowerCase()));
+  const candidates = [
+    ...Object.keys(known).filter(word => present.has(word)),
+    ...WEAVE_WORDS.filter(word => present.has(word) && !known[word])
+  ];
+  if (candidates.length === 0) return [];
+  return candidates.slice(0, Math.max(1, Math.round(candidates.length * percent / 100)));
+}
+
+// "House" -> "Casa"
+function matchWordCase(translation, english) {
+  return /^\p{Lu}/u.test(english) ? translation.charAt(0).toUpperCase() + translation.slice(1) : translation;
+}
+
+// Swap every occurrence of the translated words under root; returns how many were swapped
+function weaveElement(root, translations, language) {
+  let count = 0;
+  collectWeaveTextNodes(root).forEach(node => {
+    const text = node.textContent;
+    const fragment = document.createDocumentFragment();
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(WEAVE_WORD_PATTERN)) {
+      const translation = translations[match[0].toLowerCase()];
+      if (!translation) continue;
+
+      fragment.appendChild(createWovenText(text.slice(lastIndex, match.index)));
+      const span = document.createElement('span');
+      span.className = 'spanishify-weave';
+      span.setAttribute('lang', language);
+      span.dataset.english = match[0];
+      span.textContent = matchWordCase(translation, match[0]);
+      fragment.appendChild(span);
+      lastIndex = match.index + match[0].length;
+      count++;
+    }
+
+    if (lastIndex > 0) {
+      fragment.appendChild(createWovenText(text.slice(lastIndex)));
+      node.replaceWith(fragment);
+    }
+  });
+  return count;
+}
+
+// Put the English back, joining it with the text around it that weaving split off
+function unweaveElement(root) {
+  root.querySelectorAll('.spanishify-weave').forEach(span => {
+    let text = span.dataset.english;
+    [span.previousSibling, span.nextSibling].forEach((sibling, index) => {
+      if (sibling && wovenTextNodes.has(sibling)) {
+        text = index === 0 ? sibling.nodeValue + text : text + sibling.nodeValue;
+        sibling.remove();
+      }
+    });
+    span.replaceWith(createWovenText(text));
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    WEAVE_WORDS,
+    getKnownWeaveWords,
+    collectWeaveTextNodes,
+    pickWeaveWords,
+    weaveElement,
+    unweaveElement
+  };
+}
@@ -0,0 +1,68 @@
+// In-place translation
+// For sites where the layout matters (forums, docs, web apps) the text nodes of
+// the live page are translated where they are instead of in the reader. Only
+// the text changes, never the elements around it, so the site keeps working,
+// and each node's original text is kept so the page can be put back.
+
+// Text that can be typed into, is code or navigation, or is hidden from
+// assistive technology stays as it is; so does the extension's own UI
+const IN_PAGE_SKIPPED = [
+  UNTRANSLATED_ELEMENTS,
+  'script, style, noscript, template, textarea, input, select, option',
+  'nav, [role="navigation"], [aria-hidden="true"], [contenteditable=""], [contenteditable="true"], .notranslate',
+  '#spanishify-overlay, #spanishify-loading, .spanishify-notification, .spanishify-weave'
+].join(', ');
+
+// Chrome can tell from the layout; elsewhere hidden attributes and inline styles have to do
+function isVisibleElement(element) {
+  if (typeof element.checkVisibility === 'function') {
+    return element.checkVisibility({ checkVisibilityCSS: true, visibilityProperty: true });
+  }
+  for (let ancestor = element; ancestor; ancestor = ancestor.parentElement) {
+    if (isHidden(ancestor)) return false;
+  }
+  return true;
+}
+
+function isInPageTextNode(node) {
+  const parent = node.parentElement;
+  return !!parent &&
+    /\p{L}/u.test(node.nodeValue) &&
+    !parent.closest(IN_PAGE_SKIPPED) &&
+    isVisibleElement(parent);
+}
+
+// The translatable text nodes in and under a node, which may itself be a text node
+function collectInPageTextNodes(root) {
+  if (root.nodeType === Node.TEXT_NODE) {
+    return isInPageTextNode(root) ? [root] : [];
+  }
+  if (root.nodeType !== Node.ELEMENT_NODE) {
+    return [];
+  }
+
+  const nodes = [];
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  let node;
+  while (node = walker.nextNode()) {
+    if (isInPageTextNode(node)) {
+      nodes.push(node);
+    }
+  }
+  return nodes;
+}
+
+// "  Hello world\n" -> ['  ', 'Hello world', '\n']: only the middle is sent, so
+// the spacing between the page's inline elements survives translation
+function splitSurroundingSpace(text) {
+  const [, leading, core, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return { leading, core, trailing };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    isInPageTextNode,
+    collectInPageTextNodes,
+    splitSurroundingSpace
+  };
+}
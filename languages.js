@@ -0,0 +1,332 @@
+// Target languages and their regional varieties
+// Articles are read in English and translated into one language variant,
+// identified by its BCP 47 tag (es-MX, fr-CA, pt-BR...). The tag steers the
+// translation prompt, picks the text-to-speech voice, labels the reader and
+// is part of the translation cache key. Each language also describes the
+// grammar of every level band in its own terms.
+
+const TARGET_LANGUAGES = {
+  es: {
+    label: 'Spanish',
+    nativeName: 'Español',
+    defaultVariant: 'es-ES',
+    // Words some platforms use in voice names instead of a language tag
+    voiceNames: ['Spanish', 'Español'],
+    ui: {
+      difficultyLabel: 'Nivel de dificultad en español: ',
+      voiceSample: 'Hola, esta es la voz que leerá tus artículos.'
+    },
+    levels: {
+      beginner: {
+        nativeLabel: 'Principiante',
+        description: 'Vocabulario básico y solo tiempo presente',
+        grammar: 'present tense only'
+      },
+      intermediate: {
+        nativeLabel: 'Intermedio',
+        description: 'Vocabulario ampliado y tiempos verbales comunes',
+        grammar: 'present, past, and future'
+      },
+      advanced: {
+        nativeLabel: 'Avanzado',
+        description: 'Vocabulario rico y gramática compleja',
+        grammar: 'all tenses including subjunctive'
+      }
+    },
+    variants: {
+      'es-ES': {
+        label: 'Spain',
+        name: 'European Spanish as spoken in Spain',
+        nativeLabel: 'Español de España',
+        instructions: 'Use tú for informal "you" and vosotros with its verb forms (vosotros tenéis, id) for the informal plural. Prefer vocabulary used in Spain: ordenador, coche, móvil, zumo, conducir.'
+      },
+      'es-MX': {
+        label: 'Mexico',
+        name: 'Mexican Spanish',
+        nativeLabel: 'Español de México',
+        instructions: 'Use tú for informal "you" and ustedes for every plural "you"; never use vosotros. Prefer vocabulary used in Mexico: computadora, carro, celular, jugo, manejar.'
+      },
+      'es-AR': {
+        label: 'Argentina',
+        name: 'Rioplatense Spanish as spoken in Argentina',
+        nativeLabel: 'Español rioplatense',
+        instructions: 'Use voseo for informal "you": vos with its own verb forms (vos tenés, vos sos, vos querés, imperatives like mirá, vení, decime) instead of tú. Use ustedes for every plural "you"; never use vosotros. Prefer vocabulary used in Argentina: computadora, auto, celular, jugo, manejar.'
+      },
+      'es-CO': {
+        label: 'Colombia',
+        name: 'Colombian Spanish',
+        nativeLabel: 'Español de Colombia',
+        instructions: 'Use tú for informal "you", usted where Colombian speakers commonly use it with friends and family, and ustedes for every plural "you"; never use vosotros. Prefer vocabulary used in Colombia: computador, carro, celular, jugo, manejar.'
+      },
+      'es-US': {
+        label: 'United States',
+        name: 'Spanish as spoken in the United States',
+        nativeLabel: 'Español de EE. UU.',
+        instructions: 'Use neutral Latin American Spanish: tú for informal "you" and ustedes for every plural "you"; never use vosotros. Prefer widely understood Latin American vocabulary (computadora, carro, celular, jugo) and avoid anglicisms a learner would not find in a dictionary.'
+      }
+    }
+  },
+  fr: {
+    label: 'French',
+    nativeName: 'Français',
+    defaultVariant: 'fr-FR',
+    voiceNames: ['French', 'Français'],
+    ui: {
+      difficultyLabel: 'Niveau de difficulté en français : ',
+      voiceSample: 'Bonjour, voici la voix qui lira vos articles.'
+    },
+    levels: {
+      beginner: {
+        nativeLabel: 'Débutant',
+        description: 'Vocabulaire de base et présent uniquement',
+        grammar: 'présent only, with aller + infinitive for the future'
+      },
+      intermediate: {
+        nativeLabel: 'Intermédiaire',
+        description: 'Vocabulaire élargi et temps courants',
+        grammar: 'présent, passé composé, imparfait and futur simple'
+      },
+      advanced: {
+        nativeLabel: 'Avancé',
+        description: 'Vocabulaire riche et grammaire complexe',
+        grammar: 'all tenses including subjonctif, conditionnel and passé simple in narration'
+      }
+    },
+    variants: {
+      'fr-FR': {
+        label: 'France',
+        name: 'French as spoken in France',
+        nativeLabel: 'Français de France',
+        instructions: 'Use tu for informal "you" and vous for formal or plural "you". Prefer vocabulary used in France: portable, week-end, voiture, courriel or e-mail.'
+      },
+      'fr-CA': {
+        label: 'Canada (Quebec)',
+        name: 'Canadian French as spoken in Quebec',
+        nativeLabel: 'Français du Québec',
+        instructions: 'Use tu for informal "you" and vous for formal or plural "you". Prefer vocabulary used in Quebec: cellulaire, fin de semaine, courriel, magasiner, déjeuner for breakfast and dîner for lunch.'
+      }
+    }
+  },
+  pt: {
+    label: 'Portuguese',
+    nativeName: 'Português',
+    defaultVariant: 'pt-BR',
+    voiceNames: ['Portuguese', 'Português'],
+    ui: {
+      difficultyLabel: 'Nível de dificuldade em português: ',
+      voiceSample: 'Olá, esta é a voz que vai ler os seus artigos.'
+    },
+    levels: {
+      beginner: {
+        nativeLabel: 'Iniciante',
+        description: 'Vocabulário básico e só o presente',
+        grammar: 'presente do indicativo only'
+      },
+      intermediate: {
+        nativeLabel: 'Intermediário',
+        description: 'Vocabulário ampliado e tempos verbais comuns',
+        grammar: 'presente, pretérito perfeito, pretérito imperfeito and ir + infinitive for the future'
+      },
+      advanced: {
+        nativeLabel: 'Avançado',
+        description: 'Vocabulário rico e gramática complexa',
+        grammar: 'all tenses including the subjuntivo and the infinitivo pessoal'
+      }
+    },
+    variants: {
+      'pt-BR': {
+        label: 'Brazil',
+        name: 'Brazilian Portuguese',
+        nativeLabel: 'Português do Brasil',
+        instructions: 'Use você for "you" and vocês for the plural. Prefer Brazilian vocabulary and spelling (ônibus, celular, trem, equipe) and the gerund for ongoing actions (estou fazendo).'
+      },
+      'pt-PT': {
+        label: 'Portugal',
+        name: 'European Portuguese as spoken in Portugal',
+        nativeLabel: 'Português de Portugal',
+        instructions: 'Use tu for informal "you" and vocês for the plural. Prefer European vocabulary and spelling (autocarro, telemóvel, comboio, equipa) and a + infinitive for ongoing actions (estou a fazer).'
+      }
+    }
+  },
+  it: {
+    label: 'Italian',
+    nativeName: 'Italiano',
+    defaultVariant: 'it-IT',
+    voiceNames: ['Italian', 'Italiano'],
+    ui: {
+      difficultyLabel: 'Livello di difficoltà in italiano: ',
+      voiceSample: 'Ciao, questa è la voce che leggerà i tuoi articoli.'
+    },
+    levels: {
+      beginner: {
+        nativeLabel: 'Principiante',
+        description: 'Vocabolario di base e solo presente',
+        grammar: 'presente only'
+      },
+      intermediate: {
+        nativeLabel: 'Intermedio',
+        description: 'Vocabolario più ampio e tempi verbali comuni',
+        grammar: 'presente, passato prossimo, imperfetto and futuro semplice'
+      },
+      advanced: {
+        nativeLabel: 'Avanzato',
+        description: 'Vocabolario ricco e grammatica complessa',
+        grammar: 'all tenses including congiuntivo and condizionale'
+      }
+    },
+    variants: {
+      'it-IT': {
+        label: 'Italy',
+        name: 'Standard Italian',
+        nativeLabel: 'Italiano',
+        instructions: 'Use tu for informal "you" and voi for the plural, with Lei only for formal address.'
+      }
+    }
+  },
+  de: {
+    label: 'German',
+    nativeName: 'Deutsch',
+    defaultVariant: 'de-DE',
+    voiceNames: ['German', 'Deutsch'],
+    ui: {
+      difficultyLabel: 'Schwierigkeitsstufe auf Deutsch: ',
+      voiceSample: 'Hallo, das ist die Stimme, die dir deine Artikel vorliest.'
+    },
+    levels: {
+      beginner: {
+        nativeLabel: 'Anfänger',
+        description: 'Grundwortschatz und nur Präsens',
+        grammar: 'Präsens only, in main clauses with simple word order'
+      },
+      intermediate: {
+        nativeLabel: 'Mittelstufe',
+        description: 'Erweiterter Wortschatz und häufige Zeitformen',
+        grammar: 'Präsens, Perfekt, Präteritum of sein, haben and modal verbs, Futur I and common subordinate clauses'
+      },
+      advanced: {
+        nativeLabel: 'Fortgeschritten',
+        description: 'Reicher Wortschatz und komplexe Grammatik',
+        grammar: 'all tenses including Konjunktiv I and II and the passive'
+      }
+    },
+    variants: {
+      'de-DE': {
+        label: 'Germany',
+        name: 'Standard German as used in Germany',
+        nativeLabel: 'Deutsch (Deutschland)',
+        instructions: 'Use du for informal "you", ihr for the informal plural and Sie for formal address. Prefer vocabulary used in Germany: Januar, Kartoffel, Tüte, Tomate.'
+      },
+      'de-AT': {
+        label: 'Austria',
+        name: 'Austrian German',
+        nativeLabel: 'Österreichisches Deutsch',
+        instructions: 'Use du for informal "you", ihr for the informal plural and Sie for formal address. Prefer vocabulary used in Austria: Jänner, Erdapfel, Sackerl, Paradeiser.'
+      }
+    }
+  }
+};
+const DEFAULT_TARGET_LANGUAGE = 'es';
+
+// Voice names that mark neural voices, and the robotic engines to avoid
+const NATURAL_VOICE_PATTERN = /natural|neural|premium|enhanced|wavenet/i;
+const LOW_QUALITY_VOICE_PATTERN = /espeak|compact/i;
+
+// 'pt-BR' -> 'pt'
+function getLanguageCode(tag) {
+  return String(tag || '').split(/[-_]/)[0].toLowerCase();
+}
+
+// Turn a variant tag or bare language code into a known variant tag;
+// anything unknown becomes the default language's default variant
+function normalizeLanguageTag(tag) {
+  const language = TARGET_LANGUAGES[getLanguageCode(tag)];
+  if (!language) {
+    return TARGET_LANGUAGES[DEFAULT_TARGET_LANGUAGE].defaultVariant;
+  }
+  return language.variants[tag] ? tag : language.defaultVariant;
+}
+
+// The tag for the language and variety chosen on the options page; a variety
+// left over from another language falls back to the language's default
+function resolveLanguageTag(targetLanguage, dialect) {
+  const language = TARGET_LANGUAGES[targetLanguage] || TARGET_LANGUAGES[DEFAULT_TARGET_LANGUAGE];
+  return language.variants[dialect] ? dialect : language.defaultVariant;
+}
+
+function getTargetLanguage(tag) {
+  const code = getLanguageCode(normalizeLanguageTag(tag));
+  return { code, ...TARGET_LANGUAGES[code] };
+}
+
+function getLanguageVariant(tag) {
+  const code = normalizeLanguageTag(tag);
+  const language = getTargetLanguage(code);
+  return { code, language, ...language.variants[code] };
+}
+
+// A level band with the language's own grammar focus, label and description
+function getLanguageLevelBand(value, tag) {
+  const band = getLevelBand(value);
+  return { ...band, ...getTargetLanguage(tag).levels[band.name] };
+}
+
+// Whether a voice speaks the language of the tag, in any variety
+function isLanguageVoice(voice, tag) {
+  const language = getTargetLanguage(tag);
+  return getLanguageCode(voice.lang) === language.code ||
+    language.voiceNames.some(name => (voice.name || '').includes(name));
+}
+
+// The voice whose language tag matches the variant exactly, if the browser has one.
+// Some platforms report tags as es_MX.
+function findVariantVoice(voices, tag) {
+  const code = normalizeLanguageTag(tag).toLowerCase();
+  return (voices || []).find(voice => (voice.lang || '').replace('_', '-').toLowerCase() === code) || null;
+}
+
+function getVoiceQuality(voice) {
+  if (NATURAL_VOICE_PATTERN.test(voice.name)) return 'natural';
+  return voice.localService ? 'local' : 'online';
+}
+
+// Voices for the language, best first: natural or local voices, then ones for
+// the chosen variety, then online ones; robotic engines go last
+function rankVoices(voices, tag) {
+  const code = normalizeLanguageTag(tag);
+  const score = (voice) => {
+    let points = 0;
+    if (getVoiceQuality(voice) !== 'online') points += 4;
+    if (NATURAL_VOICE_PATTERN.test(voice.name)) points += 2;
+    if (findVariantVoice([voice], code)) points += 1;
+    if (LOW_QUALITY_VOICE_PATTERN.test(voice.name)) points -= 8;
+    return points;
+  };
+
+  return (voices || [])
+    .filter(voice => isLanguageVoice(voice, code))
+    .map((voice, index) => ({ voice, index, score: score(voice) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(item => item.voice);
+}
+
+// "Paulina (es-MX) · local"
+function getVoiceLabel(voice) {
+  return `${voice.name} (${voice.lang}) · ${getVoiceQuality(voice)}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TARGET_LANGUAGES,
+    DEFAULT_TARGET_LANGUAGE,
+    normalizeLanguageTag,
+    resolveLanguageTag,
+    getTargetLanguage,
+    getLanguageVariant,
+    getLanguageLevelBand,
+    isLanguageVoice,
+    findVariantVoice,
+    getVoiceQuality,
+    rankVoices,
+    getVoiceLabel
+  };
+}
@@ -0,0 +1,107 @@
+// Difficulty levels shared by the popup, the reader and the translation service
+// The reader slider works on numeric levels 1-10; each named level covers a
+// range of them and maps to a CEFR band and the course levels in the README.
+// What each band means for grammar in a given language lives in languages.js.
+
+const MIN_LEVEL = 1;
+const MAX_LEVEL = 10;
+const DEFAULT_LEVEL = 5;
+
+// How many sites keep their own level in chrome.storage.local
+const MAX_REMEMBERED_SITES = 200;
+
+const DIFFICULTY_LEVELS = {
+  beginner: {
+    code: '1A',
+    label: 'Beginner',
+    cefr: 'A1',
+    min: 1,
+    max: 3,
+    defaultLevel: 2,
+    vocabulary: 'A1 (basic)',
+    complexity: 'simple sentences',
+    idioms: 'no idioms'
+  },
+  intermediate: {
+    code: '1B',
+    label: 'Intermediate',
+    cefr: 'A2-B1',
+    min: 4,
+    max: 6,
+    defaultLevel: 5,
+    vocabulary: 'A2-B1 (intermediate)',
+    complexity: 'compound sentences',
+    idioms: 'common idioms'
+  },
+  advanced: {
+    code: '2A',
+    label: 'Advanced',
+    cefr: 'B2-C1',
+    min: 7,
+    max: 10,
+    defaultLevel: 8,
+    vocabulary: 'B2-C1 (advanced)',
+    complexity: 'complex sentences',
+    idioms: 'sophisticated idioms'
+  }
+};
+
+// Turn a named level, numeric string or number into a numeric level 1-10
+function normalizeLevel(value) {
+  if (DIFFICULTY_LEVELS[value]) {
+    return DIFFICULTY_LEVELS[value].defaultLevel;
+  }
+  const level = parseInt(value);
+  if (isNaN(level)) {
+    return DEFAULT_LEVEL;
+  }
+  return Math.min(MAX_LEVEL, Math.max(MIN_LEVEL, level));
+}
+
+function getLevelName(value) {
+  const level = normalizeLevel(value);
+  return Object.keys(DIFFICULTY_LEVELS).find(name =>
+    level >= DIFFICULTY_LEVELS[name].min && level <= DIFFICULTY_LEVELS[name].max
+  );
+}
+
+function getLevelBand(value) {
+  return { name: getLevelName(value), ...DIFFICULTY_LEVELS[getLevelName(value)] };
+}
+
+// The last level used on a site wins, then the last level used anywhere,
+// then the default level from the options page
+async function getRememberedLevel(hostname) {
+  const { lastLevel, defaultLevel } = await chrome.storage.sync.get(['lastLevel', 'defaultLevel']);
+  const { siteLevels = {} } = await chrome.storage.local.get('siteLevels');
+  const remembered = (hostname && siteLevels[hostname]) || lastLevel || defaultLevel;
+  return remembered ? normalizeLevel(remembered) : DEFAULT_LEVEL;
+}
+
+// Sites are kept most recent last; the oldest go once there are too many
+async function rememberLevel(value, hostname) {
+  const level = normalizeLevel(value);
+  await chrome.storage.sync.set({ lastLevel: level });
+  if (hostname) {
+    const { siteLevels = {} } = await chrome.storage.local.get('siteLevels');
+    delete siteLevels[hostname];
+    siteLevels[hostname] = level;
+    const sites = Object.keys(siteLevels);
+    sites.slice(0, -MAX_REMEMBERED_SITES).forEach(site => delete siteLevels[site]);
+    await chrome.storage.local.set({ siteLevels });
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MIN_LEVEL,
+    MAX_LEVEL,
+    DEFAULT_LEVEL,
+    DIFFICULTY_LEVELS,
+    normalizeLevel,
+    getLevelName,
+    getLevelBand,
+    getRememberedLevel,
+    rememberLevel
+  };
+}
@@ -0,0 +1,138 @@
+// Inline markup kept through translation
+// A reader block goes out as one string with its inline elements swapped for
+// numbered placeholder tags, so whole sentences are translated and links and
+// emphasis land back on the right words:
+// "Read <x0>this report</x0> today" -> "Lee <x0>este informe</x0> hoy"
+
+// Stand-alone elements with no text to translate
+const VOID_ELEMENTS = 'br, img, hr, wbr';
+// Kept exactly as they are and never sent for translation
+const UNTRANSLATED_ELEMENTS = 'code, kbd, samp, var, pre, svg, math, [translate="no"]';
+const PLACEHOLDER_PATTERN = /<x(\d+)\s*(\/?)>|<\/x(\d+)>/g;
+
+function escapeMarkupText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function unescapeMarkupText(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+// Turn an element's content into placeholder text plus the elements it stands for
+function encodeInlineMarkup(element) {
+  const elements = [];
+
+  const encode = (parent) => Array.from(parent.childNodes).map(node => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return escapeMarkupText(node.textContent);
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return '';
+    }
+
+    const index = elements.length;
+    if (node.matches(VOID_ELEMENTS) || node.matches(UNTRANSLATED_ELEMENTS)) {
+      elements.push({ node: node.cloneNode(true), paired: false });
+      return `<x${index}/>`;
+    }
+    elements.push({ node: node.cloneNode(false), paired: true });
+    return `<x${index}>${encode(node)}</x${index}>`;
+  }).join('');
+
+  return {
+    text: encode(element).replace(/\s+/g, ' ').trim(),
+    elements
+  };
+}
+
+// Whether there is anything besides markup and untranslated code to send
+function hasTranslatableText(element) {
+  return /\p{L}/u.test(encodeInlineMarkup(element).text.replace(PLACEHOLDER_PATTERN, ''));
+}
+
+// Rebuild a translation into nodes; null when its placeholders came back broken
+function decodeInlineMarkup(text, elements) {
+  const fragment = document.createDocumentFragment();
+  const stack = [{ node: fragment, index: null }];
+  const used = new Set();
+  let lastIndex = 0;
+
+  const appendText = (value) => {
+    if (value) {
+      stack[stack.length - 1].node.appendChild(document.createTextNode(unescapeMarkupText(value)));
+    }
+  };
+
+  for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+    appendText(text.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    if (match[3] !== undefined) {
+      if (stack[stack.length - 1].index !== Number(match[3])) {
+        return null;
+      }
+      stack.pop();
+      continue;
+    }
+
+    const index = Number(match[1]);
+    const item = elements[index];
+    const isVoid = match[2] === '/';
+    if (!item || used.has(index) || item.paired === isVoid) {
+      return null;
+    }
+    used.add(index);
+
+    const node = item.node.cloneNode(true);
+    stack[stack.length - 1].node.appendChild(node);
+    if (!isVoid) {
+      stack.push({ node, index });
+    }
+  }
+  appendText(text.slice(lastIndex));
+
+  if (stack.length !== 1) {
+    return null;
+  }
+
+  // Images and code the translation dropped are kept at the end
+  elements.forEach((item, index) => {
+    if (!item.paired && !used.has(index)) {
+      fragment.appendChild(document.createTextNode(' '));
+      fragment.appendChild(item.node.cloneNode(true));
+    }
+  });
+  return fragment;
+}
+
+// Replace an element's content with its translation, markup included; falls
+// back to plain text when the placeholders can't be matched up
+function restoreInlineMarkup(element, text, elements) {
+  const fragment = decodeInlineMarkup(text, elements);
+  element.textContent = '';
+
+  if (fragment) {
+    element.appendChild(fragment);
+    return true;
+  }
+
+  console.warn('Translation placeholders came back broken, showing plain text:', text);
+  element.textContent = unescapeMarkupText(text.replace(PLACEHOLDER_PATTERN, '')).replace(/\s+/g, ' ').trim();
+  return false;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    UNTRANSLATED_ELEMENTS,
+    encodeInlineMarkup,
+    hasTranslatableText,
+    decodeInlineMarkup,
+    restoreInlineMarkup
+  };
+}
@@ -1,31 +1,340 @@
+// Voice saved in the settings, kept until the browser has listed its voices
+let savedVoice = '';
+
+// Fill a dropdown from a table of {value: label} or {value: {label}}
+function populateSelect(id, choices) {
+  const select = document.getElementById(id);
+  Object.entries(choices).forEach(([value, choice]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = typeof choice === 'string' ? choice : choice.label;
+    select.appendChild(option);
+  });
+}
+
+function populateLevels() {
+  const levels = {};
+  for (let level = MIN_LEVEL; level <= MAX_LEVEL; level++) {
+    const band = getLevelBand(level);
+    levels[level] = `${level} · ${band.label} (${band.code}, CEFR ${band.cefr})`;
+  }
+  populateSelect('defaultLevel', levels);
+}
+
+function populateLanguages() {
+  const languages = {};
+  Object.entries(TARGET_LANGUAGES).forEach(([code, language]) => {
+    languages[code] = `${language.label} (${language.nativeName})`;
+  });
+  populateSelect('targetLanguage', languages);
+}
+
+// Varieties of one language; keeps the selected one if it belongs to it
+function populateVarieties(targetLanguage, dialect = document.getElementById('dialect').value) {
+  const select = document.getElementById('dialect');
+  const selected = resolveLanguageTag(targetLanguage, dialect);
+  select.textContent = '';
+
+  const varieties = {};
+  Object.entries(getTargetLanguage(targetLanguage).variants).forEach(([code, variant]) => {
+    varieties[code] = `${variant.label} (${code})`;
+  });
+  populateSelect('dialect', varieties);
+  select.value = selected;
+}
+
+function updateLanguageFields() {
+  populateVarieties(document.getElementById('targetLanguage').value);
+  populateVoices();
+}
+
+// Voices the browser offers for the chosen language; they load asynchronously in Chrome
+function getFormLanguage() {
+  return resolveLanguageTag(
+    document.getElementById('targetLanguage').value,
+    document.getElementById('dialect').value
+  );
+}
+
+// Voices for the selected variety, best first
+function populateVoices() {
+  const select = document.getElementById('ttsVoice');
+  const language = getFormLanguage();
+  const { label } = getTargetLanguage(language);
+  const allVoices = window.speechSynthesis.getVoices();
+  const ranked = rankVoices(allVoices, language);
+  select.textContent = '';
+
+  const voices = { '': ranked.length > 0 ? `Automatic (${ranked[0].name})` : `Automatic (best ${label} voice)` };
+  ranked.forEach(voice => {
+    voices[voice.name] = getVoiceLabel(voice);
+  });
+  if (savedVoice && !voices[savedVoice]) {
+    voices[savedVoice] = `${savedVoice} (not available)`;
+  }
+  populateSelect('ttsVoice', voices);
+  select.value = savedVoice;
+
+  // The voice list is empty until the browser has loaded it
+  document.getElementById('voiceHint').textContent = allVoices.length > 0 && ranked.length === 0
+    ? `No ${label} voice is installed, so the reader can't read aloud. Add one in your system's speech settings.`
+    : 'Natural and local voices are listed first.';
+}
+
+// Browser voices or a speech server, with the fields of the one chosen
+function updateSpeechFields() {
+  const server = document.getElementById('ttsEngine').value === 'server';
+  document.getElementById('browserVoiceFields').style.display = server ? 'none' : '';
+  document.getElementById('speechServerFields').style.display = server ? '' : 'none';
+  document.getElementById('ttsEndpoint').placeholder = SPEECH_SERVER_DEFAULTS.endpoint;
+  document.getElementById('ttsModel').placeholder = SPEECH_SERVER_DEFAULTS.model;
+  document.getElementById('ttsServerVoice').placeholder = SPEECH_SERVER_DEFAULTS.voice;
+}
+
+// Say a sample sentence with the engine, voice, rate and pitch in the form
+function previewVoice() {
+  if (document.getElementById('ttsEngine').value === 'server') {
+    previewServerVoice();
+    return;
+  }
+
+  const language = getFormLanguage();
+  const ranked = rankVoices(window.speechSynthesis.getVoices(), language);
+  const name = document.getElementById('ttsVoice').value;
+  const voice = ranked.find(v => v.name === name) || ranked[0];
+  if (!voice) {
+    showStatus(`No ${getTargetLanguage(language).label} voice is installed.`, 'error');
+    return;
+  }
+
+  const utterance = new SpeechSynthesisUtterance(getTargetLanguage(language).ui.voiceSample);
+  utterance.lang = language;
+  utterance.voice = voice;
+  const { values } = validateSettings({
+    ttsRate: document.getElementById('ttsRate').value,
+    ttsPitch: document.getElementById('ttsPitch').value
+  });
+  utterance.rate = values.ttsRate ?? SETTINGS_DEFAULTS.ttsRate;
+  utterance.pitch = values.ttsPitch ?? SETTINGS_DEFAULTS.ttsPitch;
+  window.speechSynthesis.cancel();
+  window.speechSynthesis.speak(utterance);
+}
+
+// The speech server reads the sample with the settings as typed, saved or not
+function previewServerVoice() {
+  const { values, errors } = validateForm();
+  if (errors.length > 0) {
+    showStatus(errors.join(' '), 'error');
+    return;
+  }
+
+  const button = document.getElementById('previewServerVoice');
+  button.disabled = true;
+  const text = getTargetLanguage(getFormLanguage()).ui.voiceSample;
+  chrome.runtime.sendMessage({ type: 'testSpeechServer', settings: values, text }, (response) => {
+    button.disabled = false;
+    if (chrome.runtime.lastError || !response || response.error) {
+      const message = response?.error || chrome.runtime.lastError?.message || 'No response from the extension';
+      showStatus(`Speech server failed: ${message}`, 'error');
+      return;
+    }
+    const audio = new Audio(response.audio);
+    audio.playbackRate = values.ttsRate;
+    audio.play().catch(error => showStatus(`Could not play the audio: ${error.message}`, 'error'));
+  });
+}
+
+// Show the selected provider's defaults as placeholders
+function updateProviderFields() {
+  const provider = getProvider(document.getElementById('provider').value);
+  document.getElementById('model').placeholder = provider.defaultModel || 'Not used by this provider';
+  document.getElementById('endpoint').placeholder = provider.defaultEndpoint || 'Not used by this provider';
+  document.getElementById('apiKeyHint').textContent = provider.requiresApiKey
+    ? 'Required for this provider.'
+    : 'Optional for this provider.';
+}
+
+// Show how much the persistent translation cache holds
+function showCacheStats() {
+  chrome.runtime.sendMessage({ type: 'getCacheStats' }, (stats) => {
+    const cacheStats = document.getElementById('cacheStats');
+    if (!stats || stats.error) {
+      cacheStats.textContent = 'Cache size unavailable.';
+      return;
+    }
+    const megabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(2);
+    cacheStats.textContent = `${stats.entries} cached translations (${megabytes(stats.bytes)} MB)`;
+    if (stats.audio?.entries > 0) {
+      cacheStats.textContent += `, ${stats.audio.entries} audio clips (${megabytes(stats.audio.bytes)} MB)`;
+    }
+  });
+}
+
+function clearCache() {
+  chrome.runtime.sendMessage({ type: 'clearCache' }, () => {
+    showStatus('Translation cache cleared.');
+    showCacheStats();
+  });
+}
+
+function showStatus(message, type = 'success') {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  status.className = `status ${type}`;
+  status.style.display = 'block';
+
+  setTimeout(() => {
+    status.style.display = 'none';
+  }, type === 'error' ? 5000 : 2000);
+}
+
+// Every setting has a form field with the same id
+function readForm() {
+  const form = {};
+  Object.keys(SETTINGS_DEFAULTS).forEach(key => {
+    form[key] = document.getElementById(key).value;
+  });
+  return form;
+}
+
+function fillForm(settings) {
+  Object.keys(SETTINGS_DEFAULTS).forEach(key => {
+    const value = settings[key];
+    document.getElementById(key).value = Array.isArray(value) ? value.join('\n') : value;
+  });
+  populateVarieties(settings.targetLanguage, settings.dialect);
+  savedVoice = settings.ttsVoice;
+  populateVoices();
+  updateProviderFields();
+  updateSpeechFields();
+}
+
+function validateForm() {
+  const { values, errors } = validateSettings(readForm());
+  if (!TRANSLATION_PROVIDERS[values.provider]) {
+    errors.push('Choose a translation provider.');
+  }
+  return { values, errors };
+}
+
 // Saves options to chrome.storage
 function saveOptions() {
-  const apiKey = document.getElementById('apiKey').value;
-  chrome.storage.sync.set(
-    { apiKey },
-    () => {
-      // Update status to let user know options were saved
-      const status = document.getElementById('status');
-      status.textContent = 'Options saved.';
-      status.className = 'status success';
-      status.style.display = 'block';
-
-      setTimeout(() => {
-        status.style.display = 'none';
-      }, 2000);
+  const { values, errors } = validateForm();
+  if (errors.length > 0) {
+    showStatus(errors.join(' '), 'error');
+    return;
+  }
+
+  chrome.storage.sync.set(values, () => {
+    // Update status to let user know options were saved
+    showStatus('Options saved.');
+  });
+}
+
+// Send a sample sentence through the backend as configured in the form, saved or not
+function testConnection() {
+  const { values, errors } = validateForm();
+  const result = document.getElementById('connectionResult');
+  if (errors.length > 0) {
+    result.textContent = errors.join(' ');
+    return;
+  }
+
+  const button = document.getElementById('testConnection');
+  button.disabled = true;
+  result.textContent = 'Testing...';
+
+  chrome.runtime.sendMessage({ type: 'testConnection', settings: values }, (response) => {
+    button.disabled = false;
+    if (chrome.runtime.lastError || !response || response.error) {
+      const message = response?.error || chrome.runtime.lastError?.message || 'No response from the extension';
+      result.textContent = `✗ Connection failed: ${message}`;
+      return;
     }
-  );
+    result.textContent = `✓ ${response.label} works: "${response.sample}" → "${response.translation}"`;
+  });
+}
+
+function exportSettings() {
+  chrome.storage.sync.get(SETTINGS_DEFAULTS, (items) => {
+    // The API keys stay on this computer
+    const { apiKey, ttsApiKey, ...settings } = items;
+    const url = URL.createObjectURL(new Blob([JSON.stringify(settings, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'spanishify-settings.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  });
+}
+
+async function importSettings(event) {
+  const [file] = event.target.files;
+  if (!file) return;
+  event.target.value = '';
+
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    showStatus('Import failed: the file is not valid JSON.', 'error');
+    return;
+  }
+
+  const { values, errors } = validateSettings(data);
+  if (errors.length > 0) {
+    showStatus(`Import failed: ${errors.join(' ')}`, 'error');
+    return;
+  }
+  if (Object.keys(values).length === 0) {
+    showStatus('Import failed: no Spanishify settings found in the file.', 'error');
+    return;
+  }
+
+  chrome.storage.sync.set(values, () => {
+    restoreOptions();
+    showStatus('Settings imported.');
+  });
+}
+
+function resetSettings() {
+  if (!confirm('Reset all settings to their defaults? Your API keys are kept.')) return;
+
+  const { apiKey, ttsApiKey, ...defaults } = SETTINGS_DEFAULTS;
+  chrome.storage.sync.set(defaults, () => {
+    restoreOptions();
+    showStatus('Settings reset to defaults.');
+  });
 }
 
-// Restores API key input state using the preferences stored in chrome.storage
+// Restores the form using the preferences stored in chrome.storage
 function restoreOptions() {
-  chrome.storage.sync.get(
-    { apiKey: '' }, // default value
-    (items) => {
-      document.getElementById('apiKey').value = items.apiKey;
-    }
-  );
+  chrome.storage.sync.get(SETTINGS_DEFAULTS, fillForm);
+  showCacheStats();
 }
 
-document.addEventListener('DOMContentLoaded', restoreOptions);
-document.getElementById('save').addEventListener('click', saveOptions); 
\ No newline at end of file
+document.addEventListener('DOMContentLoaded', () => {
+  populateSelect('provider', TRANSLATION_PROVIDERS);
+  populateSelect('displayMode', DISPLAY_MODES);
+  populateSelect('readerFont', READER_FONTS);
+  populateSelect('readerTheme', READER_THEMES);
+  populateSelect('adaptiveLevel', ADAPTIVE_LEVEL_MODES);
+  populateSelect('outputMode', OUTPUT_MODES);
+  populateSelect('ttsEngine', TTS_ENGINES);
+  populateLevels();
+  populateLanguages();
+  window.speechSynthesis.onvoiceschanged = populateVoices;
+  restoreOptions();
+});
+document.getElementById('provider').addEventListener('change', updateProviderFields);
+document.getElementById('targetLanguage').addEventListener('change', updateLanguageFields);
+document.getElementById('dialect').addEventListener('change', populateVoices);
+document.getElementById('ttsEngine').addEventListener('change', updateSpeechFields);
+document.getElementById('previewVoice').addEventListener('click', previewVoice);
+document.getElementById('previewServerVoice').addEventListener('click', previewVoice);
+document.getElementById('testConnection').addEventListener('click', testConnection);
+document.getElementById('clearCache').addEventListener('click', clearCache);
+document.getElementById('exportSettings').addEventListener('click', exportSettings);
+document.getElementById('importSettings').addEventListener('change', importSettings);
+document.getElementById('resetSettings').addEventListener('click', resetSettings);
+document.getElementById('save').addEventListener('click', saveOptions);
@@ -1,18 +1,83 @@
-document.addEventListener('DOMContentLoaded', function() {
-  const buttons = document.querySelectorAll('.difficulty-btn');
+document.addEventListener('DOMContentLoaded', async function() {
+  const buttons = createLevelButtons();
+
+  // Get the active tab and the level last used on its site
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const hostname = getHostname(tab);
+  const rememberedLevel = await getRememberedLevel(hostname);
+  const rememberedName = getLevelName(rememberedLevel);
+
+  // Name the language the page will be translated into
+  const { targetLanguage, outputMode } = await chrome.storage.sync.get({
+    targetLanguage: DEFAULT_TARGET_LANGUAGE,
+    outputMode: 'reader'
+  });
+  const language = getTargetLanguage(targetLanguage);
+
+  // Translate the page's own text in place instead of opening the reader; the choice is kept
+  const inPlace = document.getElementById('inPlace');
+  inPlace.checked = outputMode === 'inpage';
+  inPlace.addEventListener('change', () => {
+    chrome.storage.sync.set({ outputMode: inPlace.checked ? 'inpage' : 'reader' });
+  });
   
   buttons.forEach(button => {
-    button.addEventListener('click', async () => {
-      const difficulty = button.id;
-      
-      // Get the active tab
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const levelName = button.id;
+    button.firstChild.textContent = `${DIFFICULTY_LEVELS[levelName].label} ${language.label}`;
+    if (levelName === rememberedName) {
+      button.classList.add('selected');
+    }
+
+    button.addEventListener('click', () => {
+      // Keep a fine-tuned slider level when it falls within the chosen level
+      const difficulty = levelName === rememberedName
+        ? rememberedLevel
+        : DIFFICULTY_LEVELS[levelName].defaultLevel;
       
       // Send message to content script with the selected difficulty
-      chrome.tabs.sendMessage(tab.id, { action: 'translate', difficulty: difficulty });
+      chrome.tabs.sendMessage(tab.id, { action: 'translate', difficulty: difficulty, inPlace: inPlace.checked });
       
       // Close the popup
       window.close();
     });
   });
-}); 
\ No newline at end of file
+
+  // Keep the page in English with some of its words swapped in; a second click undoes it
+  const immersionButton = document.getElementById('immersion');
+  immersionButton.lastChild.textContent = `A few words in ${language.label}, on the page`;
+  immersionButton.addEventListener('click', () => {
+    chrome.tabs.sendMessage(tab.id, { action: 'weave' });
+    window.close();
+  });
+
+  document.getElementById('openReview').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('review.html') });
+    window.close();
+  });
+});
+
+// One button per level band, labelled from levels.js
+function createLevelButtons() {
+  const container = document.getElementById('levels');
+  return Object.entries(DIFFICULTY_LEVELS).map(([levelName, band]) => {
+    const button = document.createElement('button');
+    button.className = `difficulty-btn ${levelName}`;
+    button.id = levelName;
+    button.appendChild(document.createTextNode(band.label));
+    const code = document.createElement('span');
+    code.className = 'level-code';
+    code.textContent = `${band.code} · CEFR ${band.cefr}`;
+    button.appendChild(code);
+    container.appendChild(button);
+    return button;
+  });
+}
+
+function getHostname(tab) {
+  try {
+    return new URL(tab.url).hostname;
+  } catch (e) {
+    return '';
+  }
+}
@@ -0,0 +1,200 @@
+// Pronunciation practice
+// The learner says a sentence of the translation, speech recognition writes
+// down what it heard, and the transcript is aligned word by word with the
+// sentence to find the words that were missed or came out as something else.
+// Every attempt is kept in chrome.storage.local so progress shows over time.
+
+const PRONUNCIATION_KEY = 'pronunciation';
+const MAX_PRONUNCIATION_ATTEMPTS = 1000;
+
+// Recognizers follow the Web Speech SpeechRecognition interface: lang,
+// start(), abort() and the onresult, onerror and onend events. Tests swap in
+// their own with setSpeechRecognizerFactory.
+function createBrowserSpeechRecognizer(language) {
+  const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+  if (!Recognition) return null;
+
+  const recognizer = new Recognition();
+  recognizer.lang = language;
+  recognizer.continuous = false;
+  recognizer.interimResults = false;
+  recognizer.maxAlternatives = 3;
+  return recognizer;
+}
+
+let speechRecognizerFactory = createBrowserSpeechRecognizer;
+
+function setSpeechRecognizerFactory(factory) {
+  speechRecognizerFactory = factory || createBrowserSpeechRecognizer;
+}
+
+const RECOGNITION_ERRORS = {
+  'no-speech': 'No speech was heard. Try again a little closer to the microphone.',
+  'audio-capture': 'No microphone was found.',
+  'not-allowed': 'Microphone access is blocked. Allow it for this site to practise speaking.',
+  'network': 'Speech recognition needs a network connection in this browser.'
+};
+
+// Listen for one utterance and resolve with what the recognizer heard, most
+// likely first; an empty list means nothing was recognised
+function listenForSpeech(language) {
+  return new Promise((resolve, reject) => {
+    const recognizer = speechRecognizerFactory(language);
+    if (!recognizer) {
+      reject(new Error('Speech recognition is not supported in this browser.'));
+      return;
+    }
+
+    let transcripts = [];
+    recognizer.onresult = (event) => {
+      const result = event.results[event.results.length - 1];
+      transcripts = Array.from(result).map(alternative => alternative.transcript.trim()).filter(Boolean);
+    };
+    recognizer.onerror = (event) => {
+      reject(new Error(RECOGNITION_ERRORS[event.error] || `Speech recognition failed: ${event.error}`));
+    };
+    // Fires after errors too, when the promise is already settled
+    recognizer.onend = () => resolve(transcripts);
+    recognizer.start();
+  });
+}
+
+// Words of a text with their character ranges
+function getSpeechWords(text) {
+  return Array.from(text.matchAll(/[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu), match => ({
+    text: match[0],
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+// Recognizers differ in case and accents, which say nothing about how a word was spoken
+function normalizeSpokenWord(word) {
+  return word.toLowerCase().normalize('NFD').replace(/\p{M}/gu, '');
+}
+
+// Edit-distance alignment of the sentence's words with the heard words. Each
+// sentence word comes back 'correct', 'mispronounced' (something else was heard
+// in its place) or 'missed'; heard words with no place in the sentence are extra.
+function alignSpokenWords(targetWords, heardWords) {
+  const target = targetWords.map(normalizeSpokenWord);
+  const heard = heardWords.map(normalizeSpokenWord);
+  const rows = target.length + 1;
+  const columns = heard.length + 1;
+
+  // cost[i][j]: edits to turn the first i sentence words into the first j heard words
+  const cost = Array.from({ length: rows }, () => new Array(columns).fill(0));
+  for (let i = 0; i < rows; i++) cost[i][0] = i;
+  for (let j = 0; j < columns; j++) cost[0][j] = j;
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < columns; j++) {
+      cost[i][j] = Math.min(
+        cost[i - 1][j - 1] + (target[i - 1] === heard[j - 1] ? 0 : 1),
+        cost[i - 1][j] + 1,
+        cost[i][j - 1] + 1
+      );
+    }
+  }
+
+  // Walk back from the end, preferring a match or substitution over a gap
+  const statuses = [];
+  const extra = [];
+  let i = target.length;
+  let j = heard.length;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && cost[i][j] === cost[i - 1][j - 1] + (target[i - 1] === heard[j - 1] ? 0 : 1)) {
+      statuses[i - 1] = target[i - 1] === heard[j - 1]
+        ? { status: 'correct', heard: heardWords[j - 1] }
+        : { status: 'mispronounced', heard: heardWords[j - 1] };
+      i--;
+      j--;
+    } else if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+      statuses[i - 1] = { status: 'missed', heard: '' };
+      i--;
+    } else {
+      extra.unshift(heardWords[j - 1]);
+      j--;
+    }
+  }
+
+  return { statuses, extra };
+}
+
+// Score one transcript against the sentence: the share of its words said right
+function scoreTranscript(sentence, transcript) {
+  const words = getSpeechWords(sentence);
+  const { statuses, extra } = alignSpokenWords(
+    words.map(word => word.text),
+    getSpeechWords(transcript).map(word => word.text)
+  );
+  const correct = statuses.filter(word => word.status === 'correct').length;
+
+  return {
+    transcript,
+    score: words.length ? Math.round((correct / words.length) * 100) : 0,
+    words: words.map((word, index) => ({ ...word, ...statuses[index] })),
+    extra
+  };
+}
+
+// Score every alternative the recognizer offered and keep the best
+function scorePronunciation(sentence, transcripts) {
+  const results = (transcripts.length ? transcripts : ['']).map(transcript => scoreTranscript(sentence, transcript));
+  return results.reduce((best, result) => (result.score > best.score ? result : best));
+}
+
+async function getPronunciationAttempts() {
+  const { [PRONUNCIATION_KEY]: attempts = [] } = await chrome.storage.local.get(PRONUNCIATION_KEY);
+  return attempts;
+}
+
+// Keep an attempt; the oldest ones go once there are too many
+async function savePronunciationAttempt(details, now = Date.now()) {
+  const attempts = await getPronunciationAttempts();
+  const attempt = {
+    sentence: details.sentence,
+    language: details.language,
+    transcript: details.transcript,
+    score: details.score,
+    missed: details.missed || [],
+    url: details.url || '',
+    level: details.level || null,
+    at: now
+  };
+  attempts.push(attempt);
+  await chrome.storage.local.set({ [PRONUNCIATION_KEY]: attempts.slice(-MAX_PRONUNCIATION_ATTEMPTS) });
+  return attempt;
+}
+
+function getSentenceAttempts(attempts, sentence, language) {
+  return attempts.filter(attempt => attempt.sentence === sentence && attempt.language === language);
+}
+
+// Compare the average of the first attempts with the latest ones
+function summarizePronunciation(attempts, count = 10) {
+  const average = (list) => (list.length
+    ? Math.round(list.reduce((sum, attempt) => sum + attempt.score, 0) / list.length)
+    : null);
+  return {
+    attempts: attempts.length,
+    sentences: new Set(attempts.map(attempt => `${attempt.language}|${attempt.sentence}`)).size,
+    best: attempts.length ? Math.max(...attempts.map(attempt => attempt.score)) : null,
+    firstAverage: average(attempts.slice(0, count)),
+    recentAverage: average(attempts.slice(-count))
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    setSpeechRecognizerFactory,
+    listenForSpeech,
+    getSpeechWords,
+    normalizeSpokenWord,
+    alignSpokenWords,
+    scorePronunciation,
+    getPronunciationAttempts,
+    savePronunciationAttempt,
+    getSentenceAttempts,
+    summarizePronunciation
+  };
+}
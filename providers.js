@@ -0,0 +1,251 @@
+// Translation provider adapters
+// Each provider takes the system message and prompt built by the translation
+// service and returns the raw reply text from its backend. When the request
+// carries a JSON schema, providers use their JSON-mode or function-calling
+// output so the reply is a JSON document matching it. The request's task
+// ('translate', 'glossary', ...) lets providers without prompts decline work.
+
+const DEFAULT_PROVIDER = 'openai';
+
+const TRANSLATION_PROVIDERS = {
+  openai: {
+    label: 'OpenAI-compatible',
+    defaultEndpoint: 'https://api.openai.com/v1',
+    defaultModel: 'gpt-3.5-turbo',
+    requiresApiKey: true,
+    translate: translateWithOpenAI
+  },
+  anthropic: {
+    label: 'Anthropic',
+    defaultEndpoint: 'https://api.anthropic.com/v1',
+    defaultModel: 'claude-3-haiku-20240307',
+    requiresApiKey: true,
+    translate: translateWithAnthropic
+  },
+  ollama: {
+    label: 'Ollama (local)',
+    defaultEndpoint: 'http://localhost:11434',
+    defaultModel: 'llama3',
+    requiresApiKey: false,
+    translate: translateWithOllama
+  },
+  libretranslate: {
+    label: 'LibreTranslate',
+    defaultEndpoint: 'http://localhost:5000',
+    defaultModel: '',
+    requiresApiKey: false,
+    translate: translateWithLibreTranslate
+  },
+  mock: {
+    label: 'Mock (testing)',
+    defaultEndpoint: '',
+    defaultModel: 'mock',
+    requiresApiKey: false,
+    translate: translateWithMock
+  }
+};
+
+const DEFAULT_TEMPERATURE = 0.7;
+
+function getProvider(id) {
+  return TRANSLATION_PROVIDERS[id] || TRANSLATION_PROVIDERS[DEFAULT_PROVIDER];
+}
+
+// Fill in provider defaults for anything the user left blank in the options page
+function resolveProviderConfig(settings = {}) {
+  const providerId = TRANSLATION_PROVIDERS[settings.provider] ? settings.provider : DEFAULT_PROVIDER;
+  const provider = TRANSLATION_PROVIDERS[providerId];
+  return {
+    provider: providerId,
+    apiKey: settings.apiKey || '',
+    model: settings.model || provider.defaultModel,
+    endpoint: (settings.endpoint || provider.defaultEndpoint).replace(/\/+$/, ''),
+    temperature: typeof settings.temperature === 'number' ? settings.temperature : DEFAULT_TEMPERATURE
+  };
+}
+
+async function readJsonResponse(response) {
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error?.message || data.error || 'Translation failed');
+  }
+  return data;
+}
+
+async function translateWithOpenAI(request, config) {
+  const response = await fetch(`${config.endpoint}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${config.apiKey}`
+    },
+    body: JSON.stringify({
+      model: config.model,
+      messages: [
+        { role: 'system', content: request.system },
+        { role: 'user', content: request.prompt }
+      ],
+      ...(request.schema ? { response_format: { type: 'json_object' } } : {}),
+      temperature: config.temperature,
+      max_tokens: 2000
+    })
+  });
+
+  const data = await readJsonResponse(response);
+  return data.choices[0].message.content.trim();
+}
+
+async function translateWithAnthropic(request, config) {
+  const response = await fetch(`${config.endpoint}/messages`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': config.apiKey,
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true'
+    },
+    body: JSON.stringify({
+      model: config.model,
+      system: request.system,
+      messages: [
+        { role: 'user', content: request.prompt }
+      ],
+      ...(request.schema ? {
+        tools: [{
+          name: 'submit_result',
+          description: 'Submit the result in the requested structure',
+          input_schema: request.schema
+        }],
+        tool_choice: { type: 'tool', name: 'submit_result' }
+      } : {}),
+      // Anthropic accepts temperatures up to 1
+      temperature: Math.min(config.temperature, 1),
+      max_tokens: 2000
+    })
+  });
+
+  const data = await readJsonResponse(response);
+  const toolUse = data.content.find(block => block.type === 'tool_use');
+  if (toolUse) {
+    return JSON.stringify(toolUse.input);
+  }
+  return data.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('')
+    .trim();
+}
+
+async function translateWithOllama(request, config) {
+  const response = await fetch(`${config.endpoint}/api/chat`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model: config.model,
+      stream: false,
+      ...(request.schema ? { format: 'json' } : {}),
+      messages: [
+        { role: 'system', content: request.system },
+        { role: 'user', content: request.prompt }
+      ],
+      options: { temperature: config.temperature }
+    })
+  });
+
+  const data = await readJsonResponse(response);
+  return data.message.content.trim();
+}
+
+// LibreTranslate is a plain machine translation server, so it only gets the
+// raw texts, ignores the difficulty instructions in the prompt and answers in
+// the same indexed JSON shape the language models are asked for
+async function translateWithLibreTranslate(request, config) {
+  if (request.task !== 'translate') {
+    throw new Error('LibreTranslate only supports translation. Choose a language model provider in the options.');
+  }
+
+  const response = await fetch(`${config.endpoint}/translate`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      q: request.texts,
+      source: 'en',
+      // Language code only: LibreTranslate has no regional varieties
+      target: getRequestLanguageCode(request),
+      // Placeholder tags for inline markup come through untouched in HTML mode
+      format: 'html',
+      ...(config.apiKey ? { api_key: config.apiKey } : {})
+    })
+  });
+
+  const data = await readJsonResponse(response);
+  return JSON.stringify({
+    translations: data.translatedText.map((text, index) => ({ index, text }))
+  });
+}
+
+// 'pt-BR' -> 'pt'; requests without a language are for Spanish
+function getRequestLanguageCode(request) {
+  return (request.language || 'es').split('-')[0];
+}
+
+// Deterministic provider for tests: tags every text instead of translating it
+async function translateWithMock(request) {
+  if (request.task === 'glossary') {
+    return JSON.stringify({
+      lemma: request.texts[0].toLowerCase(),
+      partOfSpeech: 'unknown',
+      gloss: `[EN] ${request.texts[0]}`,
+      verb: null
+    });
+  }
+
+  if (request.task === 'explain') {
+    return JSON.stringify({
+      verbs: [],
+      grammar: [{ rule: '[EN] Word order', explanation: '[EN] The sentence keeps the usual word order.' }],
+      literal: `[EN] ${request.texts[0]}`,
+      idiomatic: `[EN] ${request.texts[0]}`
+    });
+  }
+
+  if (request.task === 'quiz') {
+    const words = request.texts[0].match(/\p{L}+/gu) || ['texto'];
+    return JSON.stringify({
+      questions: [
+        {
+          type: 'true-false',
+          question: `[${getRequestLanguageCode(request).toUpperCase()}] ${request.texts[0].slice(0, 80)}`,
+          answer: true,
+          explanation: '[EN] The statement is taken from the article.'
+        },
+        {
+          type: 'cloze',
+          question: `___ ${words.slice(1, 6).join(' ')}`,
+          answer: words[0],
+          explanation: `[EN] The missing word is ${words[0]}.`
+        }
+      ]
+    });
+  }
+
+  return JSON.stringify({
+    translations: request.texts.map((text, index) => ({
+      index,
+      text: `[${getRequestLanguageCode(request).toUpperCase()}] ${text}`
+    }))
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_PROVIDER,
+    TRANSLATION_PROVIDERS,
+    getProvider,
+    resolveProviderConfig
+  };
+}
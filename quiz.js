@@ -0,0 +1,168 @@
+// Comprehension quizzes about the translated article
+// The reader sends the article's translated text and the learner's level; the
+// configured backend writes questions about it in four kinds: multiple choice,
+// true/false, cloze (a sentence with a word left out) and vocabulary matching.
+// Answers are graded in the reader (grading.js) against the answers given here.
+
+const QUIZ_TYPES = ['multiple-choice', 'true-false', 'cloze', 'matching'];
+
+// Longer articles are cut; the questions only need enough of the text to be fair
+const MAX_QUIZ_TEXT_LENGTH = 8000;
+
+const QUIZ_SCHEMA = {
+  type: 'object',
+  properties: {
+    questions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: QUIZ_TYPES },
+          question: { type: 'string' },
+          choices: { type: 'array', items: { type: 'string' } },
+          answer: { type: ['integer', 'boolean', 'string'] },
+          pairs: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                word: { type: 'string' },
+                meaning: { type: 'string' }
+              },
+              required: ['word', 'meaning']
+            }
+          },
+          explanation: { type: 'string' }
+        },
+        required: ['type', 'question', 'explanation']
+      }
+    }
+  },
+  required: ['questions']
+};
+
+function getQuizPrompt(language) {
+  const { label } = getTargetLanguage(language);
+  return `You are a ${label} teacher writing reading comprehension quizzes for English speakers learning ${label}. Reply only with a JSON object {"questions": [...]} where every question has "type", "question" and "explanation", and:
+- "multiple-choice" questions have "choices" (4 options) and "answer", the index of the right choice
+- "true-false" questions have a statement about the article as "question" and "answer" true or false
+- "cloze" questions have a sentence from the article with one word replaced by ___ as "question" and the missing word as "answer"
+- "matching" questions have "pairs" of {"word", "meaning"}: words from the article with short English meanings`;
+}
+
+function getQuizInstructions(text, level, language) {
+  const band = getLanguageLevelBand(level, language);
+  const variant = getLanguageVariant(language);
+  const { label } = getTargetLanguage(language);
+  // Beginners get explanations they can read; everyone else practises reading more
+  const explanationLanguage = band.name === 'beginner' ? 'simple English' : `simple ${label}`;
+
+  return `Write 8 questions about the article below: 3 multiple-choice, 2 true-false, 2 cloze and 1 matching question with 4 pairs.
+
+- Learner level: ${normalizeLevel(level)}/10 (${band.name}, ${band.code}, CEFR ${band.cefr})
+- Write questions, choices and statements in ${variant.name} with ${band.vocabulary} vocabulary and ${band.grammar}
+- Ask about what the article says, not general knowledge
+- Explanations: one or two sentences in ${explanationLanguage} saying why the right answer is right, quoting the article where it helps
+
+Article:
+${text.slice(0, MAX_QUIZ_TEXT_LENGTH)}`;
+}
+
+async function generateQuiz(text, level, language, fresh = false) {
+  language = normalizeLanguageTag(language);
+  const config = await loadProviderConfig();
+  const provider = getProvider(config.provider);
+
+  // The same article at the same level gets the same quiz, unless new questions are asked for
+  const key = getCacheKey(text, `quiz:${normalizeLevel(level)}`, config, language);
+  if (!fresh) {
+    const [cached] = await getCachedTranslations([key]);
+    if (cached) {
+      return cached;
+    }
+  }
+
+  if (provider.requiresApiKey && !config.apiKey) {
+    throw new Error(`${provider.label} API key not configured. Please set it in the extension options.`);
+  }
+
+  const reply = await provider.translate({
+    task: 'quiz',
+    system: getQuizPrompt(language),
+    prompt: getQuizInstructions(text, level, language),
+    texts: [text],
+    language,
+    schema: QUIZ_SCHEMA
+  }, config);
+
+  const quiz = parseQuizReply(reply);
+  await setCachedTranslations([{ key, value: quiz }]);
+  return quiz;
+}
+
+// Keep the questions that are complete enough to grade, in a fixed shape
+function parseQuizReply(reply) {
+  let data;
+  try {
+    data = JSON.parse(reply.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch (error) {
+    throw new Error('Could not read the quiz reply');
+  }
+
+  const questions = (Array.isArray(data?.questions) ? data.questions : [])
+    .map(parseQuizQuestion)
+    .filter(Boolean);
+  if (questions.length === 0) {
+    throw new Error('The quiz reply has no usable questions');
+  }
+  return { questions };
+}
+
+function parseQuizQuestion(item) {
+  if (!item || !QUIZ_TYPES.includes(item.type) || typeof item.question !== 'string' || !item.question.trim()) {
+    console.warn('Ignoring unexpected quiz question:', item);
+    return null;
+  }
+
+  const question = {
+    type: item.type,
+    question: item.question.trim(),
+    explanation: String(item.explanation || '').trim()
+  };
+
+  if (item.type === 'multiple-choice') {
+    const choices = (Array.isArray(item.choices) ? item.choices : []).map(choice => String(choice).trim()).filter(Boolean);
+    // Some models answer with the text of the choice instead of its index
+    const answer = Number.isInteger(item.answer) ? item.answer : choices.indexOf(String(item.answer).trim());
+    if (choices.length < 2 || answer < 0 || answer >= choices.length) return null;
+    return { ...question, choices, answer };
+  }
+
+  if (item.type === 'true-false') {
+    const answer = typeof item.answer === 'boolean' ? item.answer : { true: true, false: false }[String(item.answer).toLowerCase()];
+    if (answer === undefined) return null;
+    return { ...question, answer };
+  }
+
+  if (item.type === 'cloze') {
+    const answer = String(item.answer ?? '').trim();
+    // Blanks come as any run of underscores; the reader needs exactly one, written ___
+    const text = question.question.replace(/_{3,}/g, '___');
+    if (!answer || text.split('___').length !== 2) return null;
+    return { ...question, question: text, answer };
+  }
+
+  const pairs = (Array.isArray(item.pairs) ? item.pairs : [])
+    .filter(pair => pair && typeof pair.word === 'string' && typeof pair.meaning === 'string')
+    .map(pair => ({ word: pair.word.trim(), meaning: pair.meaning.trim() }))
+    .filter(pair => pair.word && pair.meaning);
+  if (pairs.length < 2) return null;
+  return { ...question, pairs };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    generateQuiz,
+    parseQuizReply
+  };
+}
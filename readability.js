@@ -0,0 +1,333 @@
+// Article extraction for the reader
+// Scores the page's text blocks the way Mozilla Readability does (text length,
+// commas, link density and class/id hints), keeps the best container with its
+// related siblings, and reads the article's title, byline, date and lead image.
+
+// Never part of an article
+const REMOVED_TAGS = 'script, style, noscript, iframe, link, meta, object, embed, form, button, input, select, textarea, nav, aside, footer';
+
+// Class or id names of page furniture, unless they also look like content
+const UNLIKELY_CANDIDATES = /(^|[\s_-])(ads?|advert|advertisement|banner|breadcrumbs?|combx|comments?|community|cookie|disqus|footer|gdpr|header|menu|modal|nav|navigation|newsletter|outbrain|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsored|subscribe|taboola|teaser|widget)([\s_-]|$)/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+const UNLIKELY_ROLES = ['menu', 'menubar', 'complementary', 'navigation', 'alert', 'alertdialog', 'dialog', 'banner', 'contentinfo'];
+
+const POSITIVE_HINTS = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE_HINTS = /hidden|banner|combx|comment|contact|foot|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|teaser|tool|widget/i;
+const BYLINE_HINTS = /byline|author|dateline|writtenby|p-author/i;
+
+const MIN_PARAGRAPH_LENGTH = 25;
+const BLOCK_TAGS = new Set(['ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIELDSET', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'UL']);
+const TRACKING_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'ref', 'source'];
+
+function getInnerText(element) {
+  return element.textContent.replace(/\s+/g, ' ').trim();
+}
+
+// Share of an element's text that sits inside links
+function getLinkDensity(element) {
+  const length = getInnerText(element).length;
+  if (length === 0) {
+    return 0;
+  }
+  const linkLength = Array.from(element.querySelectorAll('a'))
+    .reduce((sum, link) => sum + getInnerText(link).length, 0);
+  return linkLength / length;
+}
+
+function getClassWeight(element) {
+  let weight = 0;
+  [element.className, element.id].forEach(name => {
+    if (typeof name !== 'string' || name === '') return;
+    if (NEGATIVE_HINTS.test(name)) weight -= 25;
+    if (POSITIVE_HINTS.test(name)) weight += 25;
+  });
+  return weight;
+}
+
+function getTagWeight(element) {
+  switch (element.tagName) {
+    case 'DIV':
+      return 5;
+    case 'PRE':
+    case 'TD':
+    case 'BLOCKQUOTE':
+      return 3;
+    case 'ADDRESS':
+    case 'OL':
+    case 'UL':
+    case 'DL':
+    case 'DD':
+    case 'DT':
+    case 'LI':
+    case 'FORM':
+      return -3;
+    case 'H1':
+    case 'H2':
+    case 'H3':
+    case 'H4':
+    case 'H5':
+    case 'H6':
+    case 'TH':
+      return -5;
+    default:
+      return 0;
+  }
+}
+
+function isHidden(element) {
+  const style = (element.getAttribute('style') || '').replace(/\s+/g, '');
+  return element.hasAttribute('hidden') ||
+    element.getAttribute('aria-hidden') === 'true' ||
+    /display:none|visibility:hidden/i.test(style);
+}
+
+function isUnlikelyCandidate(element) {
+  if (['BODY', 'ARTICLE', 'MAIN', 'A'].includes(element.tagName)) {
+    return false;
+  }
+  if (UNLIKELY_ROLES.includes(element.getAttribute('role'))) {
+    return true;
+  }
+  // Site headers go, an article's own header with its title stays
+  if (element.tagName === 'HEADER' && !element.closest('article')) {
+    return true;
+  }
+  const names = `${typeof element.className === 'string' ? element.className : ''} ${element.id}`;
+  return UNLIKELY_CANDIDATES.test(names) && !MAYBE_CANDIDATE.test(names);
+}
+
+// A short element that names the author; its text is kept as the byline
+function isBylineElement(element) {
+  const names = `${typeof element.className === 'string' ? element.className : ''} ${element.id}`;
+  const looksLikeByline = element.getAttribute('rel') === 'author' ||
+    (element.getAttribute('itemprop') || '').includes('author') ||
+    BYLINE_HINTS.test(names);
+  const length = getInnerText(element).length;
+  return looksLikeByline && length > 0 && length < 100;
+}
+
+function getMetaContent(doc, names) {
+  for (const name of names) {
+    const meta = doc.querySelector(`meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`);
+    const content = meta && meta.getAttribute('content');
+    if (content && content.trim()) {
+      return content.trim();
+    }
+  }
+  return null;
+}
+
+function toAbsoluteUrl(url, doc) {
+  try {
+    return new URL(url, doc.baseURI).href;
+  } catch (e) {
+    return url;
+  }
+}
+
+// Page titles often end with the site name: "Story | Site" or "Story - Site"
+function getArticleTitle(doc) {
+  const metaTitle = getMetaContent(doc, ['og:title', 'twitter:title']);
+  if (metaTitle) {
+    return metaTitle;
+  }
+  const heading = doc.querySelector('article h1, main h1, h1');
+  if (heading && getInnerText(heading)) {
+    return getInnerText(heading);
+  }
+  const title = (doc.title || '').trim();
+  const [first] = title.split(/\s[|\-–—»]\s/);
+  return first && first.split(' ').length >= 3 ? first.trim() : title;
+}
+
+function getPublishedTime(doc) {
+  const metaDate = getMetaContent(doc, ['article:published_time', 'datePublished', 'date', 'pubdate', 'dc.date', 'DC.date.issued']);
+  if (metaDate) {
+    return metaDate;
+  }
+  const time = doc.querySelector('[itemprop="datePublished"][datetime], article time[datetime], time[datetime]');
+  return time ? time.getAttribute('datetime') : null;
+}
+
+function getLeadImage(doc, content) {
+  const metaImage = getMetaContent(doc, ['og:image', 'twitter:image']);
+  if (metaImage) {
+    return toAbsoluteUrl(metaImage, doc);
+  }
+  const image = Array.from(content.querySelectorAll('img[src]')).find(img => {
+    const width = parseInt(img.getAttribute('width'));
+    return isNaN(width) || width >= 200;
+  });
+  return image ? toAbsoluteUrl(image.getAttribute('src'), doc) : null;
+}
+
+// Text blocks worth scoring; a div with no block children reads like a paragraph
+function isScorable(element) {
+  if (['P', 'PRE', 'TD', 'BLOCKQUOTE'].includes(element.tagName)) {
+    return true;
+  }
+  return element.tagName === 'DIV' &&
+    !Array.from(element.children).some(child => BLOCK_TAGS.has(child.tagName));
+}
+
+// Give each paragraph's parent its full score and older ancestors a shrinking share
+function scoreCandidates(root) {
+  const scores = new Map();
+
+  Array.from(root.querySelectorAll('*')).filter(isScorable).forEach(element => {
+    const text = getInnerText(element);
+    if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+    const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    let ancestor = element.parentElement;
+    for (let level = 0; ancestor && level < 5; level++) {
+      if (!scores.has(ancestor)) {
+        scores.set(ancestor, getTagWeight(ancestor) + getClassWeight(ancestor));
+      }
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      scores.set(ancestor, scores.get(ancestor) + score / divider);
+      if (ancestor === root) break;
+      ancestor = ancestor.parentElement;
+    }
+  });
+
+  // Link lists score well on text alone, so scale by how much of it is not links
+  scores.forEach((score, element) => {
+    scores.set(element, score * (1 - getLinkDensity(element)));
+  });
+  return scores;
+}
+
+// Siblings that continue the article: well scored, or plain prose paragraphs
+function isRelatedSibling(sibling, top, scores) {
+  if (sibling === top) {
+    return true;
+  }
+  const topScore = scores.get(top);
+  let threshold = Math.max(10, topScore * 0.2);
+  if (sibling.className && sibling.className === top.className) {
+    threshold -= topScore * 0.2;
+  }
+  if (scores.has(sibling) && scores.get(sibling) >= threshold) {
+    return true;
+  }
+  if (sibling.tagName !== 'P') {
+    return false;
+  }
+  const text = getInnerText(sibling);
+  const linkDensity = getLinkDensity(sibling);
+  return (text.length > 80 && linkDensity < 0.25) ||
+    (text.length > 0 && linkDensity === 0 && /\.( |$)/.test(text));
+}
+
+// Remove leftovers inside the article: hidden parts, link lists, empty boxes
+function cleanArticle(content) {
+  content.querySelectorAll('*').forEach(element => {
+    if (content.contains(element) && isHidden(element)) {
+      element.remove();
+    }
+  });
+
+  Array.from(content.querySelectorAll('div, section, ul, ol, table')).reverse().forEach(element => {
+    if (getClassWeight(element) < 0 ||
+        (getLinkDensity(element) > 0.5 && !element.querySelector('p'))) {
+      element.remove();
+    }
+  });
+
+  Array.from(content.querySelectorAll('*')).reverse().forEach(element => {
+    if (element.matches('img, picture, source, video, br, hr, td, th')) return;
+    if (getInnerText(element) === '' && !element.querySelector('img, picture, video')) {
+      element.remove();
+    }
+  });
+
+  content.querySelectorAll('a[href]').forEach(link => {
+    try {
+      const url = new URL(link.href);
+      TRACKING_PARAMS.forEach(param => url.searchParams.delete(param));
+      link.href = url.toString();
+    } catch (e) {
+      // Invalid URL, leave as is
+    }
+  });
+}
+
+// Extract the main article of a document; ignoreSelectors leaves out the
+// caller's own elements
+function extractArticle(doc, options = {}) {
+  const { ignoreSelectors = [] } = options;
+  const body = doc.body ? doc.body.cloneNode(true) : doc.createElement('body');
+
+  [REMOVED_TAGS, ...ignoreSelectors].forEach(selector => {
+    body.querySelectorAll(selector).forEach(element => element.remove());
+  });
+
+  let byline = getMetaContent(doc, ['author', 'article:author', 'parsely-author']);
+  if (byline && /^https?:/.test(byline)) {
+    byline = null;
+  }
+
+  Array.from(body.querySelectorAll('*')).forEach(element => {
+    if (!body.contains(element)) return;
+    if (isHidden(element)) {
+      element.remove();
+    } else if (isBylineElement(element)) {
+      byline = byline || getInnerText(element).replace(/^by\s+/i, '');
+      element.remove();
+    } else if (isUnlikelyCandidate(element)) {
+      element.remove();
+    }
+  });
+
+  const scores = scoreCandidates(body);
+  let top = null;
+  scores.forEach((score, element) => {
+    if (!top || score > scores.get(top)) {
+      top = element;
+    }
+  });
+
+  const content = doc.createElement('div');
+  if (top && top !== body) {
+    console.log(`Article found in <${top.tagName.toLowerCase()}> with score ${scores.get(top).toFixed(1)}`);
+    const siblings = top.parentElement ? Array.from(top.parentElement.children) : [top];
+    siblings.filter(sibling => isRelatedSibling(sibling, top, scores))
+      .forEach(sibling => content.appendChild(sibling.cloneNode(true)));
+  } else {
+    // Too little prose to score, so fall back to the page's own landmarks
+    console.log('No article candidate scored, falling back to landmarks');
+    const landmark = Array.from(body.querySelectorAll('article, main, [role="main"]'))
+      .sort((a, b) => getInnerText(b).length - getInnerText(a).length)[0];
+    Array.from((landmark || body).childNodes).forEach(node => content.appendChild(node.cloneNode(true)));
+  }
+
+  cleanArticle(content);
+
+  const title = getArticleTitle(doc);
+  const hasTitle = Array.from(content.querySelectorAll('h1, h2'))
+    .some(heading => getInnerText(heading) === title);
+  if (title && !hasTitle && getInnerText(content)) {
+    const heading = doc.createElement('h1');
+    heading.textContent = title;
+    content.insertBefore(heading, content.firstChild);
+  }
+
+  return {
+    title,
+    byline,
+    publishedTime: getPublishedTime(doc),
+    leadImage: getLeadImage(doc, content),
+    content: content.innerHTML,
+    length: getInnerText(content).length
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    extractArticle,
+    getLinkDensity,
+    getClassWeight,
+    isHidden
+  };
+}
@@ -0,0 +1,71 @@
+// Sentence bookkeeping for the reader's read-aloud player
+// The player speaks one sentence at a time and highlights it, so it needs each
+// block's sentences as character ranges and the word elements inside them.
+
+// Split text into sentences with their character ranges, trimmed of surrounding
+// spaces; runs of punctuation or numbers alone are not sentences
+function splitSentences(text, language) {
+  const sentences = [];
+  const add = (start, end) => {
+    while (start < end && /\s/.test(text[start])) start++;
+    while (end > start && /\s/.test(text[end - 1])) end--;
+    if (/\p{L}/u.test(text.slice(start, end))) {
+      sentences.push({ text: text.slice(start, end), start, end });
+    }
+  };
+
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    const segmenter = new Intl.Segmenter(language, { granularity: 'sentence' });
+    for (const { segment, index } of segmenter.segment(text)) {
+      add(index, index + segment.length);
+    }
+  } else {
+    for (const match of text.matchAll(/[^.!?…]+(?:[.!?…]+["'»”)]*|$)/g)) {
+      add(match.index, match.index + match[0].length);
+    }
+  }
+  return sentences;
+}
+
+// Where each word element sits in the block's textContent
+function getWordOffsets(block, wordSelector) {
+  const words = [];
+  const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT);
+  let offset = 0;
+  let node;
+  while (node = walker.nextNode()) {
+    const length = node.textContent.length;
+    const word = node.parentElement.closest(wordSelector);
+    if (word && block.contains(word)) {
+      words.push({ element: word, start: offset, end: offset + length });
+    }
+    offset += length;
+  }
+  return words;
+}
+
+// The word at a character offset, or the next one when the offset falls between words
+function findWordAt(words, offset) {
+  return words.find(word => offset < word.end) || null;
+}
+
+// Every sentence of the given blocks, in reading order, with the words it covers
+function buildReadingQueue(blocks, language, wordSelector) {
+  return blocks.flatMap(block => {
+    const words = getWordOffsets(block, wordSelector);
+    return splitSentences(block.textContent, language).map(sentence => ({
+      ...sentence,
+      block,
+      words: words.filter(word => word.start >= sentence.start && word.end <= sentence.end)
+    }));
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    splitSentences,
+    getWordOffsets,
+    findWordAt,
+    buildReadingQueue
+  };
+}
@@ -0,0 +1,139 @@
+// Word currently shown on the review card
+let currentEntry = null;
+
+function showStatus(message, type = 'success') {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  status.className = `status ${type}`;
+  status.style.display = 'block';
+
+  setTimeout(() => {
+    status.style.display = 'none';
+  }, 3000);
+}
+
+// Show the next due word, front side up
+async function showNextCard() {
+  const vocabulary = await getVocabulary();
+  const due = getDueEntries(vocabulary);
+  currentEntry = due[0] || null;
+
+  document.getElementById('dueCount').textContent = vocabulary.length === 0
+    ? 'Your notebook is empty. Save words from the glossary in the reader to review them here.'
+    : `${due.length} of ${vocabulary.length} words due for review`;
+
+  const card = document.getElementById('card');
+  if (!currentEntry) {
+    card.style.display = 'none';
+    return;
+  }
+
+  card.style.display = 'block';
+  document.getElementById('cardWord').textContent = currentEntry.word;
+  document.getElementById('cardContext').textContent = currentEntry.context;
+  document.getElementById('cardGloss').textContent = currentEntry.gloss || '(no meaning saved)';
+  document.getElementById('cardLemma').textContent = [currentEntry.lemma, currentEntry.partOfSpeech]
+    .filter(Boolean)
+    .join(' · ');
+  document.getElementById('cardAnswer').style.display = 'none';
+  document.getElementById('grades').style.display = 'none';
+  document.getElementById('showAnswer').style.display = 'inline-block';
+}
+
+function showAnswer() {
+  document.getElementById('cardAnswer').style.display = 'block';
+  document.getElementById('grades').style.display = 'flex';
+  document.getElementById('showAnswer').style.display = 'none';
+}
+
+async function gradeCurrentCard(quality) {
+  if (!currentEntry) return;
+  await reviewVocabularyEntry(currentEntry.id, quality);
+  await refresh();
+}
+
+async function renderWordList() {
+  const vocabulary = await getVocabulary();
+  const list = document.getElementById('wordList');
+  list.textContent = '';
+
+  vocabulary.forEach(entry => {
+    const row = document.createElement('tr');
+
+    const word = document.createElement('td');
+    word.textContent = entry.word;
+    if (entry.url) {
+      word.title = entry.url;
+    }
+
+    const gloss = document.createElement('td');
+    gloss.textContent = entry.gloss;
+
+    const due = document.createElement('td');
+    due.textContent = new Date(entry.review.due).toLocaleDateString();
+
+    const actions = document.createElement('td');
+    const remove = document.createElement('button');
+    remove.className = 'remove';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', async () => {
+      await removeVocabularyEntry(entry.id);
+      await refresh();
+    });
+    actions.appendChild(remove);
+
+    row.appendChild(word);
+    row.appendChild(gloss);
+    row.appendChild(due);
+    row.appendChild(actions);
+    list.appendChild(row);
+  });
+}
+
+function download(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+async function exportAs(format) {
+  const vocabulary = await getVocabulary();
+  if (format === 'json') {
+    download('spanishify-vocabulary.json', JSON.stringify(vocabulary, null, 2), 'application/json');
+  } else {
+    download(`spanishify-vocabulary.${format}`, exportVocabulary(vocabulary, format), 'text/plain');
+  }
+}
+
+async function importFromFile(event) {
+  const [file] = event.target.files;
+  if (!file) return;
+
+  try {
+    const imported = await importVocabulary(await file.text());
+    showStatus(`Imported ${imported} new words.`);
+    await refresh();
+  } catch (error) {
+    showStatus(`Import failed: ${error.message}`, 'error');
+  } finally {
+    event.target.value = '';
+  }
+}
+
+async function refresh() {
+  await showNextCard();
+  await renderWordList();
+}
+
+document.addEventListener('DOMContentLoaded', refresh);
+document.getElementById('showAnswer').addEventListener('click', showAnswer);
+document.querySelectorAll('[data-quality]').forEach(button => {
+  button.addEventListener('click', () => gradeCurrentCard(parseInt(button.dataset.quality)));
+});
+document.getElementById('exportCsv').addEventListener('click', () => exportAs('csv'));
+document.getElementById('exportTsv').addEventListener('click', () => exportAs('tsv'));
+document.getElementById('exportJson').addEventListener('click', () => exportAs('json'));
+document.getElementById('importJson').addEventListener('change', importFromFile);
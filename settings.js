@@ -0,0 +1,237 @@
+// User preferences edited on the options page
+// One table of defaults shared by the options page and the reader, plus the
+// checks applied to values typed into the form or imported from a file.
+
+// How the translation sits next to the original English in the reader
+// ('spanish' is kept as the id of the translation-only mode so saved settings still apply)
+const DISPLAY_MODES = {
+  spanish: 'Translation only',
+  'side-by-side': 'Side by side',
+  interlinear: 'Interlinear',
+  reveal: 'Reveal on hover'
+};
+const DEFAULT_DISPLAY_MODE = 'spanish';
+
+const READER_FONTS = {
+  sans: {
+    label: 'Sans-serif',
+    family: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Oxygen-Sans, Ubuntu, Cantarell, "Helvetica Neue", sans-serif'
+  },
+  serif: {
+    label: 'Serif',
+    family: 'Georgia, "Times New Roman", serif'
+  },
+  readable: {
+    label: 'Wide (easier to read)',
+    family: 'Verdana, Tahoma, sans-serif'
+  }
+};
+
+// Page background, paragraph background and text colour of the reader
+const READER_THEMES = {
+  light: { label: 'Light', background: '#f5f5f5', surface: '#ffffff', text: '#333333' },
+  sepia: { label: 'Sepia', background: '#ede3cf', surface: '#f8f1e3', text: '#5b4636' },
+  dark: { label: 'Dark', background: '#121212', surface: '#1e1e1e', text: '#dddddd' }
+};
+
+// Whether the reader uses the learner profile (adaptive.js) to pick the level of the next article
+const ADAPTIVE_LEVEL_MODES = {
+  off: 'Off',
+  suggest: 'Suggest a level',
+  auto: 'Adjust the level automatically'
+};
+
+// Where the popup's level buttons put the translation: the reader over the
+// page, or the page's own text translated in place for sites whose layout matters
+const OUTPUT_MODES = {
+  reader: 'Reader',
+  inpage: 'In place, keeping the site layout'
+};
+
+// What reads the translation aloud: the voices built into the browser, or an
+// HTTP text-to-speech server with an OpenAI-compatible /audio/speech endpoint
+const TTS_ENGINES = {
+  browser: { label: 'Browser voices' },
+  server: { label: 'Speech server (OpenAI-compatible)' }
+};
+
+const SETTINGS_DEFAULTS = {
+  // Translation backend
+  apiKey: '',
+  provider: 'openai',
+  model: '',
+  endpoint: '',
+  temperature: 0.7,
+  batchSize: 5,
+  targetLanguage: DEFAULT_TARGET_LANGUAGE,
+  dialect: TARGET_LANGUAGES[DEFAULT_TARGET_LANGUAGE].defaultVariant,
+
+  // Reader
+  defaultLevel: DEFAULT_LEVEL,
+  displayMode: DEFAULT_DISPLAY_MODE,
+  readerFont: 'sans',
+  readerFontSize: 16,
+  readerTheme: 'light',
+  adaptiveLevel: 'off',
+  outputMode: 'reader',
+  // Share of a page's common words swapped into the target language in partial immersion
+  immersionPercent: 20,
+
+  // Text-to-speech; an empty voice picks the best browser voice for the language
+  ttsEngine: 'browser',
+  ttsVoice: '',
+  ttsRate: 0.9,
+  ttsPitch: 1,
+  // Seconds the read-aloud player waits after each sentence in shadowing mode
+  shadowingGap: 3,
+  // Speech server; blanks use OpenAI's endpoint, model and voice, and the
+  // translation API key when translating with OpenAI
+  ttsEndpoint: '',
+  ttsModel: '',
+  ttsServerVoice: '',
+  ttsApiKey: '',
+
+  // Sites translated as soon as they load
+  autoTranslateSites: [],
+
+  // Translation cache
+  cacheMaxSizeMb: 5,
+  speechCacheMaxSizeMb: 50,
+  cacheTtlDays: 30
+};
+
+// Allowed ranges of the numeric settings, with their names for error messages
+const NUMERIC_SETTINGS = {
+  temperature: { label: 'Temperature', min: 0, max: 2 },
+  batchSize: { label: 'Batch size', min: 1, max: 20, integer: true },
+  defaultLevel: { label: 'Default level', min: MIN_LEVEL, max: MAX_LEVEL, integer: true },
+  readerFontSize: { label: 'Font size', min: 12, max: 32, integer: true },
+  immersionPercent: { label: 'Partial immersion share', min: 5, max: 100, integer: true },
+  ttsRate: { label: 'Speech rate', min: 0.5, max: 2 },
+  ttsPitch: { label: 'Speech pitch', min: 0, max: 2 },
+  shadowingGap: { label: 'Shadowing pause', min: 1, max: 30, integer: true },
+  cacheMaxSizeMb: { label: 'Maximum cache size', min: 1, max: 500, integer: true },
+  speechCacheMaxSizeMb: { label: 'Maximum audio cache size', min: 1, max: 500, integer: true },
+  cacheTtlDays: { label: 'Cache expiry', min: 0, max: 3650, integer: true }
+};
+
+const CHOICE_SETTINGS = {
+  targetLanguage: TARGET_LANGUAGES,
+  // Every variety of every language; resolveLanguageTag pairs them up
+  dialect: Object.assign({}, ...Object.values(TARGET_LANGUAGES).map(language => language.variants)),
+  displayMode: DISPLAY_MODES,
+  readerFont: READER_FONTS,
+  readerTheme: READER_THEMES,
+  adaptiveLevel: ADAPTIVE_LEVEL_MODES,
+  outputMode: OUTPUT_MODES,
+  ttsEngine: TTS_ENGINES
+};
+
+// Settings holding a server address, with their names for error messages
+const ENDPOINT_SETTINGS = {
+  endpoint: 'Endpoint',
+  ttsEndpoint: 'Speech server endpoint'
+};
+
+const HOSTNAME_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/;
+
+// "https://www.example.com/news" -> "www.example.com"
+function normalizeSite(value) {
+  return String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/:\d+$/, '');
+}
+
+// Check and clean a set of settings; unknown keys are dropped
+function validateSettings(input) {
+  const values = {};
+  const errors = [];
+
+  Object.entries(input || {}).forEach(([key, value]) => {
+    if (!(key in SETTINGS_DEFAULTS)) return;
+
+    if (NUMERIC_SETTINGS[key]) {
+      const { label, min, max, integer } = NUMERIC_SETTINGS[key];
+      const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+      if (isNaN(number) || number < min || number > max || (integer && !Number.isInteger(number))) {
+        errors.push(`${label} must be ${integer ? 'a whole number' : 'a number'} from ${min} to ${max}.`);
+      } else {
+        values[key] = number;
+      }
+    } else if (CHOICE_SETTINGS[key]) {
+      if (CHOICE_SETTINGS[key][value]) {
+        values[key] = value;
+      } else {
+        errors.push(`"${value}" is not a valid choice for ${key}.`);
+      }
+    } else if (key === 'autoTranslateSites') {
+      const lines = Array.isArray(value) ? value : String(value).split('\n');
+      const sites = lines.map(normalizeSite).filter(Boolean);
+      const invalid = sites.filter(site => !HOSTNAME_PATTERN.test(site));
+      if (invalid.length > 0) {
+        errors.push(`Not a site name: ${invalid.join(', ')}`);
+      } else {
+        values[key] = Array.from(new Set(sites));
+      }
+    } else if (ENDPOINT_SETTINGS[key]) {
+      const endpoint = String(value).trim();
+      if (endpoint && !/^https?:\/\/[^\s/]+/.test(endpoint)) {
+        errors.push(`${ENDPOINT_SETTINGS[key]} must be an http:// or https:// address.`);
+      } else {
+        values[key] = endpoint;
+      }
+    } else {
+      values[key] = String(value).trim();
+    }
+  });
+
+  return { values, errors };
+}
+
+async function loadSettings() {
+  const stored = await chrome.storage.sync.get(SETTINGS_DEFAULTS);
+  return { ...SETTINGS_DEFAULTS, ...stored };
+}
+
+// The API keys are only read by the options page and the background worker,
+// never by the content script running in every page
+const SECRET_SETTINGS = ['apiKey', 'ttsApiKey'];
+const READER_SETTINGS_DEFAULTS = Object.fromEntries(
+  Object.entries(SETTINGS_DEFAULTS).filter(([key]) => !SECRET_SETTINGS.includes(key))
+);
+
+async function loadReaderSettings() {
+  const stored = await chrome.storage.sync.get(READER_SETTINGS_DEFAULTS) || {};
+  const settings = { ...READER_SETTINGS_DEFAULTS };
+  Object.keys(READER_SETTINGS_DEFAULTS).forEach(key => {
+    if (key in stored) settings[key] = stored[key];
+  });
+  return settings;
+}
+
+// A site matches its own entry and any subdomain of it
+function isAutoTranslateSite(hostname, sites) {
+  const host = normalizeSite(hostname || '');
+  return !!host && (sites || []).some(site => host === site || host.endsWith(`.${site}`));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DISPLAY_MODES,
+    DEFAULT_DISPLAY_MODE,
+    READER_FONTS,
+    READER_THEMES,
+    ADAPTIVE_LEVEL_MODES,
+    OUTPUT_MODES,
+    TTS_ENGINES,
+    SETTINGS_DEFAULTS,
+    READER_SETTINGS_DEFAULTS,
+    validateSettings,
+    loadSettings,
+    loadReaderSettings,
+    isAutoTranslateSite
+  };
+}
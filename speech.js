@@ -0,0 +1,137 @@
+// Text-to-speech engines for the reader
+// Every engine reads one piece of text at a time through the same interface:
+// speak(text, options) starts reading and returns a handle for that reading,
+// cancel() stops it. The options carry lang, voice (a browser voice), rate,
+// pitch and level, and the callbacks onword(charIndex), onend() and
+// onerror(message). Only engines that know where each word starts call onword.
+
+const SPEECH_ENGINES = {
+  browser: {
+    speak: speakWithBrowser,
+    cancel: cancelBrowserSpeech
+  },
+  server: {
+    speak: speakWithServer,
+    cancel: cancelServerSpeech
+  }
+};
+
+function getSpeechEngine(id) {
+  return SPEECH_ENGINES[id] || SPEECH_ENGINES.browser;
+}
+
+// speechSynthesis fires these errors when speech is cancelled on purpose
+const CANCELLED_SPEECH_ERRORS = ['interrupted', 'canceled'];
+
+function speakWithBrowser(text, options) {
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = options.lang;
+  utterance.rate = options.rate;
+  utterance.pitch = options.pitch;
+  utterance.volume = 1.0;
+  if (options.voice) {
+    utterance.voice = options.voice;
+  }
+
+  utterance.onboundary = (event) => {
+    if (event.name === 'word' && options.onword) {
+      options.onword(event.charIndex);
+    }
+  };
+  utterance.onend = () => options.onend && options.onend();
+  utterance.onerror = (event) => {
+    if (CANCELLED_SPEECH_ERRORS.includes(event.error)) return;
+    if (options.onerror) {
+      options.onerror(event.error || 'Speech synthesis failed');
+    }
+  };
+
+  window.speechSynthesis.speak(utterance);
+
+  // Workaround for Chrome issue where speech doesn't start
+  setTimeout(() => {
+    if (window.speechSynthesis.paused) {
+      console.log('Speech synthesis was paused, resuming...');
+      window.speechSynthesis.resume();
+    }
+  }, 100);
+
+  return utterance;
+}
+
+function cancelBrowserSpeech() {
+  window.speechSynthesis.cancel();
+}
+
+// One <audio> element plays the speech server's audio; the reading it belongs
+// to is remembered so audio arriving after a cancel is dropped
+let serverAudio = null;
+let serverReading = null;
+
+function getServerAudio() {
+  if (!serverAudio) {
+    serverAudio = document.createElement('audio');
+    serverAudio.className = 'spanishify-audio';
+  }
+  return serverAudio;
+}
+
+function speakWithServer(text, options) {
+  cancelServerSpeech();
+  const reading = { text, cancelled: false };
+  serverReading = reading;
+
+  const fail = (message) => {
+    if (!reading.cancelled && options.onerror) {
+      options.onerror(message);
+    }
+  };
+
+  chrome.runtime.sendMessage({
+    type: 'synthesizeSpeech',
+    text,
+    level: options.level,
+    language: options.lang
+  })
+    .then(response => {
+      if (reading.cancelled) return;
+      if (!response || response.error) {
+        fail(response?.error || 'The speech server sent no audio');
+        return;
+      }
+
+      const audio = getServerAudio();
+      audio.onended = () => {
+        if (!reading.cancelled && options.onend) {
+          options.onend();
+        }
+      };
+      audio.onerror = () => fail('The speech server sent audio that could not be played');
+      audio.src = response.audio;
+      // Audio is cached at normal speed; the rate only changes playback
+      audio.playbackRate = options.rate;
+      return audio.play();
+    })
+    .catch(error => fail(error.message));
+
+  return reading;
+}
+
+function cancelServerSpeech() {
+  if (serverReading) {
+    serverReading.cancelled = true;
+    serverReading = null;
+  }
+  if (serverAudio) {
+    serverAudio.pause();
+    serverAudio.removeAttribute('src');
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SPEECH_ENGINES,
+    getSpeechEngine,
+    getServerAudio
+  };
+}
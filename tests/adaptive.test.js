@@ -0,0 +1,105 @@
+// Import the learner profile and the adaptive level advice
+import {
+  getLearnerProfile,
+  saveReadingSession,
+  readSessionSignals,
+  getLevelAdvice
+} from '../adaptive.js';
+
+const session = (details) => ({
+  language: 'es-ES',
+  level: 5,
+  words: 400,
+  paragraphs: 10,
+  lookups: 12,
+  reveals: 0,
+  quiz: null,
+  seconds: 0,
+  ...details
+});
+
+describe('Adaptive Level Tests', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await chrome.storage.local.clear();
+  });
+
+  describe('saveReadingSession', () => {
+    test('keeps articles in the local learner profile', async () => {
+      await saveReadingSession({ url: 'https://example.com/a', language: 'es-MX', level: '7', words: 300, lookups: 4, seconds: 95.6 }, 1000);
+      const { sessions } = await getLearnerProfile();
+      expect(sessions).toEqual([{
+        url: 'https://example.com/a',
+        language: 'es-MX',
+        level: 7,
+        mode: 'reader',
+        words: 300,
+        paragraphs: 0,
+        lookups: 4,
+        reveals: 0,
+        quiz: null,
+        seconds: 96,
+        at: 1000
+      }]);
+    });
+
+    test('skips articles too short or too briefly read to say anything', async () => {
+      expect(await saveReadingSession({ language: 'es-ES', level: 5, words: 20, lookups: 3 })).toBeNull();
+      expect(await saveReadingSession({ language: 'es-ES', level: 5, words: 300, seconds: 5 })).toBeNull();
+      expect((await getLearnerProfile()).sessions).toEqual([]);
+    });
+  });
+
+  describe('getLevelAdvice', () => {
+    test('suggests a harder level when few words were looked up', () => {
+      expect(getLevelAdvice([session({ lookups: 8 })], 'es-ES')).toEqual({
+        from: 5,
+        level: 6,
+        reason: 'You looked up 2% of words',
+        message: 'You looked up 2% of words — try level 6'
+      });
+    });
+
+    test('suggests an easier level and names every signal behind it', () => {
+      const advice = getLevelAdvice([session({ reveals: 5, quiz: { score: 3, total: 8 }, seconds: 900 })], 'es-ES');
+      expect(advice.level).toBe(4);
+      expect(advice.message).toBe(
+        'You revealed the English of 5 of 10 paragraphs, you scored 3/8 on the quiz and you read about 27 words a minute — try level 4'
+      );
+    });
+
+    test('keeps the level when the signals disagree or are in the middle', () => {
+      expect(getLevelAdvice([session({ quiz: { score: 8, total: 8 }, reveals: 5 })], 'es-ES').level).toBe(5);
+      expect(getLevelAdvice([session({})], 'es-ES').message).toBe('You looked up 3% of words — level 5 suits you');
+    });
+
+    test('reads the latest article in the language and stays within the levels', () => {
+      const sessions = [session({ level: 10, lookups: 0, seconds: 120 }), session({ language: 'fr-FR', lookups: 40 })];
+      expect(getLevelAdvice(sessions, 'es-ES')).toEqual(expect.objectContaining({ from: 10, level: 10 }));
+      expect(getLevelAdvice(sessions, 'de-DE')).toBeNull();
+    });
+
+    test('pages read in partial immersion give no advice', () => {
+      const sessions = [session({ level: 3, lookups: 40 }), session({ level: 5, lookups: 0, mode: 'immersion' })];
+      expect(getLevelAdvice(sessions, 'es-ES')).toEqual(expect.objectContaining({ from: 3, level: 2 }));
+      expect(getLevelAdvice([session({ mode: 'immersion' })], 'es-ES')).toBeNull();
+    });
+  });
+
+  test('an article opened and left says nothing about the level', () => {
+    const idle = session({ lookups: 0, seconds: 10 });
+    expect(readSessionSignals(idle)).toEqual([]);
+    expect(getLevelAdvice([idle], 'es-ES')).toBeNull();
+    expect(getLevelAdvice([session({ level: 4, lookups: 40 }), idle], 'es-ES'))
+      .toEqual(expect.objectContaining({ from: 4, level: 3 }));
+  });
+
+  test('reading speed only counts with enough reading time', () => {
+    expect(readSessionSignals(session({ seconds: 10 })).map(signal => signal.name)).toEqual(['lookups']);
+    expect(readSessionSignals(session({ seconds: 120 }))).toContainEqual({
+      name: 'speed',
+      vote: 1,
+      reason: 'you read about 200 words a minute'
+    });
+  });
+});
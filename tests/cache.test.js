@@ -0,0 +1,200 @@
+// Import the persistent translation cache
+import {
+  hashString,
+  getCacheKey,
+  getSpeechCacheKey,
+  SPEECH_CACHE_PREFIX,
+  getCachedTranslations,
+  setCachedTranslations,
+  enforceCacheLimits,
+  getCacheStats,
+  clearTranslationCache
+} from '../cache.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const storedCacheKeys = async () => Object.keys(await chrome.storage.local.get(null))
+  .filter(key => /^(tc|sc):/.test(key))
+  .sort();
+
+describe('Translation Cache Tests', () => {
+  let settings;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await chrome.storage.local.clear();
+    settings = {};
+    chrome.storage.sync.get.mockImplementation(() => Promise.resolve(settings));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getCacheKey', () => {
+    const config = { provider: 'openai', model: 'gpt-3.5-turbo' };
+
+    test('is stable for the same text, level and model', () => {
+      expect(getCacheKey('Hello', 5, config)).toBe(getCacheKey('Hello', 5, config));
+      expect(getCacheKey('Hello', 5, config)).toMatch(/^tc:[0-9a-f]{16}$/);
+    });
+
+    test('changes with text, level, provider, model and dialect', () => {
+      const key = getCacheKey('Hello', 5, config);
+      expect(getCacheKey('Hello!', 5, config)).not.toBe(key);
+      expect(getCacheKey('Hello', 6, config)).not.toBe(key);
+      expect(getCacheKey('Hello', 5, { ...config, provider: 'anthropic' })).not.toBe(key);
+      expect(getCacheKey('Hello', 5, { ...config, model: 'gpt-4o' })).not.toBe(key);
+      expect(getCacheKey('Hello', 5, config, 'es-MX')).not.toBe(getCacheKey('Hello', 5, config, 'es-ES'));
+    });
+
+    test('hashString spreads similar inputs', () => {
+      expect(hashString('ab')).not.toBe(hashString('ba'));
+    });
+  });
+
+  describe('storage', () => {
+    test('returns cached values and undefined for misses', async () => {
+      await setCachedTranslations([{ key: 'tc:a', value: 'Hola' }]);
+      await expect(getCachedTranslations(['tc:a', 'tc:b'])).resolves.toEqual(['Hola', undefined]);
+    });
+
+    test('expires entries after the TTL', async () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      await setCachedTranslations([{ key: 'tc:a', value: 'Hola' }]);
+
+      settings = { cacheTtlDays: 1 };
+      Date.now.mockReturnValue(now + 2 * DAY);
+      await expect(getCachedTranslations(['tc:a'])).resolves.toEqual([undefined]);
+      await expect(getCacheStats()).resolves.toEqual({ entries: 0, bytes: 0 });
+    });
+
+    test('evicts least recently used entries past the size cap', async () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      const big = 'x'.repeat(400 * 1024);
+      settings = { cacheMaxSizeMb: 1 };
+
+      await setCachedTranslations([{ key: 'tc:old', value: big }]);
+      Date.now.mockReturnValue(now + 1000);
+      await setCachedTranslations([{ key: 'tc:used', value: big }]);
+
+      // Reading the older entry makes it the most recently used
+      Date.now.mockReturnValue(now + 2000);
+      await getCachedTranslations(['tc:old']);
+
+      Date.now.mockReturnValue(now + 3000);
+      await setCachedTranslations([{ key: 'tc:new', value: big }]);
+
+      expect(await storedCacheKeys()).toEqual(['tc:new', 'tc:old']);
+    });
+
+    test('caps audio and translations separately', async () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      const big = 'x'.repeat(400 * 1024);
+      settings = { cacheMaxSizeMb: 1, speechCacheMaxSizeMb: 1 };
+
+      await setCachedTranslations([{ key: 'tc:a', value: big }, { key: 'tc:b', value: big }]);
+      Date.now.mockReturnValue(now + 1000);
+      await setCachedTranslations([{ key: 'sc:a', value: big }, { key: 'sc:b', value: big }]);
+      Date.now.mockReturnValue(now + 2000);
+      await setCachedTranslations([{ key: 'sc:c', value: big }]);
+
+      expect(await storedCacheKeys()).toEqual(['sc:b', 'sc:c', 'tc:a', 'tc:b']);
+      await expect(getCacheStats()).resolves.toEqual(expect.objectContaining({ entries: 2 }));
+      await expect(getCacheStats(SPEECH_CACHE_PREFIX)).resolves.toEqual(expect.objectContaining({ entries: 2 }));
+    });
+
+    test('keeps speech audio under its own prefix', () => {
+      const key = getSpeechCacheKey('Hola.', 3, { endpoint: '', model: 'tts-1', voice: 'alloy' }, 'es-ES');
+      expect(key).toMatch(/^sc:[0-9a-f]{16}$/);
+    });
+
+    test('writes and evictions read the index instead of the whole store', async () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      const big = 'x'.repeat(600 * 1024);
+      settings = { cacheMaxSizeMb: 1 };
+      await chrome.storage.local.set({ vocabulary: [] });
+      await setCachedTranslations([{ key: 'tc:a', value: big }]);
+      chrome.storage.local.get.mockClear();
+
+      Date.now.mockReturnValue(now + 1000);
+      await setCachedTranslations([{ key: 'tc:b', value: big }]);
+      await getCachedTranslations(['tc:b']);
+
+      expect(chrome.storage.local.get).not.toHaveBeenCalledWith(null);
+      expect(await storedCacheKeys()).toEqual(['tc:b']);
+      await expect(getCacheStats()).resolves.toEqual(expect.objectContaining({ entries: 1 }));
+    });
+
+    test('records cache hits in one delayed index update', async () => {
+      jest.useFakeTimers();
+      const now = Date.now();
+      try {
+        await setCachedTranslations([{ key: 'tc:a', value: 'Hola' }]);
+        chrome.storage.local.set.mockClear();
+
+        jest.setSystemTime(now + 1000);
+        await getCachedTranslations(['tc:a']);
+        await getCachedTranslations(['tc:a']);
+        expect(chrome.storage.local.set).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(5000);
+        for (let i = 0; i < 20; i++) {
+          await Promise.resolve();
+        }
+        expect(chrome.storage.local.set).toHaveBeenCalledTimes(1);
+        const { cacheIndex } = await chrome.storage.local.get('cacheIndex');
+        expect(cacheIndex['tc:a'].lastUsed).toBe(now + 1000);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('applies a lowered size cap without waiting for the next write', async () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      const big = 'x'.repeat(600 * 1024);
+      await setCachedTranslations([{ key: 'tc:a', value: big }]);
+      Date.now.mockReturnValue(now + 1000);
+      await setCachedTranslations([{ key: 'tc:b', value: big }]);
+      expect(await storedCacheKeys()).toEqual(['tc:a', 'tc:b']);
+
+      settings = { cacheMaxSizeMb: 1 };
+      await enforceCacheLimits();
+      expect(await storedCacheKeys()).toEqual(['tc:b']);
+    });
+
+    test('indexes entries cached before there was an index', async () => {
+      const now = Date.now();
+      await chrome.storage.local.set({
+        'tc:old': { value: 'Hola', createdAt: now - 1000, lastUsed: now - 1000 },
+        vocabulary: []
+      });
+
+      await setCachedTranslations([{ key: 'tc:new', value: 'Adiós' }]);
+      await expect(getCacheStats()).resolves.toEqual(expect.objectContaining({ entries: 2 }));
+      await clearTranslationCache();
+      expect(await storedCacheKeys()).toEqual([]);
+    });
+
+    test('reports and clears only cache entries', async () => {
+      await chrome.storage.local.set({ vocabulary: [] });
+      await setCachedTranslations([
+        { key: 'tc:a', value: 'Hola' },
+        { key: 'tc:b', value: 'Adiós' }
+      ]);
+
+      const stats = await getCacheStats();
+      expect(stats.entries).toBe(2);
+      expect(stats.bytes).toBeGreaterThan(0);
+
+      await clearTranslationCache();
+      await expect(getCacheStats()).resolves.toEqual({ entries: 0, bytes: 0 });
+      await expect(chrome.storage.local.get('vocabulary')).resolves.toEqual({ vocabulary: [] });
+    });
+  });
+});
@@ -1,12 +1,18 @@
 // Import functions and cache from content.js
 import {
+  handleMessage,
+  translatePage,
+  translatePageInPlace,
+  restorePageInPlace,
+  closeReader,
   extractMainContent,
+  translateBatch,
   translateText,
   formatContent,
   speakText,
-  initVoices,
-  translationCache
+  initVoices
 } from '../content.js';
+import * as translator from '../translator.js';
 
 // Mock chrome.storage and chrome.runtime
 global.chrome = {
@@ -14,9 +20,14 @@ global.chrome = {
     sync: {
       get: jest.fn(),
       set: jest.fn()
+    },
+    local: createStorageArea(),
+    onChanged: {
+      addListener: jest.fn()
     }
   },
   runtime: {
+    sendMessage: jest.fn(),
     onMessage: {
       addListener: jest.fn()
     }
@@ -57,15 +68,20 @@ describe('Content Script Tests', () => {
       return Promise.resolve({ apiKey: 'test-api-key' });
     });
 
-    // Mock successful API response
-    fetch.mockImplementation(() => 
-      Promise.resolve({
-        ok: true,
-        json: () => Promise.resolve({
-          choices: [{ message: { content: 'Translated text' } }]
-        })
-      })
-    );
+    // Mock successful response from the background translation service
+    chrome.runtime.sendMessage.mockImplementation((message) => {
+      if (message.type === 'getProviderStatus') {
+        return Promise.resolve({ configured: true, label: 'OpenAI-compatible' });
+      }
+      if (message.type === 'translate') {
+        return Promise.resolve({ translations: message.batch.map(() => 'Translated text') });
+      }
+      return Promise.resolve();
+    });
+  });
+
+  afterEach(() => {
+    closeReader();
   });
 
   describe('extractMainContent', () => {
@@ -77,7 +93,7 @@ describe('Content Script Tests', () => {
           <div class="advertisement">Ad content</div>
         </article>
       `;
-      const content = extractMainContent();
+      const { content } = extractMainContent();
       expect(content).toContain('Test Title');
       expect(content).toContain('Test paragraph');
       expect(content).not.toContain('Ad content');
@@ -93,7 +109,7 @@ describe('Content Script Tests', () => {
           </article>
         </div>
       `;
-      const content = extractMainContent();
+      const { content } = extractMainContent();
       expect(content).toContain('WSJ Title');
       expect(content).toContain('WSJ content');
       expect(content).not.toContain('wsj-ad');
@@ -107,7 +123,7 @@ describe('Content Script Tests', () => {
           <div class="ad"></div>
         </article>
       `;
-      const content = extractMainContent();
+      const { content } = extractMainContent();
       expect(content).toContain('NYT Title');
       expect(content).toContain('NYT content');
       expect(content).not.toContain('class="ad"');
@@ -115,7 +131,7 @@ describe('Content Script Tests', () => {
 
     test('handles empty content gracefully', () => {
       document.body.innerHTML = '';
-      const content = extractMainContent();
+      const { content } = extractMainContent();
       expect(content).toBeDefined();
     });
 
@@ -127,7 +143,7 @@ describe('Content Script Tests', () => {
           <span hidden>Also hidden</span>
         </article>
       `;
-      const content = extractMainContent();
+      const { content } = extractMainContent();
       expect(content).toContain('Visible content');
       expect(content).not.toContain('Hidden content');
       expect(content).not.toContain('Also hidden');
@@ -139,7 +155,7 @@ describe('Content Script Tests', () => {
           <a href="https://example.com?utm_source=test&ref=123">Link</a>
         </article>
       `;
-      const content = extractMainContent();
+      const { content } = extractMainContent();
       expect(content).toMatch(/href="https:\/\/example\.com\/?"/);
       expect(content).not.toContain('utm_source');
       expect(content).not.toContain('ref=123');
@@ -147,74 +163,629 @@ describe('Content Script Tests', () => {
   });
 
   describe('translateText', () => {
-    beforeEach(() => {
-      // Clear the translation cache before each test
-      translationCache.clear();
-      // Reset fetch mock
-      fetch.mockClear();
-    });
-
-    test('translates text with beginner difficulty', async () => {
+    test('sends the text to the background translation service', async () => {
       const text = 'Hello world';
       const result = await translateText(text, 'beginner');
-      expect(fetch).toHaveBeenCalledWith(
-        'https://api.openai.com/v1/chat/completions',
-        expect.objectContaining({
-          method: 'POST',
-          headers: expect.objectContaining({
-            'Authorization': 'Bearer test-api-key'
-          })
-        })
-      );
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+        type: 'translate',
+        batch: [text],
+        level: 'beginner',
+        language: 'es-ES'
+      });
+      expect(fetch).not.toHaveBeenCalled();
       expect(result).toBe('Translated text');
     });
 
-    test('uses translation cache', async () => {
-      const text = 'Hello world';
-      const firstResult = await translateText(text, 'beginner');
-      expect(fetch).toHaveBeenCalledTimes(1);
-      
-      const secondResult = await translateText(text, 'beginner');
-      expect(fetch).toHaveBeenCalledTimes(1); // Should not call fetch again
-      expect(secondResult).toBe(firstResult);
-    });
-
-    test('handles API errors', async () => {
-      fetch.mockImplementationOnce(() => 
-        Promise.resolve({
-          ok: false,
-          json: () => Promise.resolve({
-            error: { message: 'API Error' }
-          })
-        })
+    test('handles service errors', async () => {
+      chrome.runtime.sendMessage.mockImplementationOnce(() =>
+        Promise.resolve({ error: 'API Error' })
       );
       const text = 'Test error';
       const result = await translateText(text, 'beginner');
       expect(result).toBe(text);
     });
 
-    test('handles missing API key', async () => {
-      chrome.storage.sync.get.mockImplementationOnce(() => Promise.resolve({}));
+    test('handles missing service response', async () => {
+      chrome.runtime.sendMessage.mockImplementationOnce(() => Promise.resolve(undefined));
       const text = 'Test text';
       const result = await translateText(text, 'beginner');
       expect(result).toBe(text);
     });
+  });
 
-    test('translates text with different difficulty levels', async () => {
-      const text = 'Test text';
-      const difficulties = ['beginner', 'intermediate', 'advanced'];
-      
-      for (const difficulty of difficulties) {
-        const result = await translateText(text, difficulty);
-        expect(result).toBe('Translated text');
-        expect(fetch).toHaveBeenCalledWith(
-          'https://api.openai.com/v1/chat/completions',
-          expect.objectContaining({
-            method: 'POST',
-            body: expect.stringContaining(difficulty)
-          })
-        );
+  describe('separator drift', () => {
+    // Route messages straight into the background service with a scripted model
+    const modelReplies = (...replies) => {
+      replies.forEach(content => {
+        fetch.mockImplementationOnce(() => Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ choices: [{ message: { content } }] })
+        }));
+      });
+    };
+
+    beforeEach(async () => {
+      await chrome.storage.local.clear();
+      chrome.runtime.sendMessage.mockImplementation((message) =>
+        translator.translateBatch(message.batch, message.level, message.language)
+          .then(translations => ({ translations }))
+          .catch(error => ({ error: error.message }))
+      );
+    });
+
+    test('keeps translations on the right nodes when the model reorders them', async () => {
+      modelReplies('{"translations": [{"index": 1, "text": "Dos"}, {"index": 0, "text": "Uno"}]}');
+      const result = await translateBatch(['One', 'Two'], 5);
+      expect(result).toEqual(['Uno', 'Dos']);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('retries a node on its own when the model merges two entries', async () => {
+      modelReplies(
+        '{"translations": [{"index": 0, "text": "Uno. Dos"}]}',
+        '{"translations": [{"index": 0, "text": "Dos"}]}'
+      );
+      const result = await translateBatch(['One', 'Two'], 5);
+      expect(result).toEqual(['Uno. Dos', 'Dos']);
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(fetch.mock.calls[1][1].body).toContain('[{\\"index\\":0,\\"text\\":\\"Two\\"}]');
+    });
+
+    test('ignores extra entries the model adds', async () => {
+      modelReplies('{"translations": [{"index": 0, "text": "Uno"}, {"index": 1, "text": "Dos"}, {"index": 2, "text": "Tres"}]}');
+      const result = await translateBatch(['One', 'Two'], 5);
+      expect(result).toEqual(['Uno', 'Dos']);
+    });
+
+    test('retries every node when the model falls back to separators', async () => {
+      modelReplies(
+        'Uno\n---\nDos',
+        '{"translations": [{"index": 0, "text": "Uno"}]}',
+        '{"translations": [{"index": 0, "text": "Dos"}]}'
+      );
+      const result = await translateBatch(['One', 'Two'], 5);
+      expect(result).toEqual(['Uno', 'Dos']);
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('keeps the original text and skips the cache when a retry also fails', async () => {
+      modelReplies(
+        '{"translations": [{"index": 0, "text": "Uno"}]}',
+        'not json'
+      );
+      const result = await translateBatch(['One', 'Two'], 5);
+      expect(result).toEqual(['Uno', null]);
+
+      modelReplies('not json');
+      expect(await translateText('Two', 5)).toBe('Two');
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('reader overlay', () => {
+    const article = `
+      <article>
+        <h1>Original Title</h1>
+        <p>The first paragraph of the original article, long enough to be picked up as content.</p>
+        <p>The second paragraph of the original article.</p>
+      </article>
+    `;
+    const getOverlay = () => document.getElementById('spanishify-overlay');
+
+    beforeEach(() => {
+      document.body.innerHTML = article;
+    });
+
+    test('renders the reader on top of the untouched page', async () => {
+      const originalHtml = document.body.innerHTML;
+      await translatePage(5);
+
+      const overlay = getOverlay();
+      expect(overlay).not.toBeNull();
+      expect(overlay.style.display).toBe('block');
+      expect(overlay.shadowRoot.getElementById('spanishify-reader').textContent).toContain('Translated text');
+      expect(document.body.innerHTML).toContain(originalHtml.trim());
+      expect(document.documentElement.style.overflow).toBe('hidden');
+    });
+
+    test('does not extract its own overlay when translating again', async () => {
+      await translatePage(5);
+      await translatePage(7);
+      const requested = chrome.runtime.sendMessage.mock.calls
+        .filter(([message]) => message.type === 'translate')
+        .flatMap(([message]) => message.batch);
+      expect(requested).not.toContain('Translated text');
+      expect(document.querySelectorAll('#spanishify-overlay')).toHaveLength(1);
+    });
+
+    test('shows the byline and date above the article without translating them', async () => {
+      document.body.innerHTML = `
+        <article>
+          <p class="byline">By Maria Lopez</p>
+          <time datetime="2024-03-14">March 14</time>
+          <p>The first paragraph of the original article, long enough to be picked up as content.</p>
+        </article>
+      `;
+      await translatePage(5);
+
+      const meta = getOverlay().shadowRoot.querySelector('.spanishify-article-meta');
+      expect(meta.querySelector('.article-byline').textContent)
+        .toBe(`Maria Lopez · ${new Date('2024-03-14').toLocaleDateString()}`);
+      const requested = chrome.runtime.sendMessage.mock.calls
+        .filter(([message]) => message.type === 'translate')
+        .flatMap(([message]) => message.batch);
+      expect(requested.join(' ')).not.toContain('Maria Lopez');
+    });
+
+    test('applies the level chosen in the popup', async () => {
+      await translatePage('beginner');
+      const root = getOverlay().shadowRoot;
+      expect(root.querySelector('input[type="range"]').value).toBe('2');
+      expect(root.querySelector('.level-description').textContent).toContain('Principiante (A1, 1A)');
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'translate', level: 2 })
+      );
+    });
+
+    test('"Show original" hides the reader and restores page scrolling', async () => {
+      document.documentElement.style.overflow = 'scroll';
+      await translatePage(5);
+      getOverlay().shadowRoot.querySelector('.show-original').click();
+      expect(getOverlay().style.display).toBe('none');
+      expect(document.documentElement.style.overflow).toBe('scroll');
+      document.documentElement.style.overflow = '';
+    });
+
+    test('"Close reader" removes the overlay', async () => {
+      await translatePage(5);
+      getOverlay().shadowRoot.querySelector('.close-reader').click();
+      expect(getOverlay()).toBeNull();
+    });
+
+    test('Escape closes the reader', async () => {
+      await translatePage(5);
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+      expect(getOverlay()).toBeNull();
+    });
+
+    test('a second popup click at the same level toggles instead of re-extracting', async () => {
+      await translatePage(5);
+      const calls = chrome.runtime.sendMessage.mock.calls.length;
+
+      handleMessage({ action: 'translate', difficulty: 5 });
+      expect(getOverlay().style.display).toBe('none');
+      handleMessage({ action: 'translate', difficulty: 5 });
+      expect(getOverlay().style.display).toBe('block');
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledTimes(calls);
+    });
+  });
+
+  describe('progressive translation', () => {
+    const paragraphs = (count) => Array.from({ length: count }, (_, i) =>
+      `<p>Paragraph number ${i + 1} of the article, with enough words to count as real content.</p>`
+    ).join('');
+    const getRoot = () => document.getElementById('spanishify-overlay').shadowRoot;
+    const getStatuses = () => Array.from(getRoot().querySelectorAll('[data-status]'))
+      .map(element => element.dataset.status);
+
+    // Hold translate requests until the test releases them
+    let pending;
+    const holdTranslations = () => {
+      pending = [];
+      chrome.runtime.sendMessage.mockImplementation((message) => {
+        if (message.type === 'getProviderStatus') {
+          return Promise.resolve({ configured: true, label: 'OpenAI-compatible' });
+        }
+        if (message.type !== 'translate') {
+          return Promise.resolve();
+        }
+        return new Promise(resolve => pending.push({ message, resolve }));
+      });
+    };
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+    const reply = (request, translations) => request.resolve({
+      translations: translations || request.message.batch.map(text => `ES ${text}`)
+    });
+
+    beforeEach(() => {
+      document.body.innerHTML = `<article>${paragraphs(12)}</article>`;
+    });
+
+    test('translates batches concurrently and reports progress per paragraph', async () => {
+      holdTranslations();
+      const done = translatePage(5);
+      await flush();
+
+      expect(pending).toHaveLength(3);
+      expect(getRoot().querySelector('.progress-label').textContent).toBe('0/12 paragraphs');
+      expect(getStatuses().every(status => status === 'pending')).toBe(true);
+
+      reply(pending.shift());
+      await flush();
+      expect(getRoot().querySelector('.progress-label').textContent).toBe('5/12 paragraphs');
+      expect(getStatuses().filter(status => status === 'done')).toHaveLength(5);
+
+      while (pending.length > 0) {
+        reply(pending.shift());
+        await flush();
+      }
+      await done;
+      expect(getRoot().querySelector('.progress-label').textContent).toBe('12/12 paragraphs');
+      expect(getRoot().querySelector('.cancel-translation').style.display).toBe('none');
+    });
+
+    test('keeps going after a failed batch and offers a retry', async () => {
+      holdTranslations();
+      const done = translatePage(5);
+      await flush();
+
+      pending.shift().resolve({ error: 'Rate limited' });
+      while (pending.length > 0) {
+        reply(pending.shift());
+        await flush();
+      }
+      await done;
+
+      expect(getStatuses().filter(status => status === 'failed')).toHaveLength(5);
+      expect(getStatuses().filter(status => status === 'done')).toHaveLength(7);
+      const retryButtons = getRoot().querySelectorAll('.spanishify-retry');
+      expect(retryButtons).toHaveLength(5);
+
+      retryButtons[0].click();
+      await flush();
+      expect(pending).toHaveLength(1);
+      expect(pending[0].message.batch).toHaveLength(1);
+      reply(pending.shift());
+      await flush();
+      expect(getStatuses().filter(status => status === 'done')).toHaveLength(8);
+      expect(getRoot().querySelectorAll('.spanishify-retry')).toHaveLength(4);
+    });
+
+    test('cancel stops the run and ignores late results', async () => {
+      holdTranslations();
+      const done = translatePage(5);
+      await flush();
+
+      getRoot().querySelector('.cancel-translation').click();
+      const runId = pending[0].message.runId;
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'cancelTranslation', runId });
+
+      pending.forEach(request => reply(request));
+      await done;
+      expect(getStatuses().every(status => status === 'cancelled')).toBe(true);
+      expect(getRoot().getElementById('spanishify-reader').textContent).not.toContain('ES ');
+      expect(pending).toHaveLength(3);
+    });
+
+    test('changing the level aborts the run in flight', async () => {
+      holdTranslations();
+      const first = translatePage(5);
+      await flush();
+      const firstRunId = pending[0].message.runId;
+
+      const second = translatePage(8);
+      await flush();
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'cancelTranslation', runId: firstRunId });
+
+      pending.forEach(request => reply(request));
+      await first;
+      while (pending.length > 0) {
+        reply(pending.shift());
+        await flush();
       }
+      await second;
+      expect(getStatuses().every(status => status === 'done')).toBe(true);
+    });
+  });
+
+  describe('bilingual display modes', () => {
+    const getRoot = () => document.getElementById('spanishify-overlay').shadowRoot;
+
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <article>
+          <p>The first paragraph of the original article, long enough to be picked up as content.</p>
+        </article>
+      `;
+    });
+
+    test('keeps the English next to each translated paragraph', async () => {
+      await translatePage(5);
+      const paragraph = getRoot().querySelector('.spanishify-paragraph');
+      expect(paragraph.querySelector('.spanishify-translation').textContent).toBe('Translated text');
+      expect(paragraph.querySelector('.spanishify-original').textContent).toContain('The first paragraph');
+    });
+
+    test('defaults to Spanish only and restores the saved mode', async () => {
+      await translatePage(5);
+      expect(getRoot().getElementById('spanishify-reader').dataset.displayMode).toBe('spanish');
+
+      chrome.storage.sync.get.mockImplementation(() => Promise.resolve({ displayMode: 'interlinear' }));
+      await translatePage(6);
+      expect(getRoot().getElementById('spanishify-reader').dataset.displayMode).toBe('interlinear');
+      expect(getRoot().querySelector('.display-mode').value).toBe('interlinear');
+    });
+
+    test('switching mode updates the reader and saves the choice', async () => {
+      await translatePage(5);
+      const select = getRoot().querySelector('.display-mode');
+      select.value = 'side-by-side';
+      select.dispatchEvent(new Event('change'));
+      expect(getRoot().getElementById('spanishify-reader').dataset.displayMode).toBe('side-by-side');
+      expect(chrome.storage.sync.set).toHaveBeenCalledWith({ displayMode: 'side-by-side' });
+    });
+
+    test('tapping a paragraph reveals the English in reveal mode only', async () => {
+      await translatePage(5);
+      const paragraph = getRoot().querySelector('.spanishify-paragraph');
+      const translation = paragraph.querySelector('.spanishify-translation');
+
+      translation.click();
+      expect(paragraph.classList.contains('revealed')).toBe(false);
+
+      const select = getRoot().querySelector('.display-mode');
+      select.value = 'reveal';
+      select.dispatchEvent(new Event('change'));
+      translation.click();
+      expect(paragraph.classList.contains('revealed')).toBe(true);
+    });
+  });
+
+  describe('reader preferences', () => {
+    const getRoot = () => document.getElementById('spanishify-overlay').shadowRoot;
+
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <article>
+          <p>The first paragraph of the original article, long enough to be picked up as content.</p>
+          <p>The second paragraph of the original article, long enough to be picked up as content.</p>
+          <p>The third paragraph of the original article, long enough to be picked up as content.</p>
+        </article>
+      `;
+    });
+
+    test('applies the theme, font and font size from the options page', async () => {
+      chrome.storage.sync.get.mockImplementation(() => Promise.resolve({
+        readerTheme: 'sepia',
+        readerFont: 'serif',
+        readerFontSize: 20
+      }));
+      await translatePage(5);
+      const reader = getRoot().getElementById('spanishify-reader');
+      expect(reader.dataset.theme).toBe('sepia');
+      expect(reader.dataset.font).toBe('serif');
+      expect(reader.style.fontSize).toBe('20px');
+    });
+
+    test('sends paragraphs in batches of the configured size', async () => {
+      const translateCalls = () => chrome.runtime.sendMessage.mock.calls
+        .filter(([message]) => message.type === 'translate');
+
+      await translatePage(5);
+      expect(translateCalls()).toHaveLength(1);
+
+      chrome.runtime.sendMessage.mockClear();
+      chrome.storage.sync.get.mockImplementation(() => Promise.resolve({ batchSize: 1 }));
+      await translatePage(5);
+      expect(translateCalls()).toHaveLength(3);
+    });
+
+    test('shows the dialect in the header and sends it with every batch', async () => {
+      chrome.storage.sync.get.mockImplementation(() => Promise.resolve({ dialect: 'es-MX' }));
+      await translatePage(5);
+      expect(getRoot().querySelector('.reader-language').textContent).toBe('Español de México (es-MX)');
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'translate', language: 'es-MX' })
+      );
+    });
+
+    test('labels the reader in the target language', async () => {
+      chrome.storage.sync.get.mockImplementation(() => Promise.resolve({ targetLanguage: 'fr', dialect: 'es-MX' }));
+      await translatePage(2);
+      expect(getRoot().querySelector('.reader-language').textContent).toBe('Français de France (fr-FR)');
+      expect(getRoot().querySelector('label').textContent).toContain('Niveau de difficulté en français');
+      expect(getRoot().querySelector('.level-description').textContent).toBe('Débutant (A1, 1A) - Vocabulaire de base et présent uniquement');
+      expect(getRoot().querySelector('.spanishify-translation').getAttribute('lang')).toBe('fr-FR');
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'translate', language: 'fr-FR' })
+      );
+    });
+  });
+
+  describe('glossary', () => {
+    const getRoot = () => document.getElementById('spanishify-overlay').shadowRoot;
+    let lookupResponse;
+
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <article>
+          <p>The first paragraph of the original article, long enough to be picked up as content.</p>
+        </article>
+      `;
+      lookupResponse = Promise.resolve({
+        entry: {
+          word: 'comió',
+          lemma: 'comer',
+          partOfSpeech: 'verb',
+          gloss: 'ate',
+          verb: { infinitive: 'comer', tense: 'preterite', person: 'third person singular' }
+        }
+      });
+      chrome.runtime.sendMessage.mockImplementation((message) => {
+        if (message.type === 'getProviderStatus') {
+          return Promise.resolve({ configured: true, label: 'OpenAI-compatible' });
+        }
+        if (message.type === 'translate') {
+          return Promise.resolve({ translations: ['Ella comió una manzana. Luego durmió.'] });
+        }
+        if (message.type === 'lookupWord') {
+          return lookupResponse;
+        }
+        if (message.type === 'explainSentence') {
+          return Promise.resolve({
+            explanation: {
+              verbs: [{ form: 'comió', infinitive: 'comer', tense: 'preterite', person: 'she', use: 'A finished action.' }],
+              grammar: [{ rule: 'Preterite', explanation: 'Used for completed events in the past.' }],
+              literal: 'She ate an apple.',
+              idiomatic: 'She ate an apple.'
+            }
+          });
+        }
+        return Promise.resolve();
+      });
+    });
+
+    const clickWord = async (text) => {
+      const word = Array.from(getRoot().querySelectorAll('.spanishify-word'))
+        .find(element => element.textContent === text);
+      word.click();
+      await new Promise(resolve => setTimeout(resolve, 0));
+    };
+
+    test('makes every translated word clickable', async () => {
+      await translatePage(5);
+      const words = Array.from(getRoot().querySelectorAll('.spanishify-translation .spanishify-word'))
+        .map(element => element.textContent);
+      expect(words).toEqual(['Ella', 'comió', 'una', 'manzana', 'Luego', 'durmió']);
+      expect(getRoot().querySelector('.spanishify-original .spanishify-word')).toBeNull();
+    });
+
+    test('shows the gloss, lemma and verb form of a clicked word', async () => {
+      await translatePage(5);
+      await clickWord('comió');
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+        type: 'lookupWord',
+        word: 'comió',
+        context: 'Ella comió una manzana.',
+        level: 5,
+        language: 'es-ES'
+      });
+      const popover = getRoot().querySelector('.spanishify-glossary');
+      expect(popover.querySelector('.glossary-gloss').textContent).toBe('ate');
+      expect(popover.querySelector('.glossary-lemma').textContent).toBe('comer · verb');
+      expect(popover.querySelector('.glossary-verb').textContent)
+        .toBe('Verb: comer (preterite, third person singular)');
+    });
+
+    test('speaks the word from the popover', async () => {
+      await translatePage(5);
+      await clickWord('manzana');
+      getRoot().querySelector('.glossary-speak').click();
+      expect(window.speechSynthesis.speak).toHaveBeenCalledWith(
+        expect.objectContaining({ text: 'manzana' })
+      );
+    });
+
+    test('shows lookup errors in the popover', async () => {
+      lookupResponse = Promise.resolve({ error: 'Rate limited' });
+      await translatePage(5);
+      await clickWord('manzana');
+      expect(getRoot().querySelector('.glossary-body').textContent).toBe('Lookup failed: Rate limited');
+    });
+
+    test('Escape closes the popover before the reader', async () => {
+      await translatePage(5);
+      await clickWord('manzana');
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+      expect(getRoot().querySelector('.spanishify-glossary')).toBeNull();
+      expect(document.getElementById('spanishify-overlay')).not.toBeNull();
+    });
+
+    test('saves the looked-up word to the vocabulary notebook', async () => {
+      await chrome.storage.local.clear();
+      await translatePage(5);
+      await clickWord('comió');
+
+      const saveButton = getRoot().querySelector('.glossary-save');
+      saveButton.click();
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(saveButton.textContent).toBe('Saved ✓');
+      const { vocabulary } = await chrome.storage.local.get('vocabulary');
+      expect(vocabulary).toEqual([expect.objectContaining({
+        id: 'es:comió',
+        word: 'comió',
+        language: 'es',
+        lemma: 'comer',
+        gloss: 'ate',
+        context: 'Ella comió una manzana.',
+        url: location.href,
+        level: 5
+      })]);
+    });
+
+    test('offers to save highlighted text from the reader', async () => {
+      await chrome.storage.local.clear();
+      lookupResponse = Promise.resolve({ entry: { lemma: 'manzana', partOfSpeech: 'noun', gloss: 'an apple' } });
+      await translatePage(5);
+
+      const word = Array.from(getRoot().querySelectorAll('.spanishify-word'))
+        .find(element => element.textContent === 'manzana');
+      getRoot().getSelection = () => ({
+        rangeCount: 1,
+        toString: () => 'una manzana',
+        getRangeAt: () => ({ commonAncestorContainer: word.parentElement })
+      });
+      word.dispatchEvent(new MouseEvent('mouseup', { bubbles: true, composed: true }));
+
+      getRoot().querySelector('.spanishify-selection-bar .selection-save').click();
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(getRoot().querySelector('.spanishify-selection-bar')).toBeNull();
+      const { vocabulary } = await chrome.storage.local.get('vocabulary');
+      expect(vocabulary).toEqual([expect.objectContaining({
+        word: 'una manzana',
+        gloss: 'an apple',
+        context: 'Ella comió una manzana.'
+      })]);
+    });
+
+    const selectText = (text, wordText) => {
+      const word = Array.from(getRoot().querySelectorAll('.spanishify-word'))
+        .find(element => element.textContent === wordText);
+      getRoot().getSelection = () => ({
+        rangeCount: 1,
+        toString: () => text,
+        getRangeAt: () => ({ commonAncestorContainer: word.parentElement })
+      });
+      word.dispatchEvent(new MouseEvent('mouseup', { bubbles: true, composed: true }));
+    };
+
+    test('explains the grammar of the sentence around the selection at the reader level', async () => {
+      await translatePage(3);
+      selectText('comió una', 'comió');
+
+      getRoot().querySelector('.spanishify-selection-bar .selection-explain').click();
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+        type: 'explainSentence',
+        sentence: 'Ella comió una manzana.',
+        original: 'The first paragraph of the original article, long enough to be picked up as content.',
+        level: 3,
+        language: 'es-ES'
+      });
+      expect(getRoot().querySelector('.spanishify-selection-bar')).toBeNull();
+      const popover = getRoot().querySelector('.spanishify-explanation');
+      expect(popover.querySelector('.glossary-word').textContent).toBe('Ella comió una manzana.');
+      expect(popover.querySelector('.explanation-literal').textContent).toBe('Word for word: She ate an apple.');
+      expect(popover.querySelector('.explanation-verb').textContent)
+        .toBe('comió: comer (preterite, she). A finished action.');
+      expect(popover.querySelector('.explanation-rule').textContent)
+        .toBe('Preterite: Used for completed events in the past.');
+    });
+
+    test('offers only the explanation for selections too long to be vocabulary', async () => {
+      await translatePage(5);
+      selectText('Ella comió una manzana. Luego durmió después de una comida larga con toda su familia y sus amigos del barrio.', 'comió');
+
+      expect(getRoot().querySelector('.selection-save')).toBeNull();
+      getRoot().querySelector('.selection-explain').click();
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'explainSentence',
+        sentence: 'Ella comió una manzana. Luego durmió después de una comida larga con toda su familia y sus amigos del barrio.'
+      }));
     });
   });
 
@@ -247,15 +818,758 @@ describe('Content Script Tests', () => {
       expect(formatted).toContain('font-size: 1.1em');
     });
 
+    test('keeps the original text for bilingual display', () => {
+      const formatted = formatContent('<p>Test paragraph</p>');
+      expect(formatted).toContain('class="spanishify-original"');
+      expect(formatted).toContain('lang="en"');
+    });
+
     test('handles multiple paragraphs', () => {
       const html = '<p>First</p><p>Second</p>';
       const formatted = formatContent(html);
       const buttonCount = (formatted.match(/🔊/g) || []).length;
       expect(buttonCount).toBe(2);
     });
+
+    const render = (html) => {
+      const container = document.createElement('div');
+      container.innerHTML = formatContent(html);
+      return container;
+    };
+
+    test('keeps headings, lists, quotes and tables in document order', () => {
+      const container = render(`
+        <h1>Title</h1>
+        <div class="wrapper">
+          <p>Intro</p>
+          <h2>Section</h2>
+          <ul><li>One</li><li>Two</li></ul>
+        </div>
+        <blockquote>A quote</blockquote>
+        <table><tr><th>Name</th><td>Value</td></tr></table>
+      `);
+      const blocks = Array.from(container.querySelectorAll('.spanishify-translation'))
+        .map(block => block.tagName);
+      expect(blocks).toEqual(['H1', 'P', 'H2', 'UL', 'BLOCKQUOTE', 'TABLE']);
+      expect(container.querySelector('h1.spanishify-translation').style.fontSize).toBe('2em');
+      expect(container.querySelectorAll('.spanishify-speak')).toHaveLength(6);
+    });
+
+    test('gathers loose text between blocks into a paragraph', () => {
+      const container = render('<div>Loose <em>text</em><p>Paragraph</p></div>');
+      const blocks = Array.from(container.querySelectorAll('.spanishify-translation'))
+        .map(block => block.innerHTML);
+      expect(blocks).toEqual(['Loose <em>text</em>', 'Paragraph']);
+    });
+
+    test('keeps images with their captions as translatable blocks', () => {
+      const container = render(`
+        <figure><img src="https://example.com/a.jpg" alt="A cat" width="800"><figcaption>Our cat</figcaption></figure>
+        <img src="https://example.com/b.jpg" alt="A dog">
+        <img src="https://example.com/c.jpg">
+      `);
+      const figures = container.querySelectorAll('.spanishify-figure');
+      expect(figures).toHaveLength(3);
+      expect(figures[0].querySelector('img').getAttribute('alt')).toBe('A cat');
+      expect(figures[0].querySelector('.spanishify-translation').textContent).toBe('Our cat');
+      expect(figures[1].dataset.captionFrom).toBe('alt');
+      expect(figures[1].querySelector('.spanishify-translation').textContent).toBe('A dog');
+      expect(figures[2].querySelector('.spanishify-paragraph')).toBeNull();
+    });
+
+    test('marks code blocks as do-not-translate', () => {
+      const container = render('<pre><code>const answer = 42;</code></pre>');
+      const code = container.querySelector('.spanishify-code');
+      expect(code.getAttribute('translate')).toBe('no');
+      expect(code.querySelector('.spanishify-speak')).toBeNull();
+    });
+
+    test('translates sentences whole and keeps their links and emphasis', async () => {
+      document.body.innerHTML = `
+        <article>
+          <p>Read <a href="https://example.com/report">this report</a> today, it is <em>really</em> worth your time.</p>
+        </article>
+      `;
+      chrome.runtime.sendMessage.mockImplementation((message) => {
+        if (message.type === 'getProviderStatus') {
+          return Promise.resolve({ configured: true, label: 'OpenAI-compatible' });
+        }
+        if (message.type === 'translate') {
+          return Promise.resolve({ translations: ['Lee <x0>este informe</x0> hoy, <x1>de verdad</x1> vale la pena.'] });
+        }
+        return Promise.resolve();
+      });
+      await translatePage(5);
+
+      const translateCall = chrome.runtime.sendMessage.mock.calls.find(([message]) => message.type === 'translate');
+      expect(translateCall[0].batch).toEqual(['Read <x0>this report</x0> today, it is <x1>really</x1> worth your time.']);
+
+      const translation = document.getElementById('spanishify-overlay').shadowRoot.querySelector('.spanishify-translation');
+      expect(translation.textContent).toBe('Lee este informe hoy, de verdad vale la pena.');
+      expect(translation.querySelector('a[href="https://example.com/report"]').textContent).toBe('este informe');
+      expect(translation.querySelector('em').textContent).toBe('de verdad');
+      expect(translation.querySelectorAll('a .spanishify-word')).toHaveLength(2);
+    });
+
+    test('translates captions and alt text but not code', async () => {
+      document.body.innerHTML = `
+        <article>
+          <p>The first paragraph of the original article, long enough to be picked up as content.</p>
+          <img src="https://example.com/b.jpg" alt="A dog">
+          <pre><code>npm install spanishify</code></pre>
+        </article>
+      `;
+      await translatePage(5);
+
+      const requested = chrome.runtime.sendMessage.mock.calls
+        .filter(([message]) => message.type === 'translate')
+        .flatMap(([message]) => message.batch);
+      expect(requested).toContain('A dog');
+      expect(requested).not.toContain('npm install spanishify');
+
+      const root = document.getElementById('spanishify-overlay').shadowRoot;
+      expect(root.querySelector('.spanishify-figure img').alt).toBe('Translated text');
+      expect(root.querySelector('.spanishify-code').textContent).toBe('npm install spanishify');
+    });
+  });
+
+  describe('read-aloud player', () => {
+    const getRoot = () => document.getElementById('spanishify-overlay').shadowRoot;
+    const click = (selector) => getRoot().querySelector(selector).click();
+    const lastUtterance = () => window.speechSynthesis.speak.mock.calls.at(-1)[0];
+    const spokenTexts = () => window.speechSynthesis.speak.mock.calls.map(([utterance]) => utterance.text);
+    const highlighted = (className) => Array.from(getRoot().querySelectorAll(`.${className}`))
+      .map(element => element.textContent);
+
+    beforeEach(async () => {
+      document.body.innerHTML = `
+        <article>
+          <p>The first paragraph of the original article, long enough to be picked up as content.</p>
+          <p>The second paragraph of the original article, long enough to be picked up as content.</p>
+        </article>
+      `;
+      chrome.runtime.sendMessage.mockImplementation((message) => {
+        if (message.type === 'getProviderStatus') {
+          return Promise.resolve({ configured: true, label: 'OpenAI-compatible' });
+        }
+        if (message.type === 'translate') {
+          return Promise.resolve({ translations: message.batch.map(() => 'Hola amigo. Buenos días.') });
+        }
+        return Promise.resolve();
+      });
+      await translatePage(5);
+    });
+
+    test('reads the article sentence by sentence, highlighting the sentence and word', () => {
+      click('.player-play');
+      expect(spokenTexts()).toEqual(['Hola amigo.']);
+      expect(lastUtterance().lang).toBe('es-ES');
+      expect(highlighted('reading-sentence')).toEqual(['Hola', 'amigo']);
+      expect(getRoot().querySelector('.player-position').textContent).toBe('1 / 4');
+      expect(getRoot().querySelector('.player-play').textContent).toBe('⏸');
+
+      lastUtterance().onboundary({ name: 'word', charIndex: 5 });
+      expect(highlighted('reading-word')).toEqual(['amigo']);
+
+      lastUtterance().onend();
+      lastUtterance().onend();
+      expect(spokenTexts()).toEqual(['Hola amigo.', 'Buenos días.', 'Hola amigo.']);
+      expect(highlighted('reading-sentence')).toEqual(['Hola', 'amigo']);
+      expect(getRoot().querySelector('.player-position').textContent).toBe('3 / 4');
+    });
+
+    test('stops at the end of the article and starts over on the next play', () => {
+      click('.player-play');
+      for (let i = 0; i < 4; i++) {
+        lastUtterance().onend();
+      }
+      expect(window.speechSynthesis.speak).toHaveBeenCalledTimes(4);
+      expect(getRoot().querySelector('.player-play').textContent).toBe('▶');
+      expect(highlighted('reading-sentence')).toEqual([]);
+
+      click('.player-play');
+      expect(lastUtterance().text).toBe('Hola amigo.');
+      expect(getRoot().querySelector('.player-position').textContent).toBe('1 / 4');
+    });
+
+    test('pausing stops speech and ignores the cancelled sentence', () => {
+      click('.player-play');
+      const utterance = lastUtterance();
+      click('.player-play');
+      expect(window.speechSynthesis.cancel).toHaveBeenCalled();
+      expect(getRoot().querySelector('.player-play').textContent).toBe('▶');
+
+      utterance.onend();
+      expect(window.speechSynthesis.speak).toHaveBeenCalledTimes(1);
+    });
+
+    test('previous and next move between sentences', () => {
+      click('.player-next');
+      click('.player-next');
+      expect(window.speechSynthesis.speak).not.toHaveBeenCalled();
+      expect(getRoot().querySelector('.player-position').textContent).toBe('3 / 4');
+
+      click('.player-play');
+      expect(lastUtterance().text).toBe('Hola amigo.');
+      click('.player-previous');
+      expect(lastUtterance().text).toBe('Buenos días.');
+      expect(getRoot().querySelector('.player-position').textContent).toBe('2 / 4');
+    });
+
+    test('the speed slider sets the rate and is saved', () => {
+      const rate = getRoot().querySelector('.player-rate');
+      rate.value = '1.4';
+      rate.dispatchEvent(new Event('change'));
+      expect(chrome.storage.sync.set).toHaveBeenCalledWith({ ttsRate: 1.4 });
+
+      click('.player-play');
+      expect(lastUtterance().rate).toBe(1.4);
+    });
+
+    test('the voice picker lists ranked voices, saves the choice and previews it', () => {
+      const monica = { lang: 'es-ES', name: 'Monica', localService: true };
+      window.speechSynthesis.getVoices.mockReturnValue([
+        { lang: 'es-ES', name: 'Google español', localService: false },
+        monica,
+        { lang: 'en-US', name: 'Samantha', localService: true }
+      ]);
+      initVoices();
+      window.speechSynthesis.onvoiceschanged();
+      const select = getRoot().querySelector('.player-voice');
+      expect(Array.from(select.options).map(option => option.textContent)).toEqual([
+        'Automatic (Monica)',
+        'Monica (es-ES) · local',
+        'Google español (es-ES) · online'
+      ]);
+
+      select.value = 'Google español';
+      select.dispatchEvent(new Event('change'));
+      expect(chrome.storage.sync.set).toHaveBeenCalledWith({ ttsVoice: 'Google español' });
+      expect(lastUtterance().text).toBe('Hola, esta es la voz que leerá tus artículos.');
+      expect(lastUtterance().voice.name).toBe('Google español');
+      window.speechSynthesis.getVoices.mockReturnValue([]);
+    });
+
+    test('reads through the speech server when it is chosen', async () => {
+      const play = jest.spyOn(window.HTMLMediaElement.prototype, 'play').mockResolvedValue();
+      const pause = jest.spyOn(window.HTMLMediaElement.prototype, 'pause').mockImplementation(() => {});
+      try {
+        chrome.storage.sync.get.mockImplementation(() => Promise.resolve({ ttsEngine: 'server' }));
+        chrome.runtime.sendMessage.mockImplementation((message) => {
+          if (message.type === 'synthesizeSpeech') {
+            return Promise.resolve({ audio: `data:audio/mpeg;base64,${btoa(message.text)}` });
+          }
+          if (message.type === 'translate') {
+            return Promise.resolve({ translations: message.batch.map(() => 'Hola amigo. Buenos días.') });
+          }
+          return Promise.resolve({ configured: true, label: 'OpenAI-compatible' });
+        });
+        await translatePage(5);
+        expect(getRoot().querySelector('.player-voice').parentElement.style.display).toBe('none');
+
+        click('.player-play');
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+          type: 'synthesizeSpeech',
+          text: 'Hola amigo.',
+          level: 5,
+          language: 'es-ES'
+        });
+        expect(window.speechSynthesis.speak).not.toHaveBeenCalled();
+        expect(play).toHaveBeenCalledTimes(1);
+        const audio = getServerAudio();
+        expect(audio.src).toBe(`data:audio/mpeg;base64,${btoa('Hola amigo.')}`);
+        expect(highlighted('reading-sentence')).toEqual(['Hola', 'amigo']);
+
+        audio.onended();
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(audio.src).toBe(`data:audio/mpeg;base64,${btoa('Buenos días.')}`);
+
+        click('.player-play');
+        expect(pause).toHaveBeenCalled();
+      } finally {
+        play.mockRestore();
+        pause.mockRestore();
+      }
+    });
+
+    test('shadowing pauses after each sentence before moving on', () => {
+      jest.useFakeTimers();
+      try {
+        const shadowing = getRoot().querySelector('.player-shadowing');
+        shadowing.checked = true;
+        shadowing.dispatchEvent(new Event('change'));
+        const gap = getRoot().querySelector('.player-gap');
+        gap.value = '2';
+        gap.dispatchEvent(new Event('change'));
+        expect(chrome.storage.sync.set).toHaveBeenCalledWith({ shadowingGap: 2 });
+
+        click('.player-play');
+        lastUtterance().onend();
+        jest.advanceTimersByTime(1900);
+        expect(window.speechSynthesis.speak).toHaveBeenCalledTimes(1);
+        jest.advanceTimersByTime(100);
+        expect(spokenTexts()).toEqual(['Hola amigo.', 'Buenos días.']);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('closing the reader stops reading', () => {
+      click('.player-play');
+      closeReader();
+      expect(window.speechSynthesis.cancel).toHaveBeenCalled();
+      lastUtterance().onend();
+      expect(window.speechSynthesis.speak).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('pronunciation practice', () => {
+    const getRoot = () => document.getElementById('spanishify-overlay').shadowRoot;
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+    let heard;
+
+    beforeEach(async () => {
+      await chrome.storage.local.clear();
+      heard = ['hola a migo'];
+      setSpeechRecognizerFactory((language) => ({
+        lang: language,
+        start() {
+          this.onresult({ results: [heard.map(transcript => ({ transcript }))] });
+          this.onend();
+        }
+      }));
+      document.body.innerHTML = `
+        <article>
+          <p>The first paragraph of the original article, long enough to be picked up as content.</p>
+        </article>
+      `;
+      chrome.runtime.sendMessage.mockImplementation((message) => {
+        if (message.type === 'translate') {
+          return Promise.resolve({ translations: message.batch.map(() => 'Hola amigo. Buenos días.') });
+        }
+        return Promise.resolve({ configured: true, label: 'OpenAI-compatible' });
+      });
+      await translatePage(5);
+    });
+
+    afterEach(() => {
+      setSpeechRecognizerFactory(null);
+    });
+
+    test('scores a spoken sentence, marks the missed words and keeps the attempt', async () => {
+      getRoot().querySelector('.spanishify-practice').click();
+      const rows = getRoot().querySelectorAll('.practice-sentence');
+      expect(Array.from(rows).map(row => row.dataset.sentence)).toEqual(['Hola amigo.', 'Buenos días.']);
+
+      rows[0].querySelector('.practice-record').click();
+      await flush();
+      const words = Array.from(rows[0].querySelectorAll('.practice-word')).map(word => [word.textContent, word.className]);
+      expect(words).toEqual([
+        ['Hola', 'practice-word correct'],
+        ['amigo', 'practice-word mispronounced']
+      ]);
+      expect(rows[0].querySelector('.practice-result').textContent).toBe('50% · heard "hola a migo"');
+
+      heard = ['hola amigo'];
+      rows[0].querySelector('.practice-record').click();
+      await flush();
+      expect(rows[0].querySelector('.practice-history').textContent).toBe('2 attempts: 50% → 100% · best 100%');
+      expect((await getPronunciationAttempts()).map(attempt => attempt.sentence)).toEqual(['Hola amigo.', 'Hola amigo.']);
+      expect(getRoot().querySelector('.practice-summary').textContent).toContain('1 sentence in 2 attempts');
+
+      // The practice button closes the panel again
+      getRoot().querySelector('.spanishify-practice').click();
+      expect(getRoot().querySelector('.spanishify-practice-panel')).toBeNull();
+    });
+
+    test('reports recognition errors', async () => {
+      setSpeechRecognizerFactory(() => null);
+      getRoot().querySelector('.spanishify-practice').click();
+      getRoot().querySelector('.practice-record').click();
+      await flush();
+      expect(document.querySelector('.spanishify-notification').textContent).toContain('not supported');
+      expect(await getPronunciationAttempts()).toEqual([]);
+    });
+  });
+
+  describe('partial immersion', () => {
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+    const messagesOfType = (type) => chrome.runtime.sendMessage.mock.calls
+      .map(([message]) => message)
+      .filter(message => message.type === type);
+
+    beforeEach(async () => {
+      await chrome.storage.local.clear();
+      document.body.innerHTML = `
+        <article>
+          <p>The family lives in a house by the river with their dog.</p>
+          <pre>house</pre>
+        </article>
+      `;
+      chrome.storage.sync.get.mockImplementation(() => Promise.resolve({ immersionPercent: 100 }));
+      chrome.runtime.sendMessage.mockImplementation((message) => {
+        if (message.type === 'translateWords') {
+          return Promise.resolve({ translations: Object.fromEntries(message.words.map(word => [word, `es:${word}`])) });
+        }
+        if (message.type === 'translate') {
+          return Promise.resolve({ translations: message.batch.map(() => 'Translated text') });
+        }
+        return Promise.resolve({ configured: true, label: 'OpenAI-compatible' });
+      });
+    });
+
+    test('swaps common words on the page itself, with notebook words as saved, and undoes it', async () => {
+      await chrome.storage.local.set({ vocabulary: [
+        { id: 'es:perro', word: 'perro', lemma: 'perro', gloss: 'a dog', language: 'es' },
+        { id: 'fr:famille', word: 'famille', lemma: 'famille', gloss: 'a family', language: 'fr' }
+      ] });
+      handleMessage({ action: 'weave' });
+      await flush();
+
+      expect(messagesOfType('translateWords')).toEqual([{ type: 'translateWords', words: ['family', 'house', 'river'], language: 'es-ES' }]);
+      expect(document.querySelector('p').textContent).toBe('The es:family lives in a es:house by the es:river with their perro.');
+      expect(document.querySelector('pre').textContent).toBe('house');
+      expect(document.querySelector('.spanishify-weave').dataset.english).toBe('family');
+      expect(document.querySelector('.spanishify-notification').textContent)
+        .toBe('4 words are now in Spanish. Point at one for the English.');
+
+      handleMessage({ action: 'weave' });
+      await flush();
+      expect(document.querySelector('.spanishify-weave')).toBeNull();
+      expect(document.querySelector('p').textContent).toBe('The family lives in a house by the river with their dog.');
+    });
+
+    test('the reader switch shows the English with words swapped in instead of translating', async () => {
+      await translatePage(5);
+      const root = document.getElementById('spanishify-overlay').shadowRoot;
+      expect(root.querySelector('.immersion-value').textContent).toBe('100% of common words');
+      expect(messagesOfType('translate')).toHaveLength(1);
+
+      const toggle = root.querySelector('.immersion-toggle');
+      toggle.checked = true;
+      toggle.dispatchEvent(new Event('change'));
+      await flush();
+
+      const reader = document.getElementById('spanishify-overlay').shadowRoot.getElementById('spanishify-reader');
+      expect(messagesOfType('translate')).toHaveLength(1);
+      expect(reader.dataset.displayMode).toBe('spanish');
+      expect(reader.querySelector('.spanishify-translation').textContent)
+        .toBe('The es:family lives in a es:house by the es:river with their es:dog.');
+      expect(reader.querySelector('.spanishify-original .spanishify-weave')).toBeNull();
+
+      const readerToggle = document.getElementById('spanishify-overlay').shadowRoot.querySelector('.immersion-toggle');
+      expect(readerToggle.checked).toBe(true);
+      readerToggle.checked = false;
+      readerToggle.dispatchEvent(new Event('change'));
+      await flush();
+      expect(messagesOfType('translate')).toHaveLength(2);
+    });
+
+    test('woven reader paragraphs count as read for the quiz and the learner profile', async () => {
+      document.querySelector('p').textContent =
+        'The family lives in a house by the river with their dog and a garden full of old trees. '.repeat(4);
+      const getReaderRoot = () => document.getElementById('spanishify-overlay').shadowRoot;
+      await translatePage(5);
+      const toggle = getReaderRoot().querySelector('.immersion-toggle');
+      toggle.checked = true;
+      toggle.dispatchEvent(new Event('change'));
+      await flush();
+
+      const paragraph = getReaderRoot().querySelector('.spanishify-paragraph');
+      expect(paragraph.dataset.status).toBe('done');
+
+      getReaderRoot().querySelector('.quiz-me').click();
+      await flush();
+      expect(messagesOfType('generateQuiz')).toEqual([expect.objectContaining({
+        text: expect.stringContaining('The es:family lives in a es:house')
+      })]);
+
+      const start = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(start + 45000);
+      closeReader();
+      Date.now.mockRestore();
+      await flush();
+
+      const { sessions } = await getLearnerProfile();
+      expect(sessions).toEqual([expect.objectContaining({ mode: 'immersion', paragraphs: 1 })]);
+      expect(sessions[0].words).toBeGreaterThanOrEqual(72);
+
+      // Partial immersion stays on for the next article until switched off
+      await translatePage(5);
+      const readerToggle = getReaderRoot().querySelector('.immersion-toggle');
+      readerToggle.checked = false;
+      readerToggle.dispatchEvent(new Event('change'));
+      await flush();
+    });
+  });
+
+  describe('in-place translation', () => {
+    const wait = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+    const translatedBatches = () => chrome.runtime.sendMessage.mock.calls
+      .map(([message]) => message)
+      .filter(message => message.type === 'translate')
+      .map(message => message.batch);
+
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <nav><a href="/">Home</a></nav>
+        <main>
+          <p>  Hello <b>world</b>\n</p>
+          <p>Hello</p>
+          <label>Name <input value="Ada"></label>
+          <code>let hello = 1;</code>
+          <span aria-hidden="true">Icon</span>
+          <div style="display: none">Hidden</div>
+          <ul id="feed"></ul>
+        </main>
+      `;
+      chrome.runtime.sendMessage.mockImplementation((message) => {
+        if (message.type === 'translate') {
+          return Promise.resolve({ translations: message.batch.map(text => `es:${text}`) });
+        }
+        return Promise.resolve({ configured: true, label: 'OpenAI-compatible' });
+      });
+    });
+
+    afterEach(() => {
+      restorePageInPlace();
+    });
+
+    test('translates visible text where it is, keeping spacing and skipping inputs, code, nav and hidden text', async () => {
+      await translatePageInPlace(5);
+
+      expect(translatedBatches()).toEqual([['Hello', 'world', 'Name']]);
+      const [first, second] = document.querySelectorAll('p');
+      expect(first.innerHTML).toBe('  es:Hello <b>es:world</b>\n');
+      expect(second.textContent).toBe('es:Hello');
+      expect(document.querySelector('label').firstChild.nodeValue).toBe('es:Name ');
+      expect(document.querySelector('nav').textContent).toBe('Home');
+      expect(document.querySelector('code').textContent).toBe('let hello = 1;');
+      expect(document.querySelector('[aria-hidden]').textContent).toBe('Icon');
+      expect(document.getElementById('spanishify-overlay')).toBeNull();
+    });
+
+    test('translates content the site adds later and puts the original back on a second click', async () => {
+      handleMessage({ action: 'translate', difficulty: 5, inPlace: true });
+      await wait();
+
+      const item = document.createElement('li');
+      item.textContent = 'New comment';
+      document.getElementById('feed').appendChild(item);
+      await wait(350);
+      expect(item.textContent).toBe('es:New comment');
+
+      document.querySelector('p b').firstChild.nodeValue = 'friends';
+      await wait(350);
+      expect(document.querySelector('p b').textContent).toBe('es:friends');
+      expect(translatedBatches()).toHaveLength(3);
+
+      handleMessage({ action: 'translate', difficulty: 5, inPlace: true });
+      expect(document.querySelector('p').innerHTML).toBe('  Hello <b>friends</b>\n');
+      expect(item.textContent).toBe('New comment');
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(expect.objectContaining({ type: 'cancelTranslation' }));
+
+      item.textContent = 'Another comment';
+      await wait(350);
+      expect(item.textContent).toBe('Another comment');
+      expect(translatedBatches()).toHaveLength(3);
+    });
+  });
+
+  describe('adaptive level', () => {
+    const getRoot = () => document.getElementById('spanishify-overlay').shadowRoot;
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+    // Sixty words, enough for the article to count
+    const translated = Array(6).fill('Ella comió una manzana y luego durmió en la casa.').join(' ');
+    const readLastArticle = (details) => chrome.storage.local.set({
+      learnerProfile: {
+        sessions: [{
+          url: 'https://example.com/last',
+          language: 'es-ES',
+          level: 5,
+          words: 200,
+          paragraphs: 4,
+          lookups: 1,
+          reveals: 0,
+          quiz: null,
+          seconds: 0,
+          at: 1000,
+          ...details
+        }]
+      }
+    });
+    const translatedLevels = () => chrome.runtime.sendMessage.mock.calls
+      .filter(([message]) => message.type === 'translate')
+      .map(([message]) => message.level);
+
+    beforeEach(async () => {
+      await chrome.storage.local.clear();
+      document.body.innerHTML = `
+        <article>
+          <p>The first paragraph of the original article, long enough to be picked up as content.</p>
+        </article>
+      `;
+      chrome.runtime.sendMessage.mockImplementation((message) => {
+        if (message.type === 'translate') {
+          return Promise.resolve({ translations: message.batch.map(() => translated) });
+        }
+        if (message.type === 'getProviderStatus') {
+          return Promise.resolve({ configured: true, label: 'OpenAI-compatible' });
+        }
+        return Promise.resolve();
+      });
+    });
+
+    test('suggests a level from the last article and switches to it on request', async () => {
+      chrome.storage.sync.get.mockImplementation(() => Promise.resolve({ adaptiveLevel: 'suggest' }));
+      await readLastArticle({ lookups: 1 });
+      await translatePage(5);
+
+      expect(translatedLevels()).toEqual([5]);
+      const advice = getRoot().querySelector('.level-advice');
+      expect(advice.querySelector('span').textContent).toBe('You looked up less than 1% of words — try level 6.');
+
+      advice.querySelector('.level-advice-use').click();
+      await flush();
+      expect(translatedLevels()).toEqual([5, 6]);
+      expect(getRoot().querySelector('.level-advice')).toBeNull();
+    });
+
+    test('starts a new article at the advised level in automatic mode, unless another level was picked', async () => {
+      chrome.storage.sync.get.mockImplementation(() => Promise.resolve({ adaptiveLevel: 'auto' }));
+      await readLastArticle({ lookups: 20, quiz: { score: 2, total: 8 } });
+      await translatePage(5);
+
+      expect(translatedLevels()).toEqual([4]);
+      expect(getRoot().querySelector('.level-advice').textContent)
+        .toBe('You looked up 10% of words and you scored 2/8 on the quiz, so this article is at level 4.');
+      expect(getRoot().querySelector('.level-advice-use')).toBeNull();
+
+      closeReader();
+      await translatePage(8);
+      expect(translatedLevels()).toEqual([4, 8]);
+    });
+
+    test('says nothing when adaptive levels are off', async () => {
+      await readLastArticle({ lookups: 20 });
+      await translatePage(5);
+      expect(translatedLevels()).toEqual([5]);
+      expect(getRoot().querySelector('.level-advice')).toBeNull();
+    });
+
+    test('records the lookups and reveals of the article read in the learner profile', async () => {
+      chrome.storage.sync.get.mockImplementation(() => Promise.resolve({ displayMode: 'reveal' }));
+      await translatePage(3);
+
+      getRoot().querySelector('.spanishify-translation').click();
+      getRoot().querySelector('.spanishify-word').click();
+      await flush();
+      closeReader();
+      await flush();
+
+      const { sessions } = await getLearnerProfile();
+      expect(sessions).toEqual([expect.objectContaining({
+        url: location.href,
+        language: 'es-ES',
+        level: 3,
+        words: 60,
+        paragraphs: 1,
+        lookups: 1,
+        reveals: 1,
+        quiz: null
+      })]);
+    });
+  });
+
+  describe('comprehension quiz', () => {
+    const getRoot = () => document.getElementById('spanishify-overlay').shadowRoot;
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+    const quiz = {
+      questions: [
+        {
+          type: 'multiple-choice',
+          question: '¿Cómo saluda?',
+          choices: ['Adiós', 'Hola amigo'],
+          answer: 1,
+          explanation: 'El artículo empieza con "Hola amigo".'
+        },
+        { type: 'true-false', question: 'Es de noche.', answer: false, explanation: 'Dice "Buenos días".' },
+        { type: 'cloze', question: '___ días.', answer: 'Buenos', explanation: '' },
+        {
+          type: 'matching',
+          question: 'Match the words',
+          pairs: [{ word: 'amigo', meaning: 'friend' }, { word: 'días', meaning: 'days' }],
+          explanation: ''
+        }
+      ]
+    };
+
+    beforeEach(async () => {
+      await chrome.storage.local.clear();
+      document.body.innerHTML = `
+        <article>
+          <p>The first paragraph of the original article, long enough to be picked up as content.</p>
+        </article>
+      `;
+      chrome.runtime.sendMessage.mockImplementation((message) => {
+        if (message.type === 'translate') {
+          return Promise.resolve({ translations: message.batch.map(() => 'Hola amigo. Buenos días.') });
+        }
+        if (message.type === 'generateQuiz') {
+          return Promise.resolve({ quiz });
+        }
+        return Promise.resolve({ configured: true, label: 'OpenAI-compatible' });
+      });
+      await translatePage(5);
+    });
+
+    test('asks for a quiz about the translated text, grades it and keeps the score', async () => {
+      getRoot().querySelector('.quiz-me').click();
+      await flush();
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+        type: 'generateQuiz',
+        text: 'Hola amigo. Buenos días.',
+        level: 5,
+        language: 'es-ES',
+        fresh: false
+      });
+
+      const fieldsets = getRoot().querySelectorAll('.quiz-question');
+      expect(Array.from(fieldsets).map(fieldset => fieldset.dataset.type)).toEqual(['multiple-choice', 'true-false', 'cloze', 'matching']);
+      fieldsets[0].querySelector('input[value="1"]').checked = true;
+      fieldsets[1].querySelector('input[value="true"]').checked = true;
+      fieldsets[2].querySelector('.quiz-cloze').value = 'buenos';
+      const selects = fieldsets[3].querySelectorAll('.quiz-match');
+      selects[0].value = 'friend';
+      selects[1].value = 'days';
+
+      getRoot().querySelector('.quiz-check').click();
+      await flush();
+      expect(Array.from(fieldsets).map(fieldset => fieldset.dataset.result)).toEqual(['correct', 'incorrect', 'correct', 'correct']);
+      expect(fieldsets[1].querySelector('.quiz-feedback').textContent).toBe('✗ The answer is: False. Dice "Buenos días".');
+      expect(getRoot().querySelector('.quiz-score').textContent).toBe('3 / 4');
+      expect(getRoot().querySelector('.quiz-history').textContent).toBe('Your scores for this article: 3/4');
+      expect(await getArticleQuizScores(location.href)).toEqual([expect.objectContaining({ score: 3, total: 4, level: 5 })]);
+
+      getRoot().querySelector('.quiz-new').click();
+      expect(chrome.runtime.sendMessage).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'generateQuiz', fresh: true }));
+    });
+
+    test('shows why a quiz could not be made', async () => {
+      chrome.runtime.sendMessage.mockImplementation(() => Promise.resolve({ error: 'API key not configured' }));
+      getRoot().querySelector('.quiz-me').click();
+      await flush();
+      expect(getRoot().querySelector('.quiz-status').textContent).toBe('Could not make a quiz: API key not configured');
+      expect(getRoot().querySelector('.quiz-actions').style.display).toBe('none');
+    });
   });
 
   describe('speakText', () => {
+    beforeEach(() => {
+      window.speechSynthesis.getVoices.mockReturnValue([]);
+    });
+
     test('uses Spanish voice when available', () => {
       const spanishVoice = { lang: 'es-ES', name: 'Spanish Voice' };
       window.speechSynthesis.getVoices.mockReturnValue([spanishVoice]);
@@ -276,6 +1590,40 @@ describe('Content Script Tests', () => {
       );
     });
 
+    test('speaks with a voice for the chosen dialect', async () => {
+      document.body.innerHTML = `
+        <article>
+          <p>The first paragraph of the original article, long enough to be picked up as content.</p>
+        </article>
+      `;
+      chrome.storage.sync.get.mockImplementation(() => Promise.resolve({ dialect: 'es-MX' }));
+      await translatePage(5);
+
+      const mexicanVoice = { lang: 'es-MX', name: 'Paulina' };
+      window.speechSynthesis.getVoices.mockReturnValue([{ lang: 'es-ES', name: 'Monica' }, mexicanVoice]);
+      speakText('Hola');
+      expect(window.speechSynthesis.speak).toHaveBeenCalledWith(
+        expect.objectContaining({ lang: 'es-MX', voice: mexicanVoice })
+      );
+    });
+
+    test('prefers natural and local voices over online ones', () => {
+      const localVoice = { lang: 'es-US', name: 'Paulina', localService: true };
+      window.speechSynthesis.getVoices.mockReturnValue([
+        { lang: 'es-ES', name: 'Google español', localService: false },
+        localVoice
+      ]);
+      speakText('Hola');
+      expect(window.speechSynthesis.speak).toHaveBeenCalledWith(expect.objectContaining({ voice: localVoice }));
+    });
+
+    test('says so instead of reading with a voice for another language', () => {
+      window.speechSynthesis.getVoices.mockReturnValue([{ lang: 'en-US', name: 'Samantha', localService: true }]);
+      speakText('Hola');
+      expect(window.speechSynthesis.speak).not.toHaveBeenCalled();
+      expect(document.querySelector('.spanishify-notification').textContent).toContain('No Spanish voice is installed');
+    });
+
     test('cancels ongoing speech before starting new one', () => {
       speakText('Test text');
       expect(window.speechSynthesis.cancel).toHaveBeenCalled();
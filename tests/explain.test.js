@@ -0,0 +1,61 @@
+// Import the sentence explanations
+import { explainSentence, parseExplanationReply } from '../explain.js';
+
+const EXPLANATION = {
+  verbs: [{ form: 'vaya', infinitive: 'ir', tense: 'present subjunctive', person: 'she', use: 'After "quiero que".' }],
+  grammar: [{ rule: 'Subjunctive after wishes', explanation: 'Querer que takes the subjunctive.' }],
+  literal: 'I want that she goes.',
+  idiomatic: 'I want her to go.'
+};
+
+const explanationReply = (explanation = EXPLANATION) => ({
+  ok: true,
+  json: () => Promise.resolve({ choices: [{ message: { content: JSON.stringify(explanation) } }] })
+});
+
+describe('Explanation Tests', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await chrome.storage.local.clear();
+    chrome.storage.sync.get.mockImplementation(() => Promise.resolve({ apiKey: 'test-api-key' }));
+    fetch.mockImplementation(() => Promise.resolve(explanationReply()));
+  });
+
+  test('asks the backend to explain the sentence at the learner level', async () => {
+    const explanation = await explainSentence('Quiero que vaya.', 'I want her to go.', 2, 'es-MX');
+    expect(explanation).toEqual({ ...EXPLANATION, source: 'backend' });
+
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(body.messages[0].content).toContain('You are a Spanish grammar tutor');
+    expect(body.messages[1].content).toContain('Learner level: 2/10 (beginner');
+    expect(body.messages[1].content).toContain('avoid other grammar terms');
+    expect(body.messages[1].content).toContain('"Quiero que vaya."');
+    expect(body.messages[1].content).toContain('"I want her to go."');
+  });
+
+  test('uses grammar terms for more advanced learners', async () => {
+    await explainSentence('Quiero que vaya.', '', 8, 'es-ES');
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(body.messages[1].content).toContain('full grammar terminology');
+  });
+
+  test('caches explanations per sentence and level', async () => {
+    await explainSentence('Quiero que vaya.', '', 2, 'es-ES');
+    expect((await explainSentence('Quiero que vaya.', '', 2, 'es-ES')).source).toBe('cache');
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    await explainSentence('Quiero que vaya.', '', 8, 'es-ES');
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('parses replies with missing parts and rejects empty ones', () => {
+    expect(parseExplanationReply('```json\n{"idiomatic": "Hello.", "verbs": [{"form": "es"}]}\n```')).toEqual({
+      verbs: [],
+      grammar: [],
+      literal: '',
+      idiomatic: 'Hello.'
+    });
+    expect(() => parseExplanationReply('{"verbs": []}')).toThrow('empty');
+    expect(() => parseExplanationReply('not json')).toThrow('Could not read');
+  });
+});
@@ -0,0 +1,94 @@
+// Import the glossary word lookups
+import { lookupWord, parseGlossaryReply } from '../glossary.js';
+
+describe('Glossary Tests', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await chrome.storage.local.clear();
+    chrome.storage.sync.get.mockImplementation(() => Promise.resolve({ apiKey: 'test-api-key' }));
+    fetch.mockImplementation(() => Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve({
+        choices: [{
+          message: {
+            content: JSON.stringify({
+              lemma: 'comer',
+              partOfSpeech: 'verb',
+              gloss: 'ate',
+              verb: { infinitive: 'comer', tense: 'preterite', person: 'third person singular' }
+            })
+          }
+        }]
+      })
+    }));
+  });
+
+  test('answers common words from the offline dictionary', async () => {
+    const entry = await lookupWord('Tiene', 'Ella tiene un perro.');
+    expect(entry).toEqual(expect.objectContaining({
+      lemma: 'tener',
+      partOfSpeech: 'verb',
+      source: 'dictionary',
+      verb: expect.objectContaining({ infinitive: 'tener', tense: 'present' })
+    }));
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('asks the backend about other words with their sentence', async () => {
+    const entry = await lookupWord('comió', 'Ella comió una manzana.');
+    expect(entry).toEqual(expect.objectContaining({
+      word: 'comió',
+      gloss: 'ate',
+      source: 'backend',
+      verb: { infinitive: 'comer', tense: 'preterite', person: 'third person singular' }
+    }));
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(body.messages[1].content).toContain('Ella comió una manzana.');
+    expect(body.response_format).toEqual({ type: 'json_object' });
+  });
+
+  test('asks about words in the target language, without the Spanish dictionary', async () => {
+    await lookupWord('la', 'Je la vois.', 'fr-FR');
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(body.messages[0].content).toContain('You are a French tutor');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('pitches the meaning at the reader level and caches it per level', async () => {
+    await lookupWord('comió', 'Ella comió una manzana.', 'es-ES', 2);
+    let body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(body.messages[1].content).toContain('Learner level: 2/10 (beginner');
+    expect(body.messages[1].content).toContain('the simplest, most common English meaning');
+
+    await lookupWord('comió', 'Ella comió una manzana.', 'es-ES', 9);
+    body = JSON.parse(fetch.mock.calls[1][1].body);
+    expect(body.messages[1].content).toContain('Learner level: 9/10 (advanced');
+
+    expect((await lookupWord('comió', 'Ella comió una manzana.', 'es-ES', 2)).source).toBe('cache');
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('caches backend lookups', async () => {
+    await lookupWord('comió', 'Ella comió una manzana.');
+    const entry = await lookupWord('comió', 'Ella comió una manzana.');
+    expect(entry.source).toBe('cache');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('uses the deterministic mock provider', async () => {
+    chrome.storage.sync.get.mockImplementation(() => Promise.resolve({ provider: 'mock' }));
+    const entry = await lookupWord('Manzana', 'Una manzana roja.');
+    expect(entry).toEqual(expect.objectContaining({ lemma: 'manzana', gloss: '[EN] Manzana' }));
+  });
+
+  test('explains that LibreTranslate cannot look up words', async () => {
+    chrome.storage.sync.get.mockImplementation(() => Promise.resolve({ provider: 'libretranslate' }));
+    await expect(lookupWord('manzana', '')).rejects.toThrow('only supports translation');
+  });
+
+  test('rejects replies without a meaning', () => {
+    expect(() => parseGlossaryReply('{"lemma": "x"}')).toThrow('no meaning');
+    expect(() => parseGlossaryReply('not json')).toThrow('Could not read');
+    expect(parseGlossaryReply('{"lemma": "casa", "partOfSpeech": "noun", "gloss": "house", "verb": {}}').verb).toBeNull();
+  });
+});
@@ -0,0 +1,77 @@
+// Import quiz grading and the scores kept per article
+import {
+  gradeQuestion,
+  gradeQuiz,
+  getQuizScores,
+  getArticleQuizScores,
+  saveQuizScore
+} from '../grading.js';
+
+const questions = [
+  { type: 'multiple-choice', question: '¿Dónde?', choices: ['Aquí', 'Allí'], answer: 1, explanation: '' },
+  { type: 'true-false', question: 'Sí.', answer: false, explanation: '' },
+  { type: 'cloze', question: 'Ana ___ en Lima.', answer: 'está', explanation: '' },
+  {
+    type: 'matching',
+    question: 'Une',
+    pairs: [{ word: 'gato', meaning: 'cat' }, { word: 'perro', meaning: 'dog' }],
+    explanation: ''
+  }
+];
+
+describe('Grading Tests', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await chrome.storage.local.clear();
+  });
+
+  test('grades every kind of question', () => {
+    expect(gradeQuiz(questions, [1, false, ' Está. ', ['cat', 'dog']])).toEqual({
+      results: [
+        { correct: true, expected: 'Allí' },
+        { correct: true, expected: 'False' },
+        { correct: true, expected: 'está' },
+        { correct: true, pairs: [true, true], expected: 'gato = cat, perro = dog' }
+      ],
+      score: 4,
+      total: 4
+    });
+
+    const { results, score } = gradeQuiz(questions, [0, null, 'es', ['dog', 'dog']]);
+    expect(results.map(result => result.correct)).toEqual([false, false, false, false]);
+    expect(results[3].pairs).toEqual([false, true]);
+    expect(score).toBe(0);
+  });
+
+  test('accepts a cloze answer with a missing accent but points it out', () => {
+    expect(gradeQuestion(questions[2], 'esta')).toEqual({
+      correct: true,
+      expected: 'está',
+      note: 'Watch the accents: está'
+    });
+    expect(gradeQuestion(questions[2], '').correct).toBe(false);
+  });
+
+  test('keeps scores per article', async () => {
+    await saveQuizScore({ url: 'https://example.com/a', title: 'A', level: 5, language: 'es-ES', score: 3, total: 8 }, 1000);
+    await saveQuizScore({ url: 'https://example.com/a', title: 'A', level: 5, language: 'es-ES', score: 6, total: 8 }, 2000);
+    await saveQuizScore({ url: 'https://example.com/b', title: 'B', level: 5, language: 'es-ES', score: 8, total: 8 }, 3000);
+
+    expect((await getArticleQuizScores('https://example.com/a')).map(entry => entry.score)).toEqual([3, 6]);
+    expect(await getArticleQuizScores('https://example.com/c')).toEqual([]);
+  });
+
+  test('keeps only the most recently quizzed articles', async () => {
+    for (let i = 0; i < 200; i++) {
+      await saveQuizScore({ url: `https://example.com/${i}`, language: 'es-ES', score: 1, total: 4 }, i);
+    }
+    await saveQuizScore({ url: 'https://example.com/0', language: 'es-ES', score: 4, total: 4 }, 200);
+    await saveQuizScore({ url: 'https://example.com/new', language: 'es-ES', score: 2, total: 4 }, 201);
+
+    const scores = await getQuizScores();
+    expect(Object.keys(scores)).toHaveLength(200);
+    expect(scores).not.toHaveProperty(['https://example.com/1']);
+    expect(scores['https://example.com/0'].map(entry => entry.score)).toEqual([1, 4]);
+    expect(scores).toHaveProperty(['https://example.com/new']);
+  });
+});
@@ -0,0 +1,100 @@
+// Import partial immersion word picking and weaving
+import {
+  WEAVE_WORDS,
+  getKnownWeaveWords,
+  pickWeaveWords,
+  weaveElement,
+  unweaveElement
+} from '../immersion.js';
+
+describe('Partial Immersion Tests', () => {
+  describe('pickWeaveWords', () => {
+    const text = 'The family had a house by the river. Every day the man walked his dog to school.';
+
+    test('picks the given share of the common words on the page, most frequent first', () => {
+      expect(pickWeaveWords(text, 100)).toEqual(['day', 'man', 'school', 'family', 'house', 'river', 'dog']);
+      expect(pickWeaveWords(text, 30)).toEqual(['day', 'man']);
+      expect(pickWeaveWords(text, 5)).toEqual(['day']);
+      expect(pickWeaveWords('Nothing common here.', 50)).toEqual([]);
+    });
+
+    test('puts words from the vocabulary notebook first', () => {
+      expect(pickWeaveWords(text, 40, { dog: 'perro', walked: 'caminó' })).toEqual(['dog', 'walked', 'day']);
+    });
+
+    test('lists nouns without repeats', () => {
+      expect(new Set(WEAVE_WORDS).size).toBe(WEAVE_WORDS.length);
+    });
+  });
+
+  test('getKnownWeaveWords reads one-word English meanings from the notebook', () => {
+    expect(getKnownWeaveWords([
+      { word: 'una manzana', lemma: 'manzana', gloss: 'an apple', language: 'es' },
+      { word: 'comió', lemma: 'comer', gloss: 'ate', language: 'es' },
+      { word: 'sin embargo', gloss: 'however, nevertheless', language: 'es' },
+      { word: 'perro', gloss: '', language: 'es' }
+    ], 'es-ES')).toEqual({ apple: 'manzana', ate: 'comer' });
+  });
+
+  test('getKnownWeaveWords only uses words saved in the page language', () => {
+    const vocabulary = [
+      { word: 'perro', gloss: 'a dog', language: 'es' },
+      { word: 'chien', gloss: 'a dog', language: 'fr' },
+      { word: 'maison', gloss: 'a house', language: 'fr' },
+      { word: 'Haus', gloss: 'a house', language: 'de' },
+      { word: 'gato', gloss: 'a cat' }
+    ];
+    expect(getKnownWeaveWords(vocabulary, 'fr-FR')).toEqual({ dog: 'chien', house: 'maison' });
+    expect(getKnownWeaveWords(vocabulary, 'es-MX')).toEqual({ dog: 'perro' });
+    expect(getKnownWeaveWords(vocabulary, 'it-IT')).toEqual({});
+  });
+
+  describe('weaveElement', () => {
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <p id="text">The <b>House</b> of my family: a house with a garden.</p>
+        <pre>house</pre>
+        <textarea>house</textarea>
+      `;
+    });
+
+    test('swaps every occurrence into a span that keeps the English', () => {
+      const count = weaveElement(document.body, { house: 'casa', family: 'familia' }, 'es-ES');
+      expect(count).toBe(3);
+
+      const words = Array.from(document.querySelectorAll('.spanishify-weave'));
+      expect(words.map(word => [word.textContent, word.dataset.english, word.lang])).toEqual([
+        ['Casa', 'House', 'es-ES'],
+        ['familia', 'family', 'es-ES'],
+        ['casa', 'house', 'es-ES']
+      ]);
+      expect(document.getElementById('text').textContent).toBe('The Casa of my familia: a casa with a garden.');
+      expect(document.querySelector('pre').textContent).toBe('house');
+      expect(document.querySelector('textarea').value).toBe('house');
+    });
+
+    test('puts the English back', () => {
+      const before = document.body.innerHTML;
+      weaveElement(document.body, { house: 'casa' }, 'es-ES');
+      unweaveElement(document.body);
+      expect(document.querySelector('.spanishify-weave')).toBeNull();
+      expect(document.body.innerHTML).toBe(before);
+      expect(document.getElementById('text').childNodes).toHaveLength(3);
+    });
+
+    test('undoing leaves the page\'s own text nodes alone', () => {
+      const paragraph = document.createElement('p');
+      const own = [document.createTextNode('My '), document.createTextNode('house and '), document.createTextNode('more')];
+      own.forEach(node => paragraph.appendChild(node));
+      document.body.replaceChildren(paragraph);
+
+      weaveElement(paragraph, { house: 'casa' }, 'es-ES');
+      unweaveElement(paragraph);
+
+      expect(paragraph.textContent).toBe('My house and more');
+      expect(paragraph.childNodes).toHaveLength(3);
+      expect(paragraph.firstChild).toBe(own[0]);
+      expect(paragraph.lastChild).toBe(own[2]);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+// Import in-place translation helpers
+import {
+  isInPageTextNode,
+  collectInPageTextNodes,
+  splitSurroundingSpace
+} from '../inpage.js';
+
+describe('In-place translation', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  describe('collectInPageTextNodes', () => {
+    test('keeps visible prose and leaves out inputs, code, navigation and hidden text', () => {
+      document.body.innerHTML = `
+        <header><nav>Menu</nav><div role="navigation">Sections</div></header>
+        <p>Posted <time>today</time> by <a href="#">someone</a></p>
+        <textarea>Draft</textarea>
+        <select><option>First</option></select>
+        <pre>npm install</pre>
+        <div contenteditable="true">Editing</div>
+        <p translate="no">Brand</p>
+        <p class="notranslate">Brand too</p>
+        <p hidden>Hidden</p>
+        <p aria-hidden="true">Decoration</p>
+        <div style="visibility: hidden"><span>Invisible</span></div>
+        <div class="spanishify-notification">Done</div>
+        <p>42 — 17</p>
+      `;
+
+      const texts = collectInPageTextNodes(document.body).map(node => node.nodeValue);
+      expect(texts).toEqual(['Posted ', 'today', ' by ', 'someone']);
+    });
+
+    test('accepts a single text node or element and ignores comments', () => {
+      document.body.innerHTML = '<p>Hello</p><!-- note -->';
+      const paragraph = document.querySelector('p');
+
+      expect(collectInPageTextNodes(paragraph.firstChild)).toEqual([paragraph.firstChild]);
+      expect(collectInPageTextNodes(paragraph)).toEqual([paragraph.firstChild]);
+      expect(collectInPageTextNodes(document.body.lastChild)).toEqual([]);
+      expect(isInPageTextNode(document.createTextNode('Detached'))).toBe(false);
+    });
+  });
+
+  describe('splitSurroundingSpace', () => {
+    test('separates the text from the whitespace around it', () => {
+      expect(splitSurroundingSpace('  Hello world\n')).toEqual({ leading: '  ', core: 'Hello world', trailing: '\n' });
+      expect(splitSurroundingSpace('Hello')).toEqual({ leading: '', core: 'Hello', trailing: '' });
+      expect(splitSurroundingSpace('   ')).toEqual({ leading: '   ', core: '', trailing: '' });
+    });
+  });
+});
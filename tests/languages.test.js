@@ -0,0 +1,111 @@
+// Import the target languages and their regional varieties
+import {
+  TARGET_LANGUAGES,
+  normalizeLanguageTag,
+  resolveLanguageTag,
+  getLanguageVariant,
+  getLanguageLevelBand,
+  isLanguageVoice,
+  findVariantVoice,
+  rankVoices,
+  getVoiceLabel
+} from '../languages.js';
+import { getPromptForDifficulty } from '../translator.js';
+
+describe('Language Tests', () => {
+  test('falls back to a known variety', () => {
+    expect(normalizeLanguageTag('es-MX')).toBe('es-MX');
+    expect(normalizeLanguageTag('fr')).toBe('fr-FR');
+    expect(normalizeLanguageTag('pt-AO')).toBe('pt-BR');
+    expect(normalizeLanguageTag(undefined)).toBe('es-ES');
+    expect(normalizeLanguageTag('ja-JP')).toBe('es-ES');
+    expect(getLanguageVariant('es-MX')).toEqual(expect.objectContaining({ code: 'es-MX', label: 'Mexico' }));
+  });
+
+  test('pairs the chosen language with a variety of its own', () => {
+    expect(resolveLanguageTag('de', 'de-AT')).toBe('de-AT');
+    expect(resolveLanguageTag('de', 'es-MX')).toBe('de-DE');
+    expect(resolveLanguageTag(undefined, 'es-AR')).toBe('es-AR');
+  });
+
+  test('prompts ask for the dialect and its forms of address', () => {
+    expect(getPromptForDifficulty('[]', 5)).toContain('European Spanish as spoken in Spain (es-ES)');
+    expect(getPromptForDifficulty('[]', 5, 'es-ES')).toContain('vosotros tenéis');
+    expect(getPromptForDifficulty('[]', 5, 'es-MX')).toContain('never use vosotros');
+    expect(getPromptForDifficulty('[]', 5, 'es-AR')).toContain('vos tenés');
+  });
+
+  test('prompts use the grammar of the target language', () => {
+    const prompt = getPromptForDifficulty('[]', 'advanced', 'pt-PT');
+    expect(prompt).toContain('to European Portuguese as spoken in Portugal (pt-PT)');
+    expect(prompt).toContain('Grammar: all tenses including the subjuntivo');
+    expect(prompt).toContain('telemóvel');
+    expect(getPromptForDifficulty('[]', 'beginner', 'de-DE')).toContain('Grammar: Präsens only');
+  });
+
+  test('every language describes every level and every variety', () => {
+    Object.values(TARGET_LANGUAGES).forEach(language => {
+      expect(language.variants[language.defaultVariant]).toBeDefined();
+      expect(language.ui.difficultyLabel).toBeTruthy();
+      ['beginner', 'intermediate', 'advanced'].forEach(name => {
+        expect(language.levels[name]).toEqual({
+          nativeLabel: expect.any(String),
+          description: expect.any(String),
+          grammar: expect.any(String)
+        });
+      });
+      Object.values(language.variants).forEach(variant => {
+        expect(variant.instructions).toBeTruthy();
+        expect(variant.nativeLabel).toBeTruthy();
+      });
+    });
+  });
+
+  test('level bands combine the CEFR band with the language description', () => {
+    expect(getLanguageLevelBand(9, 'it-IT')).toEqual(expect.objectContaining({
+      code: '2A',
+      cefr: 'B2-C1',
+      nativeLabel: 'Avanzato'
+    }));
+  });
+
+  test('matches voices by language, not by letters in the tag', () => {
+    expect(isLanguageVoice({ name: 'Monica', lang: 'es-ES' }, 'es-MX')).toBe(true);
+    expect(isLanguageVoice({ name: 'Google español', lang: '' }, 'es-ES')).toBe(false);
+    expect(isLanguageVoice({ name: 'Microsoft Helena - Spanish (Spain)', lang: '' }, 'es-ES')).toBe(true);
+    expect(isLanguageVoice({ name: 'Estonian', lang: 'et-EE' }, 'es-ES')).toBe(false);
+    expect(isLanguageVoice({ name: 'Anna', lang: 'de-DE' }, 'de-AT')).toBe(true);
+  });
+
+  test('findVariantVoice only matches the exact region', () => {
+    const voices = [
+      { name: 'Monica', lang: 'es-ES' },
+      { name: 'Paulina', lang: 'es_MX' },
+      { name: 'Estonian', lang: 'et-EE' }
+    ];
+    expect(findVariantVoice(voices, 'es-MX').name).toBe('Paulina');
+    expect(findVariantVoice(voices, 'es-ES').name).toBe('Monica');
+    expect(findVariantVoice(voices, 'es-AR')).toBeNull();
+    expect(findVariantVoice([], 'es-AR')).toBeNull();
+  });
+
+  test('rankVoices puts natural and local voices first, then the chosen variety', () => {
+    const voices = [
+      { name: 'Google español', lang: 'es-ES', localService: false },
+      { name: 'eSpeak Spanish', lang: 'es', localService: true },
+      { name: 'Monica', lang: 'es-ES', localService: true },
+      { name: 'Samantha', lang: 'en-US', localService: true },
+      { name: 'Paulina', lang: 'es-MX', localService: true },
+      { name: 'Microsoft Dalia Online (Natural)', lang: 'es-MX', localService: false }
+    ];
+    expect(rankVoices(voices, 'es-MX').map(voice => voice.name)).toEqual([
+      'Microsoft Dalia Online (Natural)',
+      'Paulina',
+      'Monica',
+      'Google español',
+      'eSpeak Spanish'
+    ]);
+    expect(rankVoices(voices, 'fr-FR')).toEqual([]);
+    expect(getVoiceLabel(voices[5])).toBe('Microsoft Dalia Online (Natural) (es-MX) · natural');
+  });
+});
@@ -0,0 +1,101 @@
+// Import the shared level model
+import {
+  DIFFICULTY_LEVELS,
+  normalizeLevel,
+  getLevelName,
+  getLevelBand,
+  getRememberedLevel,
+  rememberLevel
+} from '../levels.js';
+import { getPromptForDifficulty } from '../translator.js';
+
+describe('Difficulty Level Tests', () => {
+  let syncData;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await chrome.storage.local.clear();
+    syncData = {};
+    chrome.storage.sync.get.mockImplementation(() => Promise.resolve({ ...syncData }));
+    chrome.storage.sync.set.mockImplementation((items) => {
+      syncData = { ...syncData, ...items };
+      return Promise.resolve();
+    });
+  });
+
+  describe('normalizeLevel', () => {
+    test('maps popup level names to distinct numeric levels', () => {
+      expect(normalizeLevel('beginner')).toBe(2);
+      expect(normalizeLevel('intermediate')).toBe(5);
+      expect(normalizeLevel('advanced')).toBe(8);
+    });
+
+    test('accepts numbers and numeric strings within range', () => {
+      expect(normalizeLevel(7)).toBe(7);
+      expect(normalizeLevel('3')).toBe(3);
+      expect(normalizeLevel(0)).toBe(1);
+      expect(normalizeLevel(42)).toBe(10);
+    });
+
+    test('falls back to the default level', () => {
+      expect(normalizeLevel(undefined)).toBe(5);
+      expect(normalizeLevel('expert')).toBe(5);
+    });
+  });
+
+  describe('level bands', () => {
+    test('every numeric level belongs to exactly one named level', () => {
+      for (let level = 1; level <= 10; level++) {
+        const matches = Object.values(DIFFICULTY_LEVELS)
+          .filter(band => level >= band.min && level <= band.max);
+        expect(matches).toHaveLength(1);
+      }
+    });
+
+    test('maps levels to course codes and CEFR bands', () => {
+      expect(getLevelName(3)).toBe('beginner');
+      expect(getLevelBand(4)).toEqual(expect.objectContaining({ code: '1B', cefr: 'A2-B1' }));
+      expect(getLevelBand('advanced')).toEqual(expect.objectContaining({ code: '2A', cefr: 'B2-C1' }));
+    });
+
+    test('prompt instructions follow the named level', () => {
+      expect(getPromptForDifficulty('[]', 'beginner')).toContain('present tense only');
+      expect(getPromptForDifficulty('[]', 'beginner')).toContain('Difficulty level: 2/10');
+      expect(getPromptForDifficulty('[]', 'advanced')).toContain('subjunctive');
+    });
+  });
+
+  describe('remembered levels', () => {
+    test('defaults to the middle level', async () => {
+      await expect(getRememberedLevel('example.com')).resolves.toBe(5);
+    });
+
+    test('prefers the level last used on the site over the last level overall', async () => {
+      await rememberLevel(3, 'example.com');
+      await rememberLevel('advanced', 'news.example.org');
+      await expect(getRememberedLevel('example.com')).resolves.toBe(3);
+      await expect(getRememberedLevel('other.com')).resolves.toBe(8);
+    });
+
+    test('keeps only the most recently used sites', async () => {
+      for (let i = 0; i < 200; i++) {
+        await rememberLevel(3, `site${i}.com`);
+      }
+      await rememberLevel(6, 'site0.com');
+      await rememberLevel(7, 'new.com');
+
+      const { siteLevels } = await chrome.storage.local.get('siteLevels');
+      expect(Object.keys(siteLevels)).toHaveLength(200);
+      expect(siteLevels).not.toHaveProperty('site1.com');
+      expect(siteLevels['site0.com']).toBe(6);
+      expect(siteLevels['new.com']).toBe(7);
+    });
+
+    test('falls back to the default level from the options page', async () => {
+      syncData = { defaultLevel: 2 };
+      await expect(getRememberedLevel('example.com')).resolves.toBe(2);
+      await rememberLevel(7, 'other.com');
+      await expect(getRememberedLevel('example.com')).resolves.toBe(7);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+// Import the inline markup placeholders
+import {
+  encodeInlineMarkup,
+  hasTranslatableText,
+  decodeInlineMarkup,
+  restoreInlineMarkup
+} from '../markup.js';
+
+function element(html) {
+  const container = document.createElement('p');
+  container.innerHTML = html;
+  return container;
+}
+
+describe('Inline Markup Tests', () => {
+  test('encodes inline elements as numbered placeholders', () => {
+    const { text, elements } = encodeInlineMarkup(element('Read <a href="/report">this <em>new</em> report</a>\n  today'));
+    expect(text).toBe('Read <x0>this <x1>new</x1> report</x0> today');
+    expect(elements.map(item => [item.node.tagName, item.paired])).toEqual([['A', true], ['EM', true]]);
+    expect(elements[0].node.childNodes).toHaveLength(0);
+  });
+
+  test('keeps code and images out of the text', () => {
+    const { text, elements } = encodeInlineMarkup(element('Run <code>npm test</code> <img src="a.png"> now'));
+    expect(text).toBe('Run <x0/> <x1/> now');
+    expect(elements[0].node.textContent).toBe('npm test');
+  });
+
+  test('escapes text that looks like markup', () => {
+    expect(encodeInlineMarkup(element('1 &lt; 2 &amp; <b>3</b>')).text).toBe('1 &lt; 2 &amp; <x0>3</x0>');
+  });
+
+  test('knows when there is nothing to translate', () => {
+    expect(hasTranslatableText(element('<code>x = 1</code> 42'))).toBe(false);
+    expect(hasTranslatableText(element('Run <code>x</code>'))).toBe(true);
+  });
+
+  test('restores markup around the translated words, even when reordered', () => {
+    const block = element('The <strong>red</strong> <a href="/car">car</a>');
+    const { elements } = encodeInlineMarkup(block);
+    expect(restoreInlineMarkup(block, 'El <x1>coche</x1> <x0>rojo</x0> &amp; más', elements)).toBe(true);
+    expect(block.innerHTML).toBe('El <a href="/car">coche</a> <strong>rojo</strong> &amp; más');
+  });
+
+  test('keeps code the translation dropped', () => {
+    const block = element('Run <code>npm test</code> now');
+    const { elements } = encodeInlineMarkup(block);
+    restoreInlineMarkup(block, 'Ejecútalo ahora', elements);
+    expect(block.innerHTML).toBe('Ejecútalo ahora <code>npm test</code>');
+  });
+
+  test.each([
+    ['unclosed', 'Lee <x0>este informe hoy'],
+    ['crossed', 'Lee <x0>este <x1>nuevo</x0> informe</x1>'],
+    ['unknown', 'Lee <x5>este</x5> informe'],
+    ['duplicated', 'Lee <x0>este</x0> <x0>informe</x0>']
+  ])('rejects %s placeholders', (_, text) => {
+    const { elements } = encodeInlineMarkup(element('Read <a href="/r">this <em>new</em> report</a>'));
+    expect(decodeInlineMarkup(text, elements)).toBeNull();
+  });
+
+  test('falls back to plain text when placeholders come back broken', () => {
+    const block = element('Read <a href="/r">this report</a> today');
+    const { elements } = encodeInlineMarkup(block);
+    expect(restoreInlineMarkup(block, 'Lee <x0>este informe hoy', elements)).toBe(false);
+    expect(block.innerHTML).toBe('Lee este informe hoy');
+  });
+});
@@ -0,0 +1,117 @@
+// Import pronunciation scoring and the attempt history
+import {
+  setSpeechRecognizerFactory,
+  listenForSpeech,
+  alignSpokenWords,
+  scorePronunciation,
+  getPronunciationAttempts,
+  savePronunciationAttempt,
+  getSentenceAttempts,
+  summarizePronunciation
+} from '../pronunciation.js';
+
+// Stand-in for webkitSpeechRecognition that hears whatever the test says
+const createFakeRecognizer = (outcome) => (language) => ({
+  lang: language,
+  start() {
+    if (outcome.error) {
+      this.onerror({ error: outcome.error });
+    } else {
+      this.onresult({ results: [outcome.transcripts.map(transcript => ({ transcript }))] });
+    }
+    this.onend();
+  },
+  abort: jest.fn()
+});
+
+const statuses = (result) => result.words.map(word => `${word.text}:${word.status}`);
+
+describe('Pronunciation Tests', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await chrome.storage.local.clear();
+  });
+
+  afterEach(() => {
+    setSpeechRecognizerFactory(null);
+  });
+
+  describe('scorePronunciation', () => {
+    test('ignores case, accents and punctuation', () => {
+      const result = scorePronunciation('¿Dónde está la estación?', ['donde esta la estacion']);
+      expect(result.score).toBe(100);
+      expect(result.words.every(word => word.status === 'correct')).toBe(true);
+    });
+
+    test('marks missed and mispronounced words', () => {
+      const result = scorePronunciation('El perro come carne todos los días.', ['el pero come todos los días']);
+      expect(statuses(result)).toEqual([
+        'El:correct',
+        'perro:mispronounced',
+        'come:correct',
+        'carne:missed',
+        'todos:correct',
+        'los:correct',
+        'días:correct'
+      ]);
+      expect(result.words[1].heard).toBe('pero');
+      expect(result.score).toBe(71);
+    });
+
+    test('keeps words that are not in the sentence apart', () => {
+      const result = scorePronunciation('Buenos días.', ['eh buenos días']);
+      expect(result.score).toBe(100);
+      expect(result.extra).toEqual(['eh']);
+    });
+
+    test('scores the best of the recognizer alternatives', () => {
+      const result = scorePronunciation('Hola amigo.', ['ola a migo', 'hola amigo']);
+      expect(result.transcript).toBe('hola amigo');
+      expect(result.score).toBe(100);
+      expect(scorePronunciation('Hola amigo.', []).score).toBe(0);
+    });
+
+    test('word ranges point into the sentence', () => {
+      const { words } = scorePronunciation('¡Hola, amigo!', ['hola amigo']);
+      expect(words.map(word => [word.start, word.end])).toEqual([[1, 5], [7, 12]]);
+      expect(alignSpokenWords([], ['hola']).extra).toEqual(['hola']);
+    });
+  });
+
+  describe('listenForSpeech', () => {
+    test('resolves with what the recognizer heard in the reader language', async () => {
+      const factory = jest.fn(createFakeRecognizer({ transcripts: ['hola amigo', 'ola amigo'] }));
+      setSpeechRecognizerFactory(factory);
+      await expect(listenForSpeech('es-MX')).resolves.toEqual(['hola amigo', 'ola amigo']);
+      expect(factory).toHaveBeenCalledWith('es-MX');
+    });
+
+    test('explains recognition errors', async () => {
+      setSpeechRecognizerFactory(createFakeRecognizer({ error: 'not-allowed' }));
+      await expect(listenForSpeech('es-ES')).rejects.toThrow('Microphone access is blocked');
+    });
+
+    test('rejects when the browser has no speech recognition', async () => {
+      await expect(listenForSpeech('es-ES')).rejects.toThrow('not supported');
+    });
+  });
+
+  describe('attempt history', () => {
+    test('stores attempts and summarizes progress', async () => {
+      await savePronunciationAttempt({ sentence: 'Hola amigo.', language: 'es-ES', transcript: 'ola', score: 50 }, 1000);
+      await savePronunciationAttempt({ sentence: 'Hola amigo.', language: 'es-ES', transcript: 'hola amigo', score: 100 }, 2000);
+      await savePronunciationAttempt({ sentence: 'Buenos días.', language: 'es-ES', transcript: 'buenos días', score: 100 }, 3000);
+
+      const attempts = await getPronunciationAttempts();
+      expect(getSentenceAttempts(attempts, 'Hola amigo.', 'es-ES').map(attempt => attempt.score)).toEqual([50, 100]);
+      expect(getSentenceAttempts(attempts, 'Hola amigo.', 'es-MX')).toEqual([]);
+      expect(summarizePronunciation(attempts, 2)).toEqual({
+        attempts: 3,
+        sentences: 2,
+        best: 100,
+        firstAverage: 75,
+        recentAverage: 100
+      });
+    });
+  });
+});
@@ -0,0 +1,111 @@
+// Import the comprehension quiz generator
+import { generateQuiz, parseQuizReply } from '../quiz.js';
+
+const QUIZ = {
+  questions: [
+    {
+      type: 'multiple-choice',
+      question: '¿Dónde vive Ana?',
+      choices: ['En Madrid', 'En Lima', 'En Roma', 'En París'],
+      answer: 1,
+      explanation: 'The article says "Ana vive en Lima".'
+    },
+    { type: 'true-false', question: 'Ana tiene un perro.', answer: false, explanation: 'Ana tiene un gato.' },
+    { type: 'cloze', question: 'Ana ___ en Lima.', answer: 'vive', explanation: 'Vivir: to live.' },
+    {
+      type: 'matching',
+      question: 'Match the words',
+      pairs: [{ word: 'gato', meaning: 'cat' }, { word: 'vive', meaning: 'lives' }],
+      explanation: ''
+    }
+  ]
+};
+
+const quizReply = (quiz = QUIZ) => ({
+  ok: true,
+  json: () => Promise.resolve({ choices: [{ message: { content: JSON.stringify(quiz) } }] })
+});
+
+describe('Quiz Tests', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await chrome.storage.local.clear();
+    chrome.storage.sync.get.mockImplementation(() => Promise.resolve({ apiKey: 'test-api-key' }));
+    fetch.mockImplementation(() => Promise.resolve(quizReply()));
+  });
+
+  test('asks the backend for questions about the article at the learner level', async () => {
+    const quiz = await generateQuiz('Ana vive en Lima. Tiene un gato.', 2, 'es-MX');
+    expect(quiz).toEqual(QUIZ);
+
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(body.response_format).toEqual({ type: 'json_object' });
+    expect(body.messages[0].content).toContain('"cloze" questions');
+    const prompt = body.messages[1].content;
+    expect(prompt).toContain('Learner level: 2/10 (beginner, 1A, CEFR A1)');
+    expect(prompt).toContain('Mexican Spanish');
+    expect(prompt).toContain('in simple English');
+    expect(prompt).toContain('Ana vive en Lima. Tiene un gato.');
+  });
+
+  test('explains in the target language above beginner level', async () => {
+    await generateQuiz('Le chat dort.', 8, 'fr-FR');
+    expect(JSON.parse(fetch.mock.calls[0][1].body).messages[1].content).toContain('in simple French');
+  });
+
+  test('reuses the quiz for the same article and level unless new questions are asked for', async () => {
+    await generateQuiz('Ana vive en Lima.', 5, 'es-ES');
+    await generateQuiz('Ana vive en Lima.', 5, 'es-ES');
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    await generateQuiz('Ana vive en Lima.', 5, 'es-ES', true);
+    await generateQuiz('Ana vive en Lima.', 8, 'es-ES');
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('LibreTranslate cannot write quizzes', async () => {
+    chrome.storage.sync.get.mockImplementation(() => Promise.resolve({ provider: 'libretranslate' }));
+    await expect(generateQuiz('Ana vive en Lima.', 5, 'es-ES')).rejects.toThrow('LibreTranslate only supports translation');
+  });
+
+  test('the mock provider writes a quiz too', async () => {
+    chrome.storage.sync.get.mockImplementation(() => Promise.resolve({ provider: 'mock' }));
+    const quiz = await generateQuiz('Ana vive en Lima.', 5, 'es-ES');
+    expect(quiz.questions.map(question => question.type)).toEqual(['true-false', 'cloze']);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  describe('parseQuizReply', () => {
+    test('repairs answers given in other forms and drops incomplete questions', () => {
+      const { questions } = parseQuizReply('```json\n' + JSON.stringify({
+        questions: [
+          { type: 'multiple-choice', question: '¿Dónde?', choices: ['Aquí', 'Allí'], answer: 'Allí', explanation: '' },
+          { type: 'true-false', question: 'Sí.', answer: 'TRUE', explanation: '' },
+          { type: 'cloze', question: 'Sin hueco.', answer: 'hueco', explanation: '' },
+          { type: 'matching', question: 'Une', pairs: [{ word: 'sí', meaning: 'yes' }], explanation: '' },
+          { type: 'essay', question: 'Escribe.', explanation: '' }
+        ]
+      }) + '\n```');
+      expect(questions).toEqual([
+        { type: 'multiple-choice', question: '¿Dónde?', choices: ['Aquí', 'Allí'], answer: 1, explanation: '' },
+        { type: 'true-false', question: 'Sí.', answer: true, explanation: '' }
+      ]);
+    });
+
+    test('turns any run of underscores into one blank and drops cloze questions without exactly one', () => {
+      const { questions } = parseQuizReply(JSON.stringify({
+        questions: [
+          { type: 'cloze', question: 'Ana _____ en Lima.', answer: 'vive', explanation: '' },
+          { type: 'cloze', question: 'Ana ___ en ___.', answer: 'vive', explanation: '' },
+          { type: 'cloze', question: 'Ana _ en Lima.', answer: 'vive', explanation: '' }
+        ]
+      }));
+      expect(questions).toEqual([{ type: 'cloze', question: 'Ana ___ en Lima.', answer: 'vive', explanation: '' }]);
+    });
+
+    test('rejects replies without usable questions', () => {
+      expect(() => parseQuizReply('not json')).toThrow('Could not read the quiz reply');
+      expect(() => parseQuizReply('{"questions": []}')).toThrow('no usable questions');
+    });
+  });
+});
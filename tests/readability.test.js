@@ -0,0 +1,120 @@
+// Import the article extractor
+import { extractArticle, getLinkDensity, getClassWeight } from '../readability.js';
+
+const fs = require('fs');
+const path = require('path');
+
+function loadFixture(name) {
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+  return new DOMParser().parseFromString(html, 'text/html');
+}
+
+// Saved pages and what the reader should get out of each
+const FIXTURES = [
+  {
+    file: 'news-div-layout.html',
+    title: 'City Council Approves New Bike Lanes',
+    byline: 'Maria Lopez',
+    publishedTime: '2024-03-14T09:30:00Z',
+    leadImage: 'https://ledger.example.com/images/bike-lanes.jpg',
+    includes: ['forty miles of protected bike lanes', 'This is about safety', 'Construction on the first segment'],
+    excludes: ['Most popular', 'Ten restaurants', 'All rights reserved', 'Opinion']
+  },
+  {
+    file: 'blog-article.html',
+    title: 'Learning to Bake Sourdough at Home',
+    byline: 'Jamie Chen',
+    publishedTime: '2023-11-02',
+    leadImage: 'http://localhost/images/loaf.jpg',
+    includes: ['My first loaf of sourdough', 'The first loaf that actually rose', 'let the dough rise slowly'],
+    excludes: ['Archive', 'Share', 'Subscribe to get new recipes', 'Great post', 'a lot of flour on the floor']
+  },
+  {
+    file: 'teaser-before-article.html',
+    title: 'Scientists map the deep ocean floor',
+    byline: null,
+    publishedTime: null,
+    leadImage: null,
+    includes: ['hundreds of underwater mountains', 'The data will be released publicly later this year.'],
+    excludes: ['solar eclipse', 'first three months']
+  },
+  {
+    file: 'inline-links.html',
+    title: 'Weekend Reading',
+    byline: null,
+    publishedTime: null,
+    leadImage: null,
+    includes: ['the rail line essay', 'a short history of city bridges', 'safe to walk at night'],
+    excludes: ['Comments are closed', 'Why night markets are booming', 'utm_source', 'ref=weekly']
+  }
+];
+
+describe('Readability Tests', () => {
+  describe.each(FIXTURES)('$file', (fixture) => {
+    let article;
+
+    beforeAll(() => {
+      article = extractArticle(loadFixture(fixture.file));
+    });
+
+    test('reads the article metadata', () => {
+      expect(article.title).toBe(fixture.title);
+      expect(article.byline).toBe(fixture.byline);
+      expect(article.publishedTime).toBe(fixture.publishedTime);
+      expect(article.leadImage).toBe(fixture.leadImage);
+    });
+
+    test('keeps the article body', () => {
+      fixture.includes.forEach(text => expect(article.content).toContain(text));
+      expect(article.length).toBeGreaterThan(200);
+    });
+
+    test('drops navigation, teasers and other page furniture', () => {
+      fixture.excludes.forEach(text => expect(article.content).not.toContain(text));
+    });
+  });
+
+  test('starts the body with the title when the article has no heading for it', () => {
+    const article = extractArticle(loadFixture('news-div-layout.html'));
+    expect(article.content).toMatch(/^<h1>City Council Approves New Bike Lanes<\/h1>/);
+  });
+
+  test('does not repeat a title heading the article already has', () => {
+    const article = extractArticle(loadFixture('blog-article.html'));
+    expect(article.content.match(/Learning to Bake Sourdough at Home/g)).toHaveLength(1);
+  });
+
+  test('leaves out elements matching the ignored selectors', () => {
+    const doc = loadFixture('teaser-before-article.html');
+    const overlay = doc.createElement('div');
+    overlay.id = 'reader-overlay';
+    overlay.innerHTML = '<p>Reader overlay text that is long enough to be scored as a paragraph.</p>';
+    doc.querySelector('.post').appendChild(overlay);
+
+    const article = extractArticle(doc, { ignoreSelectors: ['#reader-overlay'] });
+    expect(article.content).not.toContain('Reader overlay text');
+  });
+
+  test('falls back to the page landmarks when there is too little text to score', () => {
+    const doc = new DOMParser().parseFromString(
+      '<body><div class="menu">Home</div><article><p>Short</p></article></body>',
+      'text/html'
+    );
+    const article = extractArticle(doc);
+    expect(article.content).toBe('<p>Short</p>');
+  });
+
+  test('measures link density', () => {
+    const element = document.createElement('div');
+    element.innerHTML = 'Read <a href="#">this</a> now';
+    expect(getLinkDensity(element)).toBeCloseTo(4 / 13);
+  });
+
+  test('weighs class and id hints', () => {
+    const element = document.createElement('div');
+    element.className = 'post-body';
+    expect(getClassWeight(element)).toBe(25);
+    element.id = 'sidebar';
+    expect(getClassWeight(element)).toBe(0);
+  });
+});
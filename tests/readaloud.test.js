@@ -0,0 +1,50 @@
+// Import the read-aloud sentence helpers
+import {
+  splitSentences,
+  getWordOffsets,
+  findWordAt,
+  buildReadingQueue
+} from '../readaloud.js';
+
+describe('Read-aloud Tests', () => {
+  test('splits text into trimmed sentences with their ranges', () => {
+    const text = ' ¿Dónde está? Está en casa.  ¡Qué bien! ';
+    const sentences = splitSentences(text, 'es-ES');
+    expect(sentences.map(sentence => sentence.text)).toEqual(['¿Dónde está?', 'Está en casa.', '¡Qué bien!']);
+    sentences.forEach(sentence => {
+      expect(text.slice(sentence.start, sentence.end)).toBe(sentence.text);
+    });
+  });
+
+  test('skips fragments without words', () => {
+    expect(splitSentences('Fin.\n\n* * *\n\nOtro. 12.', 'es-ES').map(sentence => sentence.text)).toEqual(['Fin.', 'Otro.']);
+    expect(splitSentences('', 'es-ES')).toEqual([]);
+  });
+
+  test('finds word elements by character offset', () => {
+    const block = document.createElement('p');
+    block.innerHTML = '<span class="w">Hola</span>, <a><span class="w">amigo</span></a>. <code>x = 1</code>';
+    const words = getWordOffsets(block, '.w');
+    expect(words.map(word => [word.element.textContent, word.start, word.end])).toEqual([
+      ['Hola', 0, 4],
+      ['amigo', 6, 11]
+    ]);
+    expect(findWordAt(words, 2).element.textContent).toBe('Hola');
+    expect(findWordAt(words, 5).element.textContent).toBe('amigo');
+    expect(findWordAt(words, 12)).toBeNull();
+  });
+
+  test('queues the sentences of every block with their words', () => {
+    const first = document.createElement('p');
+    first.innerHTML = '<span class="w">Uno</span>. <span class="w">Dos</span> <span class="w">tres</span>.';
+    const second = document.createElement('p');
+    second.innerHTML = '<span class="w">Cuatro</span>.';
+
+    const queue = buildReadingQueue([first, second], 'es-ES', '.w');
+    expect(queue.map(sentence => [sentence.text, sentence.block, sentence.words.length])).toEqual([
+      ['Uno.', first, 1],
+      ['Dos tres.', first, 2],
+      ['Cuatro.', second, 1]
+    ]);
+  });
+});
@@ -0,0 +1,103 @@
+// Import the options page settings model
+import {
+  SETTINGS_DEFAULTS,
+  validateSettings,
+  loadSettings,
+  loadReaderSettings,
+  isAutoTranslateSite
+} from '../settings.js';
+
+describe('Settings Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateSettings', () => {
+    test('accepts the defaults unchanged', () => {
+      expect(validateSettings(SETTINGS_DEFAULTS)).toEqual({ values: SETTINGS_DEFAULTS, errors: [] });
+    });
+
+    test('converts form strings to numbers and drops unknown keys', () => {
+      const { values, errors } = validateSettings({
+        temperature: '0.3',
+        batchSize: '8',
+        readerFontSize: '20',
+        model: '  gpt-4o  ',
+        somethingElse: 'x'
+      });
+      expect(errors).toEqual([]);
+      expect(values).toEqual({ temperature: 0.3, batchSize: 8, readerFontSize: 20, model: 'gpt-4o' });
+    });
+
+    test('rejects numbers outside their range', () => {
+      const { values, errors } = validateSettings({
+        temperature: '3',
+        batchSize: '2.5',
+        defaultLevel: '11',
+        cacheMaxSizeMb: ''
+      });
+      expect(values).toEqual({});
+      expect(errors).toEqual([
+        'Temperature must be a number from 0 to 2.',
+        'Batch size must be a whole number from 1 to 20.',
+        'Default level must be a whole number from 1 to 10.',
+        'Maximum cache size must be a whole number from 1 to 500.'
+      ]);
+    });
+
+    test('rejects unknown choices', () => {
+      const { errors } = validateSettings({ readerTheme: 'neon', displayMode: 'interlinear' });
+      expect(errors).toEqual(['"neon" is not a valid choice for readerTheme.']);
+    });
+
+    test('cleans up the auto-translate site list', () => {
+      const { values, errors } = validateSettings({
+        autoTranslateSites: 'https://www.Example.com/news\n\nelpais.com:443\nexample.com\nwww.example.com'
+      });
+      expect(errors).toEqual([]);
+      expect(values.autoTranslateSites).toEqual(['www.example.com', 'elpais.com', 'example.com']);
+
+      expect(validateSettings({ autoTranslateSites: ['not a site'] }).errors).toEqual(['Not a site name: not a site']);
+    });
+
+    test('only accepts web addresses as endpoints', () => {
+      expect(validateSettings({ endpoint: 'http://localhost:11434' }).values.endpoint).toBe('http://localhost:11434');
+      expect(validateSettings({ endpoint: '' }).values.endpoint).toBe('');
+      expect(validateSettings({ endpoint: 'localhost:11434' }).errors).toEqual([
+        'Endpoint must be an http:// or https:// address.'
+      ]);
+      expect(validateSettings({ ttsEndpoint: 'localhost:8880' }).errors).toEqual([
+        'Speech server endpoint must be an http:// or https:// address.'
+      ]);
+    });
+  });
+
+  test('loadSettings fills in defaults for anything not stored', async () => {
+    chrome.storage.sync.get.mockImplementation(() => Promise.resolve({ readerTheme: 'dark', batchSize: 10 }));
+    const settings = await loadSettings();
+    expect(settings.readerTheme).toBe('dark');
+    expect(settings.batchSize).toBe(10);
+    expect(settings.ttsRate).toBe(SETTINGS_DEFAULTS.ttsRate);
+  });
+
+  test('loadReaderSettings leaves the API keys out', async () => {
+    chrome.storage.sync.get.mockImplementation(() => Promise.resolve({ apiKey: 'sk-secret', ttsApiKey: 'tts-secret', readerTheme: 'sepia' }));
+    const settings = await loadReaderSettings();
+    const [requested] = chrome.storage.sync.get.mock.calls[0];
+    expect(Object.keys(requested)).not.toContain('apiKey');
+    expect(Object.keys(requested)).not.toContain('ttsApiKey');
+    expect(settings).not.toHaveProperty('apiKey');
+    expect(settings).not.toHaveProperty('ttsApiKey');
+    expect(settings.readerTheme).toBe('sepia');
+    expect(settings.batchSize).toBe(SETTINGS_DEFAULTS.batchSize);
+  });
+
+  test('isAutoTranslateSite matches a site and its subdomains', () => {
+    const sites = ['example.com'];
+    expect(isAutoTranslateSite('example.com', sites)).toBe(true);
+    expect(isAutoTranslateSite('news.example.com', sites)).toBe(true);
+    expect(isAutoTranslateSite('notexample.com', sites)).toBe(false);
+    expect(isAutoTranslateSite('', sites)).toBe(false);
+    expect(isAutoTranslateSite('example.com', undefined)).toBe(false);
+  });
+});
@@ -1,14 +1,75 @@
 import '@testing-library/jest-dom';
 
+// Extension scripts share one global scope (content scripts listed together in
+// the manifest, importScripts in the service worker), so expose them the same way here
+Object.assign(global, require('../levels.js'));
+Object.assign(global, require('../languages.js'));
+Object.assign(global, require('../settings.js'));
+Object.assign(global, require('../providers.js'));
+Object.assign(global, require('../cache.js'));
+Object.assign(global, require('../dictionary.js'));
+Object.assign(global, require('../translator.js'));
+Object.assign(global, require('../vocabulary.js'));
+Object.assign(global, require('../readability.js'));
+Object.assign(global, require('../markup.js'));
+Object.assign(global, require('../readaloud.js'));
+Object.assign(global, require('../tts.js'));
+Object.assign(global, require('../speech.js'));
+Object.assign(global, require('../pronunciation.js'));
+Object.assign(global, require('../grading.js'));
+Object.assign(global, require('../adaptive.js'));
+Object.assign(global, require('../immersion.js'));
+Object.assign(global, require('../inpage.js'));
+
+// In-memory stand-in for a chrome.storage area (promise style)
+global.createStorageArea = () => {
+  let data = {};
+  return {
+    get: jest.fn((keys) => {
+      if (keys === null || keys === undefined) {
+        return Promise.resolve({ ...data });
+      }
+      const result = {};
+      const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+      const names = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      names.forEach(name => {
+        if (name in data) {
+          result[name] = data[name];
+        } else if (name in defaults) {
+          result[name] = defaults[name];
+        }
+      });
+      return Promise.resolve(result);
+    }),
+    set: jest.fn((items) => {
+      data = { ...data, ...items };
+      return Promise.resolve();
+    }),
+    remove: jest.fn((keys) => {
+      (Array.isArray(keys) ? keys : [keys]).forEach(key => delete data[key]);
+      return Promise.resolve();
+    }),
+    clear: jest.fn(() => {
+      data = {};
+      return Promise.resolve();
+    })
+  };
+};
+
 // Mock chrome.storage and chrome.runtime
 global.chrome = {
   storage: {
     sync: {
       get: jest.fn(),
       set: jest.fn()
+    },
+    local: createStorageArea(),
+    onChanged: {
+      addListener: jest.fn()
     }
   },
   runtime: {
+    sendMessage: jest.fn(),
     onMessage: {
       addListener: jest.fn()
     }
@@ -0,0 +1,377 @@
+// Import the background translation service
+import {
+  enqueueTranslation,
+  cancelQueuedTranslations,
+  getProviderStatus,
+  testConnection,
+  translateBatch,
+  translateWords,
+  parseTranslationReply
+} from '../translator.js';
+
+// Build a chat completion whose content is the indexed JSON reply
+const jsonReply = (texts) => ({
+  ok: true,
+  json: () => Promise.resolve({
+    choices: [{
+      message: {
+        content: JSON.stringify({
+          translations: texts.map((text, index) => ({ index, text }))
+        })
+      }
+    }]
+  })
+});
+
+describe('Translation Service Tests', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await chrome.storage.local.clear();
+
+    // Mock storage to return API key
+    chrome.storage.sync.get.mockImplementation(() => {
+      return Promise.resolve({ apiKey: 'test-api-key' });
+    });
+
+    // Mock successful API response
+    fetch.mockImplementation(() => Promise.resolve(jsonReply(['Translated text'])));
+  });
+
+  describe('translateBatch', () => {
+    test('translates text with beginner difficulty', async () => {
+      const result = await translateBatch(['Hello world'], 'beginner');
+      expect(fetch).toHaveBeenCalledWith(
+        'https://api.openai.com/v1/chat/completions',
+        expect.objectContaining({
+          method: 'POST',
+          headers: expect.objectContaining({
+            'Authorization': 'Bearer test-api-key'
+          })
+        })
+      );
+      expect(result).toEqual(['Translated text']);
+    });
+
+    test('rejects API errors', async () => {
+      fetch.mockImplementationOnce(() =>
+        Promise.resolve({
+          ok: false,
+          json: () => Promise.resolve({
+            error: { message: 'API Error' }
+          })
+        })
+      );
+      await expect(translateBatch(['Test error'], 'beginner')).rejects.toThrow('API Error');
+    });
+
+    test('rejects missing API key', async () => {
+      chrome.storage.sync.get.mockImplementationOnce(() => Promise.resolve({}));
+      await expect(translateBatch(['Test text'], 'beginner')).rejects.toThrow('API key not configured');
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('translates text with different difficulty levels', async () => {
+      const difficulties = ['beginner', 'intermediate', 'advanced'];
+
+      for (const difficulty of difficulties) {
+        const result = await translateBatch(['Test text'], difficulty);
+        expect(result).toEqual(['Translated text']);
+        expect(fetch).toHaveBeenCalledWith(
+          'https://api.openai.com/v1/chat/completions',
+          expect.objectContaining({
+            method: 'POST',
+            body: expect.stringContaining(difficulty)
+          })
+        );
+      }
+    });
+  });
+
+  describe('persistent cache', () => {
+    test('serves repeated texts from the cache without API calls', async () => {
+      const first = await translateBatch(['Hello world'], 5);
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      const second = await translateBatch(['Hello world'], 5);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(second).toEqual(first);
+    });
+
+    test('only requests texts missing from the cache', async () => {
+      await translateBatch(['Cached'], 5);
+      fetch.mockImplementationOnce(() => Promise.resolve(jsonReply(['Primero', 'Segundo'])));
+
+      const result = await translateBatch(['First', 'Cached', 'Second'], 5);
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(fetch.mock.calls[1][1].body).toContain('First');
+      expect(fetch.mock.calls[1][1].body).not.toContain('Cached');
+      expect(result).toEqual(['Primero', 'Translated text', 'Segundo']);
+    });
+
+    test('does not need an API key when everything is cached', async () => {
+      await translateBatch(['Hello world'], 5);
+      chrome.storage.sync.get.mockImplementation(() => Promise.resolve({}));
+      await expect(translateBatch(['Hello world'], 5)).resolves.toEqual(['Translated text']);
+    });
+
+    test('keeps separate entries per level and model', async () => {
+      await translateBatch(['Hello world'], 5);
+      await translateBatch(['Hello world'], 8);
+      chrome.storage.sync.get.mockImplementation(() => Promise.resolve({
+        apiKey: 'test-api-key',
+        model: 'other-model'
+      }));
+      await translateBatch(['Hello world'], 5);
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('translation providers', () => {
+    test('uses custom OpenAI-compatible endpoint and model', async () => {
+      chrome.storage.sync.get.mockImplementation(() => Promise.resolve({
+        apiKey: 'test-api-key',
+        provider: 'openai',
+        model: 'my-model',
+        endpoint: 'https://llm.example.com/v1/'
+      }));
+      await translateBatch(['Hello'], 5);
+      expect(fetch).toHaveBeenCalledWith(
+        'https://llm.example.com/v1/chat/completions',
+        expect.objectContaining({
+          body: expect.stringContaining('"model":"my-model"')
+        })
+      );
+    });
+
+    test('sends Anthropic-style messages', async () => {
+      chrome.storage.sync.get.mockImplementation(() => Promise.resolve({
+        apiKey: 'test-api-key',
+        provider: 'anthropic'
+      }));
+      fetch.mockImplementationOnce(() =>
+        Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({
+            content: [{
+              type: 'tool_use',
+              name: 'submit_result',
+              input: { translations: [{ index: 0, text: 'Hola' }] }
+            }]
+          })
+        })
+      );
+      const result = await translateBatch(['Hello'], 5);
+      expect(result).toEqual(['Hola']);
+      expect(fetch).toHaveBeenCalledWith(
+        'https://api.anthropic.com/v1/messages',
+        expect.objectContaining({
+          headers: expect.objectContaining({ 'x-api-key': 'test-api-key' })
+        })
+      );
+    });
+
+    test('local providers do not require an API key', async () => {
+      chrome.storage.sync.get.mockImplementation(() => Promise.resolve({
+        provider: 'ollama'
+      }));
+      fetch.mockImplementationOnce(() =>
+        Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({
+            message: { content: '{"translations": [{"index": 0, "text": "Hola"}]}' }
+          })
+        })
+      );
+      const result = await translateBatch(['Hello'], 5);
+      expect(result).toEqual(['Hola']);
+      expect(fetch).toHaveBeenCalledWith('http://localhost:11434/api/chat', expect.anything());
+      await expect(getProviderStatus()).resolves.toEqual({ label: 'Ollama (local)', configured: true });
+    });
+
+    test('requests JSON-mode output from OpenAI-compatible endpoints', async () => {
+      await translateBatch(['Hello'], 5);
+      const body = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(body.response_format).toEqual({ type: 'json_object' });
+      expect(body.messages[1].content).toContain('[{"index":0,"text":"Hello"}]');
+    });
+
+    test('mock provider translates deterministically without network calls', async () => {
+      chrome.storage.sync.get.mockImplementation(() => Promise.resolve({
+        provider: 'mock'
+      }));
+      const result = await translateBatch(['One', 'Two'], 5);
+      expect(result).toEqual(['[ES] One', '[ES] Two']);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('passes the configured temperature, capped for Anthropic', async () => {
+      chrome.storage.sync.get.mockImplementation(() => Promise.resolve({
+        apiKey: 'test-api-key',
+        temperature: 1.5
+      }));
+      await translateBatch(['Hello'], 5);
+      expect(JSON.parse(fetch.mock.calls[0][1].body).temperature).toBe(1.5);
+
+      await chrome.storage.local.clear();
+      chrome.storage.sync.get.mockImplementation(() => Promise.resolve({
+        apiKey: 'test-api-key',
+        provider: 'anthropic',
+        temperature: 1.5
+      }));
+      fetch.mockImplementationOnce(() => Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({
+          content: [{ type: 'tool_use', name: 'submit_result', input: { translations: [{ index: 0, text: 'Hola' }] } }]
+        })
+      }));
+      await translateBatch(['Hello'], 5);
+      expect(JSON.parse(fetch.mock.calls[1][1].body).temperature).toBe(1);
+    });
+  });
+
+  describe('target languages and dialects', () => {
+    test('asks for the requested dialect and caches each dialect separately', async () => {
+      fetch.mockImplementationOnce(() => Promise.resolve(jsonReply(['¿Vos tenés tiempo?'])));
+      await expect(translateBatch(['Do you have time?'], 5, 'es-AR')).resolves.toEqual(['¿Vos tenés tiempo?']);
+      expect(JSON.parse(fetch.mock.calls[0][1].body).messages[1].content).toContain('Rioplatense Spanish');
+
+      fetch.mockImplementationOnce(() => Promise.resolve(jsonReply(['¿Tienes tiempo?'])));
+      await expect(translateBatch(['Do you have time?'], 5, 'es-ES')).resolves.toEqual(['¿Tienes tiempo?']);
+      expect(fetch).toHaveBeenCalledTimes(2);
+
+      await expect(translateBatch(['Do you have time?'], 5, 'es-AR')).resolves.toEqual(['¿Vos tenés tiempo?']);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('passes the target language to machine translation servers', async () => {
+      chrome.storage.sync.get.mockImplementation(() => Promise.resolve({ provider: 'libretranslate' }));
+      fetch.mockImplementationOnce(() => Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ translatedText: ['Bonjour'] })
+      }));
+      await expect(translateBatch(['Hello'], 5, 'fr-CA')).resolves.toEqual(['Bonjour']);
+      expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual(expect.objectContaining({ source: 'en', target: 'fr' }));
+
+      chrome.storage.sync.get.mockImplementation(() => Promise.resolve({ provider: 'mock' }));
+      await expect(translateBatch(['Hello'], 5, 'de-AT')).resolves.toEqual(['[DE] Hello']);
+    });
+
+    test('unknown dialects fall back to Spain', async () => {
+      await translateBatch(['Hello'], 5, 'es-XX');
+      expect(JSON.parse(fetch.mock.calls[0][1].body).messages[1].content).toContain('Spanish as spoken in Spain (es-ES)');
+    });
+  });
+
+  describe('translateWords', () => {
+    test('translates words on their own into the variety and caches each one', async () => {
+      fetch.mockImplementation(() => Promise.resolve(jsonReply(['casa', 'carro'])));
+      expect(await translateWords(['house', 'car'], 'es-MX')).toEqual({ house: 'casa', car: 'carro' });
+
+      const body = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(body.messages[1].content).toContain('Mexican Spanish (es-MX)');
+      expect(body.messages[1].content).toContain('[{"index":0,"text":"house"},{"index":1,"text":"car"}]');
+
+      fetch.mockImplementation(() => Promise.resolve(jsonReply(['perro'])));
+      expect(await translateWords(['car', 'dog', 'house'], 'es-MX')).toEqual({ car: 'carro', dog: 'perro', house: 'casa' });
+      expect(JSON.parse(fetch.mock.calls[1][1].body).messages[1].content).toContain('[{"index":0,"text":"dog"}]');
+    });
+
+    test('leaves out words the backend skipped', async () => {
+      fetch.mockImplementation(() => Promise.resolve(jsonReply(['casa'])));
+      expect(await translateWords(['house', 'tree'], 'es-ES')).toEqual({ house: 'casa' });
+    });
+  });
+
+  describe('testConnection', () => {
+    test('translates a sample sentence with unsaved settings and skips the cache', async () => {
+      fetch.mockImplementation(() => Promise.resolve(jsonReply(['La biblioteca abre a las nueve.'])));
+      const settings = { provider: 'openai', apiKey: 'form-key', model: 'form-model' };
+
+      await expect(testConnection(settings)).resolves.toEqual({
+        label: 'OpenAI-compatible',
+        sample: 'The library opens at nine in the morning.',
+        translation: 'La biblioteca abre a las nueve.'
+      });
+      await testConnection(settings);
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer form-key');
+      expect(fetch.mock.calls[0][1].body).toContain('"model":"form-model"');
+    });
+
+    test('reports a missing API key without calling the backend', async () => {
+      await expect(testConnection({ provider: 'openai', apiKey: '' })).rejects.toThrow('OpenAI-compatible needs an API key.');
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('reports backend errors', async () => {
+      fetch.mockImplementation(() => Promise.resolve({ ok: false, status: 401, statusText: 'Unauthorized', json: () => Promise.resolve({}) }));
+      await expect(testConnection({ provider: 'openai', apiKey: 'bad-key' })).rejects.toThrow();
+    });
+  });
+
+  describe('parseTranslationReply', () => {
+    test('matches entries by index regardless of order', () => {
+      const reply = '{"translations": [{"index": 1, "text": "Dos"}, {"index": 0, "text": "Uno"}]}';
+      expect(parseTranslationReply(reply, 2)).toEqual(['Uno', 'Dos']);
+    });
+
+    test('accepts replies wrapped in a code fence', () => {
+      const reply = '```json\n{"translations": [{"index": 0, "text": "Uno"}]}\n```';
+      expect(parseTranslationReply(reply, 1)).toEqual(['Uno']);
+    });
+
+    test('leaves missing, duplicate and out-of-range indices empty', () => {
+      const reply = JSON.stringify({
+        translations: [
+          { index: 0, text: 'Uno' },
+          { index: 0, text: 'Otra vez' },
+          { index: 5, text: 'Cinco' },
+          { index: 2, text: '' }
+        ]
+      });
+      expect(parseTranslationReply(reply, 3)).toEqual(['Uno', null, null]);
+    });
+
+    test('returns all empty for invalid JSON', () => {
+      expect(parseTranslationReply('Uno\n---\nDos', 2)).toEqual([null, null]);
+    });
+  });
+
+  describe('enqueueTranslation', () => {
+    test('runs a limited number of requests at a time', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      const task = async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+      };
+      await Promise.all(Array.from({ length: 8 }, () => enqueueTranslation(task)));
+      expect(maxRunning).toBe(3);
+    });
+
+    test('drops queued requests of a cancelled run', async () => {
+      const releases = [];
+      const blockers = Array.from({ length: 3 }, () =>
+        enqueueTranslation(() => new Promise(resolve => releases.push(resolve)))
+      );
+      const queued = enqueueTranslation(() => Promise.resolve('late'), 'run-1');
+      const other = enqueueTranslation(() => Promise.resolve('other'), 'run-2');
+
+      cancelQueuedTranslations('run-1');
+      await expect(queued).rejects.toThrow('Translation cancelled');
+
+      releases.forEach(release => release());
+      await Promise.all(blockers);
+      await expect(other).resolves.toBe('other');
+    });
+
+    test('keeps the queue running after a failure', async () => {
+      const failed = enqueueTranslation(() => Promise.reject(new Error('boom')));
+      await expect(failed).rejects.toThrow('boom');
+      await expect(enqueueTranslation(() => Promise.resolve('ok'))).resolves.toBe('ok');
+    });
+  });
+});
@@ -0,0 +1,94 @@
+// Import the speech server backend
+import {
+  SPEECH_SERVER_DEFAULTS,
+  resolveSpeechServerConfig,
+  synthesizeSpeech,
+  testSpeechServer
+} from '../tts.js';
+
+const audioReply = (bytes = [1, 2, 3]) => ({
+  ok: true,
+  headers: { get: () => 'audio/mpeg' },
+  arrayBuffer: () => Promise.resolve(new Uint8Array(bytes).buffer)
+});
+
+describe('Speech Server Tests', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await chrome.storage.local.clear();
+    chrome.storage.sync.get.mockImplementation(() => Promise.resolve({ apiKey: 'test-api-key' }));
+    fetch.mockImplementation(() => Promise.resolve(audioReply()));
+  });
+
+  test('asks the /audio/speech endpoint for the sentence and returns playable audio', async () => {
+    const audio = await synthesizeSpeech('Hola amigo.', 3, 'es-MX');
+    expect(audio).toBe('data:audio/mpeg;base64,AQID');
+    expect(fetch).toHaveBeenCalledWith('https://api.openai.com/v1/audio/speech', expect.objectContaining({
+      method: 'POST',
+      headers: expect.objectContaining({ 'Authorization': 'Bearer test-api-key' })
+    }));
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+      model: SPEECH_SERVER_DEFAULTS.model,
+      voice: SPEECH_SERVER_DEFAULTS.voice,
+      input: 'Hola amigo.',
+      response_format: 'mp3'
+    });
+  });
+
+  test('caches audio per sentence and level', async () => {
+    await synthesizeSpeech('Hola amigo.', 3, 'es-ES');
+    expect(await synthesizeSpeech('Hola amigo.', 3, 'es-ES')).toBe('data:audio/mpeg;base64,AQID');
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    await synthesizeSpeech('Hola amigo.', 7, 'es-ES');
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps audio under its own size cap without evicting translations', async () => {
+    chrome.storage.sync.get.mockImplementation(() => Promise.resolve({
+      apiKey: 'test-api-key',
+      cacheMaxSizeMb: 1,
+      speechCacheMaxSizeMb: 1
+    }));
+    await setCachedTranslations([{ key: 'tc:greeting', value: 'Hola' }]);
+    fetch.mockImplementation(() => Promise.resolve(audioReply(new Array(300 * 1024).fill(7))));
+
+    for (const sentence of ['Uno.', 'Dos.', 'Tres.', 'Cuatro.']) {
+      await synthesizeSpeech(sentence, 3, 'es-ES');
+    }
+
+    const stored = Object.keys(await chrome.storage.local.get(null));
+    expect(stored).toContain('tc:greeting');
+    expect(stored.filter(key => key.startsWith('sc:'))).toHaveLength(2);
+    await expect(getCachedTranslations(['tc:greeting'])).resolves.toEqual(['Hola']);
+  });
+
+  test('reports server errors', async () => {
+    fetch.mockImplementation(() => Promise.resolve({
+      ok: false,
+      status: 401,
+      json: () => Promise.resolve({ error: { message: 'Invalid API key' } })
+    }));
+    await expect(synthesizeSpeech('Hola.', 3, 'es-ES')).rejects.toThrow('Invalid API key');
+
+    fetch.mockImplementation(() => Promise.resolve({ ok: false, status: 502, json: () => Promise.reject(new Error('not JSON')) }));
+    await expect(synthesizeSpeech('Hola.', 3, 'es-ES')).rejects.toThrow('status 502');
+  });
+
+  test('only reuses the translation key for OpenAI', () => {
+    expect(resolveSpeechServerConfig({ apiKey: 'sk-1' }).apiKey).toBe('sk-1');
+    expect(resolveSpeechServerConfig({ apiKey: 'sk-1', provider: 'anthropic' }).apiKey).toBe('');
+    expect(resolveSpeechServerConfig({ apiKey: 'sk-1', ttsApiKey: 'local' }).apiKey).toBe('local');
+  });
+
+  test('testSpeechServer uses the settings as typed and skips the cache', async () => {
+    const settings = { ttsEndpoint: 'http://localhost:8880/v1/', ttsModel: 'kokoro', ttsServerVoice: 'ef_dora' };
+    await testSpeechServer(settings, 'Hola.');
+    await testSpeechServer(settings, 'Hola.');
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(fetch.mock.calls[0][0]).toBe('http://localhost:8880/v1/audio/speech');
+    expect(fetch.mock.calls[0][1].headers).not.toHaveProperty('Authorization');
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual(expect.objectContaining({ model: 'kokoro', voice: 'ef_dora' }));
+  });
+});
@@ -0,0 +1,183 @@
+// Import the vocabulary notebook
+import {
+  getVocabulary,
+  addVocabularyEntry,
+  removeVocabularyEntry,
+  scheduleReview,
+  reviewVocabularyEntry,
+  getDueEntries,
+  exportVocabulary,
+  importVocabulary
+} from '../vocabulary.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 0, 1);
+
+describe('Vocabulary Tests', () => {
+  beforeEach(async () => {
+    await chrome.storage.local.clear();
+  });
+
+  test('saves a word with its context, page and level', async () => {
+    await addVocabularyEntry({
+      word: 'Manzana ',
+      language: 'es',
+      gloss: 'apple',
+      context: 'Ella comió una manzana.',
+      url: 'https://example.com/story',
+      level: 3
+    }, NOW);
+
+    expect(await getVocabulary()).toEqual([{
+      id: 'es:manzana',
+      word: 'Manzana',
+      language: 'es',
+      lemma: '',
+      partOfSpeech: '',
+      gloss: 'apple',
+      context: 'Ella comió una manzana.',
+      url: 'https://example.com/story',
+      level: 3,
+      addedAt: NOW,
+      review: { repetitions: 0, interval: 0, easeFactor: 2.5, due: NOW }
+    }]);
+  });
+
+  test('saving a word again keeps its review progress', async () => {
+    await addVocabularyEntry({ word: 'perro', gloss: 'dog' }, NOW);
+    await reviewVocabularyEntry('perro', 5, NOW);
+    await addVocabularyEntry({ word: 'Perro', context: 'El perro ladra.' }, NOW + DAY);
+
+    const vocabulary = await getVocabulary();
+    expect(vocabulary).toHaveLength(1);
+    expect(vocabulary[0]).toEqual(expect.objectContaining({
+      gloss: 'dog',
+      context: 'El perro ladra.',
+      addedAt: NOW,
+      review: expect.objectContaining({ repetitions: 1, due: NOW + DAY })
+    }));
+  });
+
+  test('keeps the same word saved in two languages apart', async () => {
+    await addVocabularyEntry({ word: 'pan', language: 'es', gloss: 'bread' }, NOW);
+    await addVocabularyEntry({ word: 'pan', language: 'fr', gloss: 'flap' }, NOW);
+
+    const vocabulary = await getVocabulary();
+    expect(vocabulary.map(entry => [entry.id, entry.language, entry.gloss])).toEqual([
+      ['es:pan', 'es', 'bread'],
+      ['fr:pan', 'fr', 'flap']
+    ]);
+  });
+
+  test('a word saved before entries had a language is taken over with its progress', async () => {
+    await chrome.storage.local.set({ vocabulary: [{
+      id: 'perro',
+      word: 'perro',
+      gloss: 'dog',
+      addedAt: NOW,
+      review: { repetitions: 2, interval: 6, easeFactor: 2.5, due: NOW + 6 * DAY }
+    }] });
+    await addVocabularyEntry({ word: 'perro', language: 'es', context: 'El perro ladra.' }, NOW + DAY);
+
+    const vocabulary = await getVocabulary();
+    expect(vocabulary).toHaveLength(1);
+    expect(vocabulary[0]).toEqual(expect.objectContaining({
+      id: 'es:perro',
+      language: 'es',
+      gloss: 'dog',
+      addedAt: NOW,
+      review: expect.objectContaining({ repetitions: 2 })
+    }));
+  });
+
+  test('removes words', async () => {
+    await addVocabularyEntry({ word: 'perro' }, NOW);
+    await addVocabularyEntry({ word: 'gato' }, NOW);
+    await removeVocabularyEntry('perro');
+    expect((await getVocabulary()).map(entry => entry.id)).toEqual(['gato']);
+  });
+
+  test('schedules reviews with SM-2 intervals', () => {
+    let review = { repetitions: 0, interval: 0, easeFactor: 2.5, due: NOW };
+    review = scheduleReview(review, 4, NOW);
+    expect(review).toEqual({ repetitions: 1, interval: 1, easeFactor: 2.5, due: NOW + DAY });
+    review = scheduleReview(review, 4, NOW);
+    expect(review.interval).toBe(6);
+    review = scheduleReview(review, 5, NOW);
+    expect(review.interval).toBe(15);
+    expect(review.easeFactor).toBe(2.6);
+  });
+
+  test('a forgotten word starts over and gets harder', () => {
+    const review = scheduleReview({ repetitions: 4, interval: 30, easeFactor: 1.4, due: NOW }, 1, NOW);
+    expect(review).toEqual({ repetitions: 0, interval: 1, easeFactor: 1.3, due: NOW + DAY });
+  });
+
+  test('lists due words, oldest first', async () => {
+    await addVocabularyEntry({ word: 'perro' }, NOW);
+    await addVocabularyEntry({ word: 'gato' }, NOW - DAY);
+    await addVocabularyEntry({ word: 'casa' }, NOW);
+    await reviewVocabularyEntry('casa', 5, NOW);
+
+    const due = getDueEntries(await getVocabulary(), NOW);
+    expect(due.map(entry => entry.id)).toEqual(['gato', 'perro']);
+  });
+
+  test('rejects reviews of unknown words', async () => {
+    await expect(reviewVocabularyEntry('nada', 4)).rejects.toThrow('Word not found in vocabulary: nada');
+  });
+
+  test('exports Anki CSV with quoted fields', () => {
+    const csv = exportVocabulary([{
+      word: 'comió',
+      lemma: 'comer',
+      partOfSpeech: 'verb',
+      gloss: 'ate',
+      context: 'Ella comió, y dijo "adiós".'
+    }]);
+    expect(csv).toBe('comió,"ate<br>(comer)<br>Ella comió, y dijo ""adiós"".",spanishify verb');
+  });
+
+  test('exports Anki TSV without tabs or line breaks in fields', () => {
+    const tsv = exportVocabulary([
+      { word: 'perro', gloss: 'dog', context: 'El perro\tladra.\nMucho.' },
+      { word: 'gato', gloss: 'cat', context: '' }
+    ], 'tsv');
+    expect(tsv).toBe('perro\tdog — El perro ladra. Mucho.\tspanishify\ngato\tcat\tspanishify');
+  });
+
+  test('fills in missing or broken parts of an imported review schedule', async () => {
+    await importVocabulary(JSON.stringify([
+      { word: 'gato', review: { due: NOW + DAY } },
+      { word: 'perro', review: { repetitions: 3, interval: 'six', easeFactor: null, due: NOW + 2 * DAY } }
+    ]), NOW);
+
+    const [gato, perro] = await getVocabulary();
+    expect(gato.review).toEqual({ repetitions: 0, interval: 0, easeFactor: 2.5, due: NOW + DAY });
+    expect(perro.review).toEqual({ repetitions: 3, interval: 0, easeFactor: 2.5, due: NOW + 2 * DAY });
+
+    const entry = await reviewVocabularyEntry(gato.id, 4, NOW + DAY);
+    expect(entry.review).toEqual({ repetitions: 1, interval: 1, easeFactor: 2.5, due: NOW + 2 * DAY });
+  });
+
+  test('imports words from JSON without overwriting known ones', async () => {
+    await addVocabularyEntry({ word: 'perro', gloss: 'dog' }, NOW);
+    const imported = await importVocabulary(JSON.stringify({
+      vocabulary: [
+        { word: 'Perro', gloss: 'hound' },
+        { word: 'gato', gloss: 'cat', review: { repetitions: 2, interval: 6, easeFactor: 2.5, due: NOW + 6 * DAY } },
+        { gloss: 'no word' }
+      ]
+    }), NOW);
+
+    expect(imported).toBe(1);
+    const vocabulary = await getVocabulary();
+    expect(vocabulary.map(entry => [entry.id, entry.gloss])).toEqual([['perro', 'dog'], ['gato', 'cat']]);
+    expect(vocabulary[1].review.interval).toBe(6);
+  });
+
+  test('rejects files that are not a word list', async () => {
+    await expect(importVocabulary('not json')).rejects.toThrow('The file is not valid JSON');
+    await expect(importVocabulary('{"words": 1}')).rejects.toThrow('The file does not contain a list of words');
+  });
+});
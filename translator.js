@@ -0,0 +1,297 @@
+// Translation service for the background service worker
+// Owns the provider settings (including the API key) and all network calls.
+// Content scripts reach it through {type: 'translate', batch, level, language} messages.
+
+const SYSTEM_PROMPT = 'You are a helpful translator that translates English into the language and regional variety you are asked for, at different difficulty levels. You receive a JSON array of {"index", "text"} items and reply only with a JSON object of the form {"translations": [{"index": 0, "text": "..."}]}, with exactly one entry for every input index. Texts may contain placeholder tags such as <x0>...</x0> and <x1/> standing for links, emphasis and code: keep every tag exactly as written, around the translated words it belongs to.';
+
+// Shape of the reply, used for JSON-mode and function-calling output
+const TRANSLATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    translations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          index: { type: 'integer' },
+          text: { type: 'string' }
+        },
+        required: ['index', 'text']
+      }
+    }
+  },
+  required: ['translations']
+};
+
+// Requests from every tab go through one queue so they don't hammer the backend
+const MAX_CONCURRENT_TRANSLATIONS = 3;
+const pendingTranslations = [];
+let activeTranslations = 0;
+
+function enqueueTranslation(task, runId) {
+  return new Promise((resolve, reject) => {
+    pendingTranslations.push({ task, runId, resolve, reject });
+    drainTranslationQueue();
+  });
+}
+
+function drainTranslationQueue() {
+  while (activeTranslations < MAX_CONCURRENT_TRANSLATIONS && pendingTranslations.length > 0) {
+    const job = pendingTranslations.shift();
+    activeTranslations++;
+    Promise.resolve()
+      .then(job.task)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        activeTranslations--;
+        drainTranslationQueue();
+      });
+  }
+}
+
+// Drop the queued requests of a cancelled reader run; requests already sent
+// to the backend finish, but the content script ignores their results
+function cancelQueuedTranslations(runId) {
+  for (let i = pendingTranslations.length - 1; i >= 0; i--) {
+    const job = pendingTranslations[i];
+    if (job.runId === runId) {
+      pendingTranslations.splice(i, 1);
+      job.reject(new Error('Translation cancelled'));
+    }
+  }
+}
+
+async function loadProviderConfig() {
+  const settings = await chrome.storage.sync.get(['apiKey', 'provider', 'model', 'endpoint', 'temperature']);
+  return resolveProviderConfig(settings);
+}
+
+async function getProviderStatus() {
+  const config = await loadProviderConfig();
+  const provider = getProvider(config.provider);
+  return {
+    label: provider.label,
+    configured: !provider.requiresApiKey || !!config.apiKey
+  };
+}
+
+// Send a sample sentence through settings from the options page, saved or not,
+// bypassing the cache so the backend really is reached
+const TEST_SENTENCE = 'The library opens at nine in the morning.';
+
+async function testConnection(settings) {
+  const config = resolveProviderConfig(settings);
+  const provider = getProvider(config.provider);
+  if (provider.requiresApiKey && !config.apiKey) {
+    throw new Error(`${provider.label} needs an API key.`);
+  }
+
+  const level = settings.defaultLevel || DEFAULT_LEVEL;
+  const language = resolveLanguageTag(settings.targetLanguage, settings.dialect);
+  const [translation] = await requestTranslations(provider, config, [TEST_SENTENCE], level, language);
+  if (!translation) {
+    throw new Error('The backend answered, but not with a usable translation.');
+  }
+  return { label: provider.label, sample: TEST_SENTENCE, translation };
+}
+
+// Translate an array of texts into the given language variant (es-MX, fr-FR...)
+// and return the translations in the same order. Texts the backend could not
+// translate come back as null.
+async function translateBatch(batch, level, language) {
+  const config = await loadProviderConfig();
+  const provider = getProvider(config.provider);
+  language = normalizeLanguageTag(language);
+
+  // Serve what we can from the persistent cache
+  const keys = batch.map(text => getCacheKey(text, level, config, language));
+  const translations = await getCachedTranslations(keys);
+  const missing = [];
+  translations.forEach((translation, index) => {
+    if (translation === undefined) {
+      missing.push(index);
+    }
+  });
+
+  if (missing.length === 0) {
+    console.log('Cache hit for batch');
+    return translations;
+  }
+
+  console.log(`Cache miss for ${missing.length} of ${batch.length} texts`);
+  if (provider.requiresApiKey && !config.apiKey) {
+    throw new Error(`${provider.label} API key not configured. Please set it in the extension options.`);
+  }
+
+  const fresh = await translateUncached(provider, config, missing.map(index => batch[index]), level, language);
+  const toCache = [];
+  missing.forEach((batchIndex, index) => {
+    translations[batchIndex] = fresh[index];
+    if (fresh[index] !== null) {
+      toCache.push({ key: keys[batchIndex], value: fresh[index] });
+    }
+  });
+  await setCachedTranslations(toCache);
+
+  return translations;
+}
+
+async function translateUncached(provider, config, texts, level, language) {
+  const translations = await requestTranslations(provider, config, texts, level, language);
+
+  // Retry anything the model dropped or mangled one text at a time
+  if (texts.length > 1) {
+    for (let index = 0; index < texts.length; index++) {
+      if (translations[index] === null) {
+        console.warn(`Missing translation for index ${index}, retrying on its own`);
+        [translations[index]] = await requestTranslations(provider, config, [texts[index]], level, language);
+      }
+    }
+  }
+
+  return translations;
+}
+
+async function requestTranslations(provider, config, texts, level, language) {
+  const items = texts.map((text, index) => ({ index, text }));
+  const reply = await provider.translate({
+    task: 'translate',
+    system: SYSTEM_PROMPT,
+    prompt: getPromptForDifficulty(JSON.stringify(items), level, language),
+    texts,
+    language,
+    schema: TRANSLATION_SCHEMA
+  }, config);
+
+  return parseTranslationReply(reply, texts.length);
+}
+
+// Translate single English words for partial immersion, each on its own, and
+// return them as {english: translation}; words the backend skipped are left out
+async function translateWords(words, language) {
+  const config = await loadProviderConfig();
+  const provider = getProvider(config.provider);
+  language = normalizeLanguageTag(language);
+
+  const keys = words.map(word => getCacheKey(word, 'weave', config, language));
+  const cached = await getCachedTranslations(keys);
+  const translations = {};
+  const missing = [];
+  words.forEach((word, index) => {
+    if (cached[index] === undefined) {
+      missing.push(word);
+    } else {
+      translations[word] = cached[index];
+    }
+  });
+  if (missing.length === 0) {
+    return translations;
+  }
+
+  if (provider.requiresApiKey && !config.apiKey) {
+    throw new Error(`${provider.label} API key not configured. Please set it in the extension options.`);
+  }
+
+  // The same reply shape as translations, so LibreTranslate can do words too
+  const reply = await provider.translate({
+    task: 'translate',
+    system: SYSTEM_PROMPT,
+    prompt: getWordTranslationPrompt(missing, language),
+    texts: missing,
+    language,
+    schema: TRANSLATION_SCHEMA
+  }, config);
+
+  const results = parseTranslationReply(reply, missing.length);
+  const toCache = [];
+  missing.forEach((word, index) => {
+    if (results[index] !== null) {
+      translations[word] = results[index];
+      toCache.push({ key: keys[words.indexOf(word)], value: results[index] });
+    }
+  });
+  await setCachedTranslations(toCache);
+
+  return translations;
+}
+
+function getWordTranslationPrompt(words, language) {
+  const variant = getLanguageVariant(language);
+  const items = words.map((text, index) => ({ index, text }));
+  return `Translate each of the following English words on its own to ${variant.name} (${variant.code}): give the single most common ${variant.name} word for it in its dictionary form, with no article and in lowercase unless the language always capitalises it. Regional variety: ${variant.instructions}
+
+Words to translate (JSON): ${JSON.stringify(items)}`;
+}
+
+// Match the indexed entries of a JSON reply to the texts that were sent
+function parseTranslationReply(reply, expectedCount) {
+  const results = new Array(expectedCount).fill(null);
+
+  let data;
+  try {
+    // Some models wrap JSON in a markdown code fence even in JSON mode
+    data = JSON.parse(reply.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch (error) {
+    console.warn('Translation reply is not valid JSON:', error.message);
+    return results;
+  }
+
+  const entries = Array.isArray(data) ? data : data?.translations;
+  if (!Array.isArray(entries)) {
+    console.warn('Translation reply has no translations array');
+    return results;
+  }
+
+  entries.forEach(entry => {
+    const index = entry?.index;
+    const isValid = Number.isInteger(index) &&
+      index >= 0 &&
+      index < expectedCount &&
+      results[index] === null &&
+      typeof entry.text === 'string' &&
+      entry.text.trim() !== '';
+
+    if (isValid) {
+      results[index] = entry.text.trim();
+    } else {
+      console.warn('Ignoring unexpected translation entry:', entry);
+    }
+  });
+
+  return results;
+}
+
+function getPromptForDifficulty(text, difficulty, language) {
+  // Convert the difficulty (named or 1-10) to specific instructions
+  const level = normalizeLevel(difficulty);
+  const band = getLanguageLevelBand(level, language);
+  const variant = getLanguageVariant(language);
+
+  // Build a detailed prompt based on the numeric level, its CEFR band and the language variant
+  return `Translate the following text(s) to ${variant.name} (${variant.code}) at ${band.vocabulary} level. Use:
+
+- Vocabulary: ${band.vocabulary}
+- Grammar: ${band.grammar}
+- Sentence structure: ${band.complexity}
+- Idiomatic expressions: ${band.idioms}
+- Difficulty level: ${level}/10 (${band.name}, ${band.code}, CEFR ${band.cefr})
+- Regional variety: ${variant.instructions}
+
+Maintain natural flow while keeping it at the appropriate level. Translate each item separately and keep its index.
+
+Texts to translate (JSON): ${text}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    enqueueTranslation,
+    cancelQueuedTranslations,
+    loadProviderConfig,
+    getProviderStatus,
+    testConnection,
+    translateBatch,
+    translateWords,
+    parseTranslationReply,
+    getPromptForDifficulty
+  };
+}
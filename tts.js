@@ -0,0 +1,94 @@
+// Speech from an HTTP text-to-speech server
+// Sentences go to an OpenAI-compatible /audio/speech endpoint (OpenAI itself or
+// a local server speaking the same API) and the audio comes back to the reader
+// as a data: URL for its <audio> element. Audio is kept in the translation
+// cache per sentence, level and voice, so replaying a sentence costs nothing.
+
+const SPEECH_SERVER_DEFAULTS = {
+  endpoint: 'https://api.openai.com/v1',
+  model: 'tts-1',
+  voice: 'alloy'
+};
+
+const SPEECH_SERVER_SETTINGS = ['ttsEndpoint', 'ttsModel', 'ttsServerVoice', 'ttsApiKey', 'provider', 'apiKey'];
+
+// Fill in defaults for anything left blank in the options page
+function resolveSpeechServerConfig(settings = {}) {
+  const usesOpenAI = (settings.provider || DEFAULT_PROVIDER) === 'openai';
+  return {
+    endpoint: (settings.ttsEndpoint || SPEECH_SERVER_DEFAULTS.endpoint).replace(/\/+$/, ''),
+    model: settings.ttsModel || SPEECH_SERVER_DEFAULTS.model,
+    voice: settings.ttsServerVoice || SPEECH_SERVER_DEFAULTS.voice,
+    // The translation key is reused for OpenAI unless the server has its own
+    apiKey: settings.ttsApiKey || (usesOpenAI ? settings.apiKey || '' : '')
+  };
+}
+
+async function loadSpeechServerConfig() {
+  const settings = await chrome.storage.sync.get(SPEECH_SERVER_SETTINGS);
+  return resolveSpeechServerConfig(settings);
+}
+
+// Large buffers are converted in chunks to stay under the argument limit
+function encodeBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+async function requestSpeech(text, config) {
+  const response = await fetch(`${config.endpoint}/audio/speech`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {})
+    },
+    body: JSON.stringify({
+      model: config.model,
+      voice: config.voice,
+      input: text,
+      response_format: 'mp3'
+    })
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error?.message || data.error || `The speech server answered with status ${response.status}`);
+  }
+
+  const type = (response.headers.get('Content-Type') || 'audio/mpeg').split(';')[0];
+  return `data:${type};base64,${encodeBase64(await response.arrayBuffer())}`;
+}
+
+// Audio for one sentence of the reader, from the cache when it was read before
+async function synthesizeSpeech(text, level, language) {
+  const config = await loadSpeechServerConfig();
+  const key = getSpeechCacheKey(text, level, config, normalizeLanguageTag(language));
+
+  const [cached] = await getCachedTranslations([key]);
+  if (cached) {
+    console.log('Speech served from cache');
+    return cached;
+  }
+
+  const audio = await requestSpeech(text, config);
+  await setCachedTranslations([{ key, value: audio }]);
+  return audio;
+}
+
+// Read a sample with settings from the options page, saved or not, bypassing the cache
+async function testSpeechServer(settings, text) {
+  return requestSpeech(text, resolveSpeechServerConfig(settings));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SPEECH_SERVER_DEFAULTS,
+    resolveSpeechServerConfig,
+    synthesizeSpeech,
+    testSpeechServer
+  };
+}
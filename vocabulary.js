@@ -0,0 +1,206 @@
+// Personal vocabulary notebook
+// Words saved from the reader live in chrome.storage.local under one key and
+// are reviewed on review.html with an SM-2 spaced-repetition schedule. Each
+// word keeps the code of the language it was saved in (es, fr...), so the same
+// spelling in two languages makes two entries.
+
+const VOCABULARY_KEY = 'vocabulary';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE_FACTOR = 1.3;
+
+async function getVocabulary() {
+  const { [VOCABULARY_KEY]: vocabulary = [] } = await chrome.storage.local.get(VOCABULARY_KEY);
+  return vocabulary;
+}
+
+async function saveVocabulary(vocabulary) {
+  await chrome.storage.local.set({ [VOCABULARY_KEY]: vocabulary });
+}
+
+// Words saved before entries had a language have the bare word as their id
+function getVocabularyId(word, language = '') {
+  const id = word.trim().toLowerCase();
+  return language ? `${language}:${id}` : id;
+}
+
+// Save a word with the sentence and page it came from; saving it again keeps
+// its review progress and refreshes the details
+async function addVocabularyEntry(details, now = Date.now()) {
+  const vocabulary = await getVocabulary();
+  const language = details.language || '';
+  const id = getVocabularyId(details.word, language);
+  // A word saved before entries had a language is taken over with its progress
+  const legacyId = getVocabularyId(details.word);
+  const existing = vocabulary.find(entry => entry.id === id) ||
+    vocabulary.find(entry => entry.id === legacyId && !entry.language);
+
+  const entry = {
+    id,
+    word: details.word.trim(),
+    language,
+    lemma: details.lemma || '',
+    partOfSpeech: details.partOfSpeech || '',
+    gloss: details.gloss || '',
+    context: details.context || '',
+    url: details.url || '',
+    level: details.level || null,
+    addedAt: existing ? existing.addedAt : now,
+    review: existing ? existing.review : {
+      repetitions: 0,
+      interval: 0,
+      easeFactor: 2.5,
+      due: now
+    }
+  };
+
+  if (existing) {
+    vocabulary[vocabulary.indexOf(existing)] = { ...existing, ...entry, gloss: entry.gloss || existing.gloss };
+  } else {
+    vocabulary.push(entry);
+  }
+  await saveVocabulary(vocabulary);
+  return entry;
+}
+
+async function removeVocabularyEntry(id) {
+  const vocabulary = await getVocabulary();
+  await saveVocabulary(vocabulary.filter(entry => entry.id !== id));
+}
+
+// SM-2: quality runs from 0 (forgot) to 5 (perfect recall)
+function scheduleReview(review, quality, now = Date.now()) {
+  let { repetitions, interval, easeFactor } = review;
+
+  if (quality < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) {
+      interval = 1;
+    } else if (repetitions === 2) {
+      interval = 6;
+    } else {
+      interval = Math.round(interval * easeFactor);
+    }
+  }
+
+  easeFactor = Math.max(
+    MIN_EASE_FACTOR,
+    easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  return {
+    repetitions,
+    interval,
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    due: now + interval * DAY_MS
+  };
+}
+
+async function reviewVocabularyEntry(id, quality, now = Date.now()) {
+  const vocabulary = await getVocabulary();
+  const entry = vocabulary.find(item => item.id === id);
+  if (!entry) {
+    throw new Error(`Word not found in vocabulary: ${id}`);
+  }
+  entry.review = scheduleReview(entry.review, quality, now);
+  await saveVocabulary(vocabulary);
+  return entry;
+}
+
+function getDueEntries(vocabulary, now = Date.now()) {
+  return vocabulary
+    .filter(entry => entry.review.due <= now)
+    .sort((a, b) => a.review.due - b.review.due);
+}
+
+// Anki imports plain text notes: front, back, tags
+function exportVocabulary(vocabulary, format = 'csv') {
+  const separator = format === 'tsv' ? '\t' : ',';
+  const escapeField = (value) => {
+    const text = String(value || '');
+    if (format === 'tsv') {
+      return text.replace(/[\t\r\n]+/g, ' ');
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return vocabulary.map(entry => {
+    const back = [entry.gloss, entry.lemma && entry.lemma !== entry.word ? `(${entry.lemma})` : '', entry.context]
+      .filter(Boolean)
+      .join(format === 'tsv' ? ' — ' : '<br>');
+    const tags = ['spanishify', entry.language, entry.partOfSpeech].filter(Boolean).join(' ');
+    return [entry.word, back, tags].map(escapeField).join(separator);
+  }).join('\n');
+}
+
+// An imported schedule goes over a new word's; any part of it that is not a
+// number falls back, so scheduleReview never works with NaN
+function importReview(review, now) {
+  const defaults = { repetitions: 0, interval: 0, easeFactor: 2.5, due: now };
+  const imported = review && typeof review === 'object' ? review : {};
+  const result = {};
+  Object.keys(defaults).forEach(key => {
+    result[key] = Number.isFinite(imported[key]) ? imported[key] : defaults[key];
+  });
+  return result;
+}
+
+// Merge words from a JSON export; words already in the notebook keep their progress
+async function importVocabulary(json, now = Date.now()) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  const items = Array.isArray(data) ? data : data?.[VOCABULARY_KEY];
+  if (!Array.isArray(items)) {
+    throw new Error('The file does not contain a list of words');
+  }
+
+  const vocabulary = await getVocabulary();
+  const known = new Set(vocabulary.map(entry => entry.id));
+  let imported = 0;
+
+  items.forEach(item => {
+    if (!item || typeof item.word !== 'string' || item.word.trim() === '') return;
+    const language = typeof item.language === 'string' ? item.language : '';
+    const id = getVocabularyId(item.word, language);
+    if (known.has(id)) return;
+
+    vocabulary.push({
+      id,
+      word: item.word.trim(),
+      language,
+      lemma: item.lemma || '',
+      partOfSpeech: item.partOfSpeech || '',
+      gloss: item.gloss || '',
+      context: item.context || '',
+      url: item.url || '',
+      level: item.level || null,
+      addedAt: item.addedAt || now,
+      review: importReview(item.review, now)
+    });
+    known.add(id);
+    imported++;
+  });
+
+  await saveVocabulary(vocabulary);
+  return imported;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getVocabulary,
+    addVocabularyEntry,
+    removeVocabularyEntry,
+    scheduleReview,
+    reviewVocabularyEntry,
+    getDueEntries,
+    exportVocabulary,
+    importVocabulary
+  };
+}